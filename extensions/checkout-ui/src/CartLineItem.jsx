@@ -0,0 +1,48 @@
+// extensions/checkout-ui/src/CartLineItem.jsx
+import {
+  reactExtension,
+  BlockStack,
+  Text,
+  useCartLineTarget
+} from '@shopify/ui-extensions-react/checkout';
+import { formatConvertedAmount, formatDualAmount } from '../../../shared/dual-format.js';
+import { linePriceDetails } from '../../../shared/line-prices.js';
+import { useDualCurrency } from './useDualCurrency.js';
+
+export default reactExtension(
+  'purchase.checkout.cart-line-item.render-after',
+  () => <Extension />,
+);
+
+// Line total in the other currency, under the price checkout already shows,
+// and the unit price for lines of more than one unit
+function Extension() {
+  const { settings, isTargeted } = useDualCurrency();
+  const line = useCartLineTarget();
+
+  const total = line?.cost?.totalAmount;
+  const converted = total && formatConvertedAmount(total.amount, total.currencyCode, settings);
+
+  if (!isTargeted || !converted) {
+    return null;
+  }
+
+  const prices = linePriceDetails({
+    quantity: line.quantity,
+    totalAmount: total.amount,
+    discountAllocations: line.discountAllocations
+  }, total.currencyCode);
+
+  return (
+    <BlockStack spacing="none">
+      <Text size="small" appearance="subdued">
+        ≈ {converted}
+      </Text>
+      {settings.sections.unitPrice && line.quantity > 1 && (
+        <Text size="small" appearance="subdued">
+          {settings.labels.unitPrice}: {formatDualAmount(prices.unitPrice, total.currencyCode, settings)}
+        </Text>
+      )}
+    </BlockStack>
+  );
+}
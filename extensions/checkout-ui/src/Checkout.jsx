@@ -6,24 +6,26 @@ import {
   BlockStack,
   InlineLayout,
   useTotalAmount,
+  useSubtotalAmount,
+  useTotalShippingAmount,
+  useTotalTaxAmount,
+  useDiscountAllocations,
   useCartLines,
-  useApi,
-  useSubscription,
   Divider,
-  useLocalizationCountry,
-  useLocalizationMarket
+  Banner,
+  useTranslate
 } from '@shopify/ui-extensions-react/checkout';
-
-const EUR_TO_BGN_RATE = 1.95583;
-
-// Функции за конвертиране
-const convertBGNtoEUR = (bgnAmount) => {
-  return (parseFloat(bgnAmount) / EUR_TO_BGN_RATE).toFixed(2);
-};
-
-const convertEURtoBGN = (eurAmount) => {
-  return (parseFloat(eurAmount) * EUR_TO_BGN_RATE).toFixed(2);
-};
+import { formatRate } from '../../../shared/currency-pair.js';
+import { phaseNotice } from '../../../shared/phases.js';
+import { formatDualAmount, formatDualPair } from '../../../shared/dual-format.js';
+import { linePriceDetails } from '../../../shared/line-prices.js';
+import {
+  buildCostBreakdown,
+  breakdownRowLabel,
+  collectDiscounts,
+  convertBreakdown
+} from '../../../shared/breakdown.js';
+import { useDualCurrency } from './useDualCurrency.js';
 
 export default reactExtension(
   'purchase.thank-you.block.render',
@@ -31,9 +33,9 @@ export default reactExtension(
 );
 
 function Extension() {
-  // Проверяваме market и country
-  const country = useLocalizationCountry();
-  const market = useLocalizationMarket();
+  // Настройки и проверка на market и country
+  const { settings, isTargeted } = useDualCurrency();
+  const translate = useTranslate();
   
   // Общата сума
   const total = useTotalAmount();
@@ -41,134 +43,181 @@ function Extension() {
   // Продуктите в поръчката
   const lines = useCartLines();
   
-  // ПРОВЕРКА - показваме САМО за България (BG country или bulgaria market)
-  const isBulgaria = country?.isoCode === 'BG' || 
-                     market?.handle === 'bulgaria' || 
-                     market?.handle === 'bg';
+  // Breakdown данни
+  const subtotal = useSubtotalAmount();
+  const shipping = useTotalShippingAmount();
+  const tax = useTotalTaxAmount();
+  const discountAllocations = useDiscountAllocations();
   
-  if (!isBulgaria) {
+  // ПРОВЕРКА - показваме САМО за целевите държави/markets от настройките
+  if (!isTargeted) {
     return null; // Не показваме за други държави/markets
   }
   
   const currency = total?.currencyCode;
   
-  // Breakdown данни
-  const api = useApi();
-  let subtotal = null;
-  let shipping = null;
-  
-  try {
-    if (api.cost) {
-      if (api.cost.subtotalAmount) {
-        subtotal = useSubscription(api.cost.subtotalAmount);
-      }
-      if (api.cost.totalShippingAmount) {
-        shipping = useSubscription(api.cost.totalShippingAmount);
-      }
-    }
-  } catch (error) {
-    console.log('Error:', error);
-  }
-  
-  // Определяме кой е основен и кой вторичен според валутата
-  const isBGN = currency === 'BGN';
   const totalAmount = total?.amount || 0;
 
+  // Редове, които се сумират до общата сума
+  const breakdown = buildCostBreakdown({
+    currencyCode: currency,
+    subtotal: subtotal?.amount,
+    discounts: collectDiscounts(discountAllocations, lines),
+    shipping: shipping?.amount,
+    tax: tax?.amount,
+    total: totalAmount
+  });
+  // Конвертирани суми, изравнени според настройката за закръгляне
+  const lineAmounts = (lines || []).map(line => line.cost.totalAmount.amount);
+  const converted = convertBreakdown(breakdown, lineAmounts, settings);
+  const summaryRows = converted ? converted.rows : breakdown.rows;
+  const formatRow = (amount, convertedAmount) =>
+    formatDualPair(amount, currency, convertedAmount, converted?.currencyCode, settings);
+  const totalRow = summaryRows.find(row => row.type === 'total');
+  const breakdownRows = summaryRows.filter(row => {
+    if (row.type === 'shipping') {
+      return settings.sections.shipping && Number(row.amount) > 0;
+    }
+    // Разликата от закръгляне се показва винаги, за да се сумират редовете -
+    // освен когато се показва само валутата на поръчката
+    if (row.type === 'rounding') {
+      return settings.singleCurrency !== currency;
+    }
+    return settings.sections.breakdown && row.type !== 'total';
+  });
+
+  const switchNotice = phaseNotice(settings);
+
   return (
     <View padding="base" border="base" background="subdued">
-      <BlockStack spacing="base">
+      <BlockStack spacing={settings.layout === 'compact' ? 'tight' : 'base'}>
         {/* Заглавие с флагове */}
         <Text size="medium" emphasis="bold">
-          🇧🇬 Твоята поръчка 🇪🇺
+          {settings.labels.heading}
         </Text>
+
+        {/* Известие за преминаването към евро */}
+        {switchNotice && <Banner status="info">{translate(switchNotice.key, switchNotice.values)}</Banner>}
         
         {/* Разбивка секция */}
         <View padding="base" background="base" cornerRadius="base">
           <BlockStack spacing="base">
-            <Text size="small" emphasis="bold">
-              Продукти:
-            </Text>
+            {settings.sections.lines && (
+              <Text size="small" emphasis="bold">
+                {settings.labels.products}
+              </Text>
+            )}
             
             {/* Продукти по отделно */}
-            {lines && lines.length > 0 && (
+            {settings.sections.lines && lines && lines.length > 0 && (
               <BlockStack spacing="tight">
                 {lines.map((line, index) => {
                   const title =
                     line.merchandise.product?.title ?? 
                     line.merchandise.title;
+                  const variantTitle = line.merchandise.subtitle;
                   const lineAmount = line.cost.totalAmount.amount;
+                  // Единична цена и цена преди отстъпка за продукта
+                  const prices = linePriceDetails({
+                    quantity: line.quantity,
+                    totalAmount: lineAmount,
+                    discountAllocations: line.discountAllocations
+                  }, currency);
                   
-                  const displayPrice = isBGN
-                    ? `${lineAmount.toFixed(2)} ЛВ / ${convertBGNtoEUR(lineAmount)} EUR`
-                    : `${lineAmount.toFixed(2)} EUR / ${convertEURtoBGN(lineAmount)} ЛВ`;
+                  const displayPrice = formatRow(lineAmount, converted?.lines[index]);
 
                   return (
+                    <BlockStack key={line.id || index} spacing="none">
+                      <InlineLayout spacing="base" blockAlignment="center">
+                        <View inlineAlignment="start" minInlineSize="fill">
+                          <Text size="small">
+                            {translate('lineTitle', { count: line.quantity, title })}
+                          </Text>
+                        </View>
+                        <View inlineAlignment="end">
+                          <Text size="small" emphasis="bold">
+                            {displayPrice}
+                          </Text>
+                        </View>
+                      </InlineLayout>
+                      {settings.sections.variantTitle && variantTitle && (
+                        <Text size="small" appearance="subdued">{variantTitle}</Text>
+                      )}
+                      {settings.sections.compareAtPrice && prices.originalAmount && (
+                        <Text size="small" appearance="subdued" accessibilityRole="deletion">
+                          {formatDualAmount(prices.originalAmount, currency, settings)}
+                        </Text>
+                      )}
+                      {settings.sections.unitPrice && (
+                        <Text size="small" appearance="subdued">
+                          {settings.labels.unitPrice}: {formatDualAmount(prices.unitPrice, currency, settings)}
+                        </Text>
+                      )}
+                    </BlockStack>
+                  );
+                })}
+              </BlockStack>
+            )}
+
+            {/* Междинна сума, отстъпки, доставка, данъци */}
+            {breakdownRows.length > 0 && (
+              <>
+                {settings.sections.lines && <Divider />}
+                <BlockStack spacing="tight">
+                  {breakdownRows.map((row, index) => (
                     <InlineLayout
-                      key={line.id || index}
+                      key={`${row.type}-${index}`}
                       spacing="base"
                       blockAlignment="center"
                     >
                       <View inlineAlignment="start" minInlineSize="fill">
-                        <Text size="small">
-                          {line.quantity}× {title}
+                        <Text size="small" appearance={row.included ? 'subdued' : undefined}>
+                          {breakdownRowLabel(row, settings.labels)}
                         </Text>
                       </View>
                       <View inlineAlignment="end">
-                        <Text size="small" emphasis="bold">
-                          {displayPrice}
+                        <Text size="small" emphasis={row.included ? undefined : 'bold'}>
+                          {formatRow(row.amount, row.converted)}
                         </Text>
                       </View>
                     </InlineLayout>
-                  );
-                })}
-              </BlockStack>
-            )}
-
-            {/* Доставка */}
-            {shipping && shipping.amount > 0 && (
-              <>
-                <Divider />
-                <InlineLayout spacing="base" blockAlignment="center">
-                  <View inlineAlignment="start" minInlineSize="fill">
-                    <Text size="small">Доставка</Text>
-                  </View>
-                  <View inlineAlignment="end">
-                    <Text size="small" emphasis="bold">
-                      {isBGN
-                        ? `${shipping.amount.toFixed(2)} ЛВ / ${convertBGNtoEUR(shipping.amount)} EUR`
-                        : `${shipping.amount.toFixed(2)} EUR / ${convertEURtoBGN(shipping.amount)} ЛВ`
-                      }
-                    </Text>
-                  </View>
-                </InlineLayout>
+                  ))}
+                </BlockStack>
               </>
             )}
           </BlockStack>
         </View>
         
         {/* Обща сума */}
-        <View padding="tight" background="interactive" cornerRadius="base">
-          <InlineLayout spacing="base" blockAlignment="center">
-            <View inlineAlignment="start" minInlineSize="fill">
-              <Text size="medium" emphasis="bold">Общо:</Text>
-            </View>
-            <View inlineAlignment="end">
-              <Text size="large" emphasis="bold">
-                {isBGN
-                  ? `${totalAmount.toFixed(2)} ЛВ / ${convertBGNtoEUR(totalAmount)} EUR`
-                  : `${totalAmount.toFixed(2)} EUR / ${convertEURtoBGN(totalAmount)} ЛВ`
-                }
-              </Text>
-            </View>
-          </InlineLayout>
-        </View>
+        {settings.sections.total && (
+          <View padding="tight" background="interactive" cornerRadius="base">
+            <InlineLayout spacing="base" blockAlignment="center">
+              <View inlineAlignment="start" minInlineSize="fill">
+                <Text size="medium" emphasis="bold">{settings.labels.total}</Text>
+              </View>
+              <View inlineAlignment="end">
+                <Text size="large" emphasis="bold">
+                  {formatRow(totalAmount, totalRow?.converted)}
+                </Text>
+              </View>
+            </InlineLayout>
+          </View>
+        )}
         
         {/* Курс */}
-        <View padding="extraTight">
-          <Text size="small" appearance="subdued">
-            Курс: 1 EUR = {EUR_TO_BGN_RATE} BGN (фиксиран курс на БНБ)
-          </Text>
-        </View>
+        {settings.sections.rateInfo && (
+          <View padding="extraTight">
+            <Text size="small" appearance="subdued">
+              {settings.rateProvider === 'fixed'
+                ? translate('rate.fixed', { rate: formatRate(settings) })
+                : translate(settings.rateStale ? 'rate.stale' : 'rate.provider', {
+                  rate: formatRate(settings),
+                  provider: settings.rateProvider.toUpperCase(),
+                  date: settings.rateDate
+                })}
+            </Text>
+          </View>
+        )}
       </BlockStack>
     </View>
   );
@@ -0,0 +1,40 @@
+// extensions/checkout-ui/src/OrderSummary.jsx
+import {
+  reactExtension,
+  Text,
+  View,
+  InlineLayout,
+  useTotalAmount
+} from '@shopify/ui-extensions-react/checkout';
+import { formatDualAmount } from '../../../shared/dual-format.js';
+import { useDualCurrency } from './useDualCurrency.js';
+
+export default reactExtension(
+  'purchase.checkout.cart-line-list.render-after',
+  () => <Extension />,
+);
+
+// Order total in both currencies, in the order summary under the cart lines
+function Extension() {
+  const { settings, isTargeted } = useDualCurrency();
+  const total = useTotalAmount();
+
+  if (!isTargeted || !total) {
+    return null;
+  }
+
+  return (
+    <View padding="tight" background="subdued" cornerRadius="base">
+      <InlineLayout spacing="base" blockAlignment="center">
+        <View inlineAlignment="start" minInlineSize="fill">
+          <Text size="small" emphasis="bold">{settings.labels.total}</Text>
+        </View>
+        <View inlineAlignment="end">
+          <Text size="small" emphasis="bold">
+            {formatDualAmount(total.amount, total.currencyCode, settings)}
+          </Text>
+        </View>
+      </InlineLayout>
+    </View>
+  );
+}
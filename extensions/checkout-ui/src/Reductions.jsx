@@ -0,0 +1,49 @@
+// extensions/checkout-ui/src/Reductions.jsx
+import {
+  reactExtension,
+  Text,
+  BlockStack,
+  InlineLayout,
+  View,
+  useDiscountAllocations
+} from '@shopify/ui-extensions-react/checkout';
+import { currencyDigits, negateAmount } from '../../../shared/currency.js';
+import { formatDualAmount } from '../../../shared/dual-format.js';
+import { useDualCurrency } from './useDualCurrency.js';
+
+export default reactExtension(
+  'purchase.checkout.reductions.render-after',
+  () => <Extension />,
+);
+
+// Cart-level discounts in both currencies, below the discount code field
+function Extension() {
+  const { settings, isTargeted } = useDualCurrency();
+  const allocations = useDiscountAllocations();
+
+  if (!isTargeted || !allocations || allocations.length === 0) {
+    return null;
+  }
+
+  return (
+    <BlockStack spacing="extraTight">
+      {allocations.map((allocation, index) => {
+        const { amount, currencyCode } = allocation.discountedAmount;
+        const title = allocation.code || allocation.title || settings.labels.discounts;
+
+        return (
+          <InlineLayout key={index} spacing="base" blockAlignment="center">
+            <View inlineAlignment="start" minInlineSize="fill">
+              <Text size="small" appearance="subdued">{title}</Text>
+            </View>
+            <View inlineAlignment="end">
+              <Text size="small" appearance="subdued">
+                {formatDualAmount(negateAmount(amount, currencyDigits(currencyCode)), currencyCode, settings)}
+              </Text>
+            </View>
+          </InlineLayout>
+        );
+      })}
+    </BlockStack>
+  );
+}
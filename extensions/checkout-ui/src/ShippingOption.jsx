@@ -0,0 +1,32 @@
+// extensions/checkout-ui/src/ShippingOption.jsx
+import {
+  reactExtension,
+  Text,
+  useShippingOptionTarget
+} from '@shopify/ui-extensions-react/checkout';
+import { formatConvertedAmount } from '../../../shared/dual-format.js';
+import { useDualCurrency } from './useDualCurrency.js';
+
+export default reactExtension(
+  'purchase.checkout.shipping-option-item.render-after',
+  () => <Extension />,
+);
+
+// Delivery option price in the other currency
+function Extension() {
+  const { settings, isTargeted } = useDualCurrency();
+  const { shippingOptionTarget } = useShippingOptionTarget();
+
+  const cost = shippingOptionTarget?.cost;
+  const converted = cost && formatConvertedAmount(cost.amount, cost.currencyCode, settings);
+
+  if (!isTargeted || !converted || !settings.sections.shipping) {
+    return null;
+  }
+
+  return (
+    <Text size="small" appearance="subdued">
+      ≈ {converted}
+    </Text>
+  );
+}
@@ -0,0 +1,22 @@
+// extensions/checkout-ui/src/useDualCurrency.js
+// Settings and buyer targeting shared by every target of the checkout extension
+import {
+  useAppMetafields,
+  useCurrency,
+  useLanguage,
+  useLocalizationCountry,
+  useLocalizationMarket,
+  useSettings,
+  useTranslate
+} from '@shopify/ui-extensions-react/checkout';
+import { createDualCurrencyHook } from '../../../shared/hooks/dual-currency.js';
+
+export const useDualCurrency = createDualCurrencyHook({
+  useAppMetafields,
+  useCurrency,
+  useLanguage,
+  useLocalizationCountry,
+  useLocalizationMarket,
+  useSettings,
+  useTranslate
+});
@@ -0,0 +1,128 @@
+// extensions/order-admin-ui/src/OrderBlock.jsx
+import {
+  reactExtension,
+  AdminBlock,
+  BlockStack,
+  InlineStack,
+  Text,
+  Button,
+  Banner,
+  Divider,
+  ProgressIndicator,
+  useApi,
+  useTranslate
+} from '@shopify/ui-extensions-react/admin';
+import { formatRate } from '../../../shared/currency-pair.js';
+import { formatDualPair, localizeSettings } from '../../../shared/dual-format.js';
+import { resolveLabels } from '../../../shared/settings.js';
+import { formatZonedDate } from '../../../shared/timezone.js';
+import { breakdownRowLabel } from '../../../shared/breakdown.js';
+import { useOrderConversion } from './useOrderConversion.js';
+
+const TARGET = 'admin.order-details.block.render';
+
+export default reactExtension(TARGET, () => <OrderConversionBlock />);
+
+function OrderConversionBlock() {
+  const { data, i18n } = useApi(TARGET);
+  const translate = useTranslate();
+  const orderId = data.selected[0]?.id;
+  const { conversion, loading, error, retry, regenerate, regenerating } = useOrderConversion(orderId);
+
+  if (loading) {
+    return (
+      <AdminBlock title={translate('title')}>
+        <ProgressIndicator size="small-200" />
+      </AdminBlock>
+    );
+  }
+
+  if (!conversion) {
+    return (
+      <AdminBlock title={translate('title')}>
+        <Banner tone="critical" title={translate('loadError')}>
+          <BlockStack gap>
+            {error && <Text>{error.message}</Text>}
+            <Button onPress={retry}>{translate('retry')}</Button>
+          </BlockStack>
+        </Banner>
+      </AdminBlock>
+    );
+  }
+
+  // Настройките, с които е конвертирана поръчката; празните текстове идват от
+  // преводите, а сумите са на езика на администратора
+  const settings = localizeSettings({
+    ...conversion.settings,
+    labels: resolveLabels(conversion.settings.labels, translate)
+  }, { language: i18n.locale });
+  const formatRow = (amount, convertedAmount) =>
+    formatDualPair(amount, conversion.currencyCode, convertedAmount, conversion.convertedCurrency, settings);
+  const rows = conversion.rows.filter(row =>
+    row.type !== 'shipping' || Number(row.amount) > 0
+  );
+
+  return (
+    <AdminBlock title={translate('title')}>
+      <BlockStack gap>
+        {error && (
+          <Banner tone="critical" title={translate('regenerateError')}>
+            <Text>{error.message}</Text>
+          </Banner>
+        )}
+
+        {!conversion.convertedCurrency && (
+          <Banner tone="warning">
+            <Text>{translate('outsidePair', { currency: conversion.currencyCode })}</Text>
+          </Banner>
+        )}
+
+        {/* Продуктите */}
+        <BlockStack gap="small">
+          {conversion.lines.map(line => (
+            <InlineStack key={line.id} inlineAlignment="space-between" blockAlignment="center" gap>
+              <BlockStack>
+                <Text>{translate('lineTitle', { count: line.quantity, title: line.title })}</Text>
+                {line.variantTitle && <Text>{line.variantTitle}</Text>}
+              </BlockStack>
+              <Text fontWeight="bold">{formatRow(line.amount, line.converted)}</Text>
+            </InlineStack>
+          ))}
+        </BlockStack>
+
+        <Divider />
+
+        {/* Междинна сума, отстъпки, доставка, данъци и общо */}
+        <BlockStack gap="small">
+          {rows.map((row, index) => (
+            <InlineStack key={`${row.type}-${index}`} inlineAlignment="space-between" blockAlignment="center" gap>
+              <Text fontWeight={row.type === 'total' ? 'bold' : undefined}>
+                {breakdownRowLabel(row, settings.labels)}
+              </Text>
+              <Text fontWeight={row.type === 'total' || !row.included ? 'bold' : undefined}>
+                {formatRow(row.amount, row.converted)}
+              </Text>
+            </InlineStack>
+          ))}
+        </BlockStack>
+
+        <Divider />
+
+        {/* Курс и откъде са сумите */}
+        <Text>
+          {translate('rate', { rate: formatRate(settings) })}
+          {' · '}
+          {conversion.source === 'snapshot'
+            ? translate('source.snapshot', { date: conversion.takenAt ? formatZonedDate(conversion.takenAt, i18n.locale) : '' })
+            : translate('source.recomputed')}
+        </Text>
+
+        <InlineStack inlineAlignment="end">
+          <Button onPress={regenerate} disabled={regenerating}>
+            {regenerating ? translate('regenerating') : translate('regenerate')}
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </AdminBlock>
+  );
+}
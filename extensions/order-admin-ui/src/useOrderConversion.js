@@ -0,0 +1,31 @@
+// extensions/order-admin-ui/src/useOrderConversion.js
+// The order's dual-currency view from the app server, which reads the order and
+// its snapshot with the shop's offline session.
+import { useCallback, useState } from 'react';
+import { appRequest, useRemoteData } from '../../../shared/hooks/remote-data.js';
+
+const orderPath = (orderId) => `/api/orders/${encodeURIComponent(orderId)}`;
+
+const fetchConversion = (orderId) =>
+  appRequest(`${orderPath(orderId)}/conversion`).then(data => data.conversion);
+
+// { conversion, loading, error, retry, regenerate, regenerating } for the order
+// with `orderId`; regenerate() rebuilds the snapshot from the current settings
+export function useOrderConversion(orderId) {
+  const { data, loading, error, retry, setData, setError } = useRemoteData(orderId, fetchConversion);
+  const [regenerating, setRegenerating] = useState(false);
+
+  const regenerate = useCallback(async () => {
+    setRegenerating(true);
+    try {
+      const result = await appRequest(`${orderPath(orderId)}/snapshot`, { method: 'POST' });
+      setData(result.conversion);
+    } catch (requestError) {
+      setError(requestError);
+    } finally {
+      setRegenerating(false);
+    }
+  }, [orderId, setData, setError]);
+
+  return { conversion: data, loading, error, retry, regenerate, regenerating };
+}
@@ -0,0 +1,101 @@
+// extensions/order-invoice-ui/src/InvoiceAction.jsx
+import { useEffect, useState } from 'react';
+import {
+  reactExtension,
+  AdminAction,
+  BlockStack,
+  Text,
+  Select,
+  EmailField,
+  Button,
+  Banner,
+  useApi,
+  useTranslate
+} from '@shopify/ui-extensions-react/admin';
+import { useInvoice } from './useInvoice.js';
+
+const TARGET = 'admin.order-details.action.render';
+
+export default reactExtension(TARGET, () => <InvoiceAction />);
+
+function InvoiceAction() {
+  const { data, close } = useApi(TARGET);
+  const translate = useTranslate();
+  const orderId = data.selected[0]?.id;
+  const { invoice, emailEnabled, loading, error, retry, email, sending } = useInvoice(orderId);
+  const [documentType, setDocumentType] = useState('invoice');
+  const [to, setTo] = useState('');
+  const [sentTo, setSentTo] = useState(null);
+
+  // Имейлът на клиента по подразбиране
+  useEffect(() => {
+    setTo(invoice?.email || '');
+  }, [invoice]);
+
+  if (!loading && !invoice) {
+    return (
+      <AdminAction
+        title={translate('title')}
+        primaryAction={<Button onPress={retry}>{translate('retry')}</Button>}
+        secondaryAction={<Button onPress={close}>{translate('close')}</Button>}
+      >
+        <Banner tone="critical" title={translate('loadError')}>
+          {error && <Text>{error.message}</Text>}
+        </Banner>
+      </AdminAction>
+    );
+  }
+
+  const onEmail = async () => {
+    setSentTo(null);
+    setSentTo(await email(documentType, to));
+  };
+
+  return (
+    <AdminAction
+      title={translate('title')}
+      loading={loading}
+      primaryAction={
+        <Button onPress={onEmail} disabled={!emailEnabled || sending || !to}>
+          {sending ? translate('sending') : translate('email')}
+        </Button>
+      }
+      secondaryAction={
+        <Button href={invoice?.links[documentType]} target="_blank" disabled={!invoice}>
+          {translate('download')}
+        </Button>
+      }
+    >
+      <BlockStack gap>
+        {error && (
+          <Banner tone="critical" title={translate('emailError')}>
+            <Text>{error.message}</Text>
+          </Banner>
+        )}
+        {sentTo && <Banner tone="success" title={translate('sent', { email: sentTo })} />}
+
+        {invoice && <Text>{translate('number', { number: invoice.number })}</Text>}
+
+        <Select
+          label={translate('document')}
+          value={documentType}
+          onChange={value => {
+            setDocumentType(value);
+            setSentTo(null);
+          }}
+          options={[
+            { value: 'invoice', label: translate('documents.invoice') },
+            { value: 'receipt', label: translate('documents.receipt') }
+          ]}
+        />
+
+        {/* Без SMTP на сървъра документът може само да се изтегли */}
+        {emailEnabled ? (
+          <EmailField label={translate('to')} value={to} onChange={setTo} />
+        ) : (
+          <Text>{translate('emailDisabled')}</Text>
+        )}
+      </BlockStack>
+    </AdminAction>
+  );
+}
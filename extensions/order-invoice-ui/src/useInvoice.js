@@ -0,0 +1,44 @@
+// extensions/order-invoice-ui/src/useInvoice.js
+// Invoice details of an order from the app server: the document number, the
+// customer's email and signed PDF download links.
+import { useCallback, useState } from 'react';
+import { appRequest, useRemoteData } from '../../../shared/hooks/remote-data.js';
+
+const orderPath = (orderId) => `/api/orders/${encodeURIComponent(orderId)}`;
+
+const fetchInvoice = (orderId) => appRequest(`${orderPath(orderId)}/invoice`);
+
+// { invoice, emailEnabled, loading, error, retry, email, sending } for the order
+// with `orderId`; email(document, to) sends the PDF and resolves with the address
+export function useInvoice(orderId) {
+  const { data, loading, error, retry, setError } = useRemoteData(orderId, fetchInvoice);
+  const [sending, setSending] = useState(false);
+
+  const email = useCallback(async (document, to) => {
+    setSending(true);
+    try {
+      const result = await appRequest(`${orderPath(orderId)}/${document}/email`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ to })
+      });
+      setError(null);
+      return result.to;
+    } catch (requestError) {
+      setError(requestError);
+      return null;
+    } finally {
+      setSending(false);
+    }
+  }, [orderId, setError]);
+
+  return {
+    invoice: data?.invoice ?? null,
+    emailEnabled: data?.emailEnabled ?? false,
+    loading,
+    error,
+    retry,
+    email,
+    sending
+  };
+}
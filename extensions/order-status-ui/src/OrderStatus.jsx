@@ -1,25 +1,33 @@
 // extensions/order-status-ui/src/OrderStatus.jsx
-import { 
+import {
   reactExtension,
   Text,
   View,
   BlockStack,
   InlineLayout,
   Divider,
+  Banner,
+  Button,
+  SkeletonTextBlock,
   useOrder,
-  useApi
+  useTranslate
 } from '@shopify/ui-extensions-react/customer-account';
-
-const EUR_TO_BGN_RATE = 1.95583;
-
-// Функции за конвертиране
-const convertBGNtoEUR = (bgnAmount) => {
-  return (parseFloat(bgnAmount) / EUR_TO_BGN_RATE).toFixed(2);
-};
-
-const convertEURtoBGN = (eurAmount) => {
-  return (parseFloat(eurAmount) * EUR_TO_BGN_RATE).toFixed(2);
-};
+import { currencyDigits, negateAmount } from '../../../shared/currency.js';
+import { formatRate } from '../../../shared/currency-pair.js';
+import { applyDisplayPhase, phaseNotice } from '../../../shared/phases.js';
+import { formatZonedDate } from '../../../shared/timezone.js';
+import { formatDualAmount, formatDualPair } from '../../../shared/dual-format.js';
+import { linePriceDetails } from '../../../shared/line-prices.js';
+import { breakdownRowLabel } from '../../../shared/breakdown.js';
+import {
+  orderConversionSettings,
+  convertOrder,
+  convertRefunds,
+  snapshotConversion,
+  snapshotRefunds
+} from '../../../shared/order-snapshot.js';
+import { useDualCurrency } from './useDualCurrency.js';
+import { useOrderDetails } from './useOrderDetails.js';
 
 export default reactExtension(
   'customer-account.order-status.block.render',
@@ -29,141 +37,278 @@ export default reactExtension(
 function OrderStatusExtension() {
   // Използваме hooks
   const order = useOrder();
-  const api = useApi();
-  
+  // Поръчката от Customer Account API - работи и за стари поръчки
+  const { order: details, loading, error, retry } = useOrderDetails(order?.id);
+  // Валутата на поръчката, а не текущата валута на клиента
+  const { settings: shopSettings, isTargeted } = useDualCurrency(details?.currencyCode);
+  const translate = useTranslate();
+
+  // Показваме само за купувачите от настройките (пазари, държави, валути)
+  if (!isTargeted) {
+    return null;
+  }
+
   if (!order) {
     return (
       <View padding="base" border="base" background="subdued">
-        <Text>Няма данни за поръчката</Text>
+        <Text>{translate('order.missing')}</Text>
       </View>
     );
   }
-  
-  // Извличаме данните
-  const cost = api?.cost;
-  const lines = api?.lines;
-  const localization = api?.localization;
-  const currency = localization?.currency?.current?.isoCode || 'BGN';
-  const isBGN = currency === 'BGN';
-  
-  // Извличаме lines от current свойството
-  let linesArray = [];
-  if (lines?.current) {
-    linesArray = lines.current;
-  } else if (Array.isArray(lines)) {
-    linesArray = lines;
-  }
-  
-  // Ако има данни, показваме ги
-  if (cost && linesArray.length > 0) {
-    const totalAmount = cost.totalAmount?.current?.amount || 0;
-    const shippingAmount = cost.totalShippingAmount?.current?.amount || 0;
-    
+
+  if (loading) {
     return (
       <View padding="base" border="base" background="subdued">
         <BlockStack spacing="base">
           <Text size="medium" emphasis="bold">
-            🇧🇬 Твоята поръчка 🇪🇺
+            {shopSettings.labels.heading}
           </Text>
-          
-          <View padding="base" background="base" cornerRadius="base">
-            <BlockStack spacing="base">
-              <Text size="small" emphasis="bold">
-                Продукти:
-              </Text>
-              
-              <BlockStack spacing="tight">
-                {linesArray.map((line, index) => {
-                  const title = line?.merchandise?.title || line?.title || `Продукт ${index + 1}`;
-                  const lineAmount = line?.cost?.totalAmount?.amount || 0;
-                  const quantity = line?.quantity || 1;
-                  
-                  const displayPrice = isBGN
-                    ? `${lineAmount.toFixed(2)} ЛВ / ${convertBGNtoEUR(lineAmount)} EUR`
-                    : `${lineAmount.toFixed(2)} EUR / ${convertEURtoBGN(lineAmount)} ЛВ`;
-
-                  return (
+          <SkeletonTextBlock lines={4} />
+        </BlockStack>
+      </View>
+    );
+  }
+
+  if (error || !details) {
+    return (
+      <Banner status="critical" title={translate('order.loadError')}>
+        <BlockStack spacing="tight">
+          <Text size="small">{translate('order.name', { name: order.name || order.id })}</Text>
+          <Button kind="secondary" onPress={retry}>
+            {translate('order.retry')}
+          </Button>
+        </BlockStack>
+      </Banner>
+    );
+  }
+
+  const currency = details.currencyCode;
+  // Курсът и валутите към момента на поръчката; фазата се прилага след тях,
+  // защото редът на валутите зависи от основната валута на двойката
+  const settings = applyDisplayPhase(orderConversionSettings(shopSettings, details.snapshot));
+  // Нищо след края на периода с двойно обозначаване, ако търговецът е избрал така
+  if (!settings.dualDisplay) {
+    return null;
+  }
+  const linesArray = details.lines;
+  const totalAmount = details.total;
+
+  // Редове, които се сумират до общата сума, и конвертираните суми -
+  // записаните при поръчката, ако поръчката не е променяна след това
+  const recomputed = convertOrder(details, settings);
+  const breakdown = recomputed.breakdown;
+  const converted = snapshotConversion(details.snapshot, details) || recomputed.converted;
+  const summaryRows = converted ? converted.rows : breakdown.rows;
+  const formatRow = (amount, convertedAmount) =>
+    formatDualPair(amount, currency, convertedAmount, converted?.currencyCode, settings);
+  // Сума, която се изважда (възстановяване) - и двете валути с минус
+  const formatDeduction = (amount, convertedAmount) => formatRow(
+    negateAmount(amount, currencyDigits(currency)),
+    convertedAmount === undefined || convertedAmount === null
+      ? convertedAmount
+      : negateAmount(convertedAmount, currencyDigits(converted?.currencyCode))
+  );
+  const totalRow = summaryRows.find(row => row.type === 'total');
+  const breakdownRows = summaryRows.filter(row => {
+    if (row.type === 'shipping') {
+      return settings.sections.shipping && Number(row.amount) > 0;
+    }
+    // Разликата от закръгляне се показва винаги, за да се сумират редовете -
+    // освен когато се показва само валутата на поръчката
+    if (row.type === 'rounding') {
+      return settings.singleCurrency !== currency;
+    }
+    return settings.sections.breakdown && row.type !== 'total';
+  });
+
+  // Възстановени суми по курса към момента на поръчката
+  const refunds = snapshotRefunds(details.snapshot, details) || convertRefunds(details.refunds, {
+    currencyCode: currency,
+    total: totalAmount,
+    convertedOrderTotal: totalRow?.converted
+  }, settings);
+  const refundRowLabel = (row) => {
+    if (row.type === 'line') {
+      return translate('lineTitle', { count: row.quantity, title: row.title });
+    }
+    return settings.labels[row.type];
+  };
+
+  const switchNotice = phaseNotice(settings);
+
+  return (
+    <View padding="base" border="base" background="subdued">
+      <BlockStack spacing={settings.layout === 'compact' ? 'tight' : 'base'}>
+        <Text size="medium" emphasis="bold">
+          {settings.labels.heading}
+        </Text>
+
+        {/* Известие за преминаването към евро */}
+        {switchNotice && <Banner status="info">{translate(switchNotice.key, switchNotice.values)}</Banner>}
+
+        <View padding="base" background="base" cornerRadius="base">
+          <BlockStack spacing="base">
+            {settings.sections.lines && (
+              <>
+                <Text size="small" emphasis="bold">
+                  {settings.labels.products}
+                </Text>
+
+                <BlockStack spacing="tight">
+                  {linesArray.map((line, index) => {
+                    const title = line.title || translate('lineFallback', { number: index + 1 });
+                    const lineAmount = line.totalAmount;
+                    const quantity = line.quantity;
+                    // Единична цена и цена преди отстъпка за продукта
+                    const prices = linePriceDetails(line, currency);
+
+                    const displayPrice = formatRow(lineAmount, converted?.lines[index]);
+
+                    return (
+                      <BlockStack key={line.id} spacing="none">
+                        <InlineLayout spacing="base" blockAlignment="center">
+                          <View inlineAlignment="start" minInlineSize="fill">
+                            <Text size="small">
+                              {translate('lineTitle', { count: quantity, title })}
+                            </Text>
+                          </View>
+                          <View inlineAlignment="end">
+                            <Text size="small" emphasis="bold">
+                              {displayPrice}
+                            </Text>
+                          </View>
+                        </InlineLayout>
+                        {settings.sections.variantTitle && line.variantTitle && (
+                          <Text size="small" appearance="subdued">{line.variantTitle}</Text>
+                        )}
+                        {settings.sections.compareAtPrice && prices.originalAmount && (
+                          <Text size="small" appearance="subdued" accessibilityRole="deletion">
+                            {formatDualAmount(prices.originalAmount, currency, settings)}
+                          </Text>
+                        )}
+                        {settings.sections.unitPrice && (
+                          <Text size="small" appearance="subdued">
+                            {settings.labels.unitPrice}: {formatDualAmount(prices.unitPrice, currency, settings)}
+                          </Text>
+                        )}
+                      </BlockStack>
+                    );
+                  })}
+                </BlockStack>
+              </>
+            )}
+
+            {breakdownRows.length > 0 && (
+              <>
+                {settings.sections.lines && <Divider />}
+                <BlockStack spacing="tight">
+                  {breakdownRows.map((row, index) => (
                     <InlineLayout
-                      key={`line-${index}`}
+                      key={`${row.type}-${index}`}
                       spacing="base"
                       blockAlignment="center"
                     >
                       <View inlineAlignment="start" minInlineSize="fill">
-                        <Text size="small">
-                          {quantity}× {title}
+                        <Text size="small" appearance={row.included ? 'subdued' : undefined}>
+                          {breakdownRowLabel(row, settings.labels)}
                         </Text>
                       </View>
                       <View inlineAlignment="end">
-                        <Text size="small" emphasis="bold">
-                          {displayPrice}
+                        <Text size="small" emphasis={row.included ? undefined : 'bold'}>
+                          {formatRow(row.amount, row.converted)}
                         </Text>
                       </View>
                     </InlineLayout>
-                  );
-                })}
-              </BlockStack>
+                  ))}
+                </BlockStack>
+              </>
+            )}
+          </BlockStack>
+        </View>
 
-              {shippingAmount > 0 && (
-                <>
-                  <Divider />
-                  <InlineLayout spacing="base" blockAlignment="center">
-                    <View inlineAlignment="start" minInlineSize="fill">
-                      <Text size="small">Доставка</Text>
-                    </View>
-                    <View inlineAlignment="end">
-                      <Text size="small" emphasis="bold">
-                        {isBGN
-                          ? `${shippingAmount.toFixed(2)} ЛВ / ${convertBGNtoEUR(shippingAmount)} EUR`
-                          : `${shippingAmount.toFixed(2)} EUR / ${convertEURtoBGN(shippingAmount)} ЛВ`
-                        }
-                      </Text>
-                    </View>
-                  </InlineLayout>
-                </>
-              )}
-            </BlockStack>
-          </View>
-          
+        {settings.sections.total && (
           <View padding="tight" background="interactive" cornerRadius="base">
             <InlineLayout spacing="base" blockAlignment="center">
               <View inlineAlignment="start" minInlineSize="fill">
-                <Text size="medium" emphasis="bold">Общо:</Text>
+                <Text size="medium" emphasis="bold">{settings.labels.total}</Text>
               </View>
               <View inlineAlignment="end">
                 <Text size="large" emphasis="bold">
-                  {isBGN
-                    ? `${totalAmount.toFixed(2)} ЛВ / ${convertBGNtoEUR(totalAmount)} EUR`
-                    : `${totalAmount.toFixed(2)} EUR / ${convertEURtoBGN(totalAmount)} ЛВ`
-                  }
+                  {formatRow(totalAmount, totalRow?.converted)}
                 </Text>
               </View>
             </InlineLayout>
           </View>
-          
+        )}
+
+        {settings.sections.refunds && refunds.refunds.length > 0 && (
+          <View padding="base" background="base" cornerRadius="base">
+            <BlockStack spacing="base">
+              <Text size="small" emphasis="bold">
+                {settings.labels.refunds}
+              </Text>
+
+              {refunds.refunds.map(refund => (
+                <BlockStack key={refund.id} spacing="extraTight">
+                  <InlineLayout spacing="base" blockAlignment="center">
+                    <View inlineAlignment="start" minInlineSize="fill">
+                      <Text size="small">
+                        {settings.labels.refund} {formatZonedDate(refund.createdAt, settings.locale)}
+                      </Text>
+                    </View>
+                    <View inlineAlignment="end">
+                      <Text size="small" emphasis="bold">
+                        {formatDeduction(refund.total, refund.converted)}
+                      </Text>
+                    </View>
+                  </InlineLayout>
+                  {refund.rows.map((row, index) => (
+                    <InlineLayout key={`${row.type}-${index}`} spacing="base" blockAlignment="center">
+                      <View inlineAlignment="start" minInlineSize="fill">
+                        <Text size="small" appearance="subdued">
+                          {refundRowLabel(row)}
+                        </Text>
+                      </View>
+                      <View inlineAlignment="end">
+                        <Text size="small" appearance="subdued">
+                          {formatDeduction(row.amount, row.converted)}
+                        </Text>
+                      </View>
+                    </InlineLayout>
+                  ))}
+                </BlockStack>
+              ))}
+
+              <Divider />
+              <InlineLayout spacing="base" blockAlignment="center">
+                <View inlineAlignment="start" minInlineSize="fill">
+                  <Text size="small" emphasis="bold">{settings.labels.netPaid}</Text>
+                </View>
+                <View inlineAlignment="end">
+                  <Text size="small" emphasis="bold">
+                    {formatRow(refunds.netPaid.amount, refunds.netPaid.converted)}
+                  </Text>
+                </View>
+              </InlineLayout>
+            </BlockStack>
+          </View>
+        )}
+
+        {settings.sections.rateInfo && (
           <View padding="extraTight">
             <Text size="small" appearance="subdued">
-              Курс: 1 EUR = {EUR_TO_BGN_RATE} BGN (фиксиран курс на БНБ)
+              {settings.rateProvider === 'fixed'
+                ? translate('rate.fixed', { rate: formatRate(settings) })
+                : translate(settings.rateStale ? 'rate.stale' : 'rate.provider', {
+                  rate: formatRate(settings),
+                  provider: settings.rateProvider.toUpperCase(),
+                  date: settings.rateDate
+                })}
+              {details.snapshot ? translate('rate.orderDate', { date: formatZonedDate(details.snapshot.takenAt, settings.locale) }) : ''}
             </Text>
           </View>
-        </BlockStack>
-      </View>
-    );
-  }
-  
-  // Ако няма данни
-  return (
-    <View padding="base" border="base" background="subdued">
-      <BlockStack spacing="base">
-        <Text size="medium" emphasis="bold">
-          🇧🇬 Твоята поръчка 🇪🇺
-        </Text>
-        <Text size="small">
-          Поръчка: {order.name || order.id}
-        </Text>
-        <Text size="small" appearance="subdued">
-          Моля, презаредете страницата ако не виждате данните
-        </Text>
+        )}
       </BlockStack>
     </View>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,25 @@
+// extensions/order-status-ui/src/useDualCurrency.js
+// Settings and buyer targeting for the order status extension
+import {
+  useAppMetafields,
+  useCurrency,
+  useLanguage,
+  useLocalizationCountry,
+  useLocalizationMarket,
+  useSettings,
+  useTranslate
+} from '@shopify/ui-extensions-react/customer-account';
+import { createDualCurrencyHook } from '../../../shared/hooks/dual-currency.js';
+
+// Called with the order's currency, the viewer's current one until it is
+// known. The phase of the dual-display period is left to the surface: it
+// depends on the pair the order was converted with, known once it has loaded.
+export const useDualCurrency = createDualCurrencyHook({
+  useAppMetafields,
+  useCurrency,
+  useLanguage,
+  useLocalizationCountry,
+  useLocalizationMarket,
+  useSettings,
+  useTranslate
+}, { applyPhase: false });
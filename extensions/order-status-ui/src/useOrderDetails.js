@@ -0,0 +1,136 @@
+// extensions/order-status-ui/src/useOrderDetails.js
+// The order as the Customer Account API reports it, independent of the checkout
+// hooks, which are empty for orders placed before the extension was installed.
+// Amounts are the order's presentment money, in the currency it was placed in.
+import { toMinorUnits, formatMinorUnits, currencyDigits } from '../../../shared/currency.js';
+import { splitOrderAllocations } from '../../../shared/breakdown.js';
+import { ORDER_SNAPSHOT_METAFIELD, parseOrderSnapshot } from '../../../shared/order-snapshot.js';
+import { useRemoteData } from '../../../shared/hooks/remote-data.js';
+
+const CUSTOMER_ACCOUNT_API = 'shopify://customer-account/api/2024-07/graphql.json';
+
+const MONEY = 'amount currencyCode';
+
+const ORDER_QUERY = `
+  query OrderDetails($id: ID!) {
+    order(id: $id) {
+      id
+      name
+      processedAt
+      currencyCode
+      totalPrice { ${MONEY} }
+      totalShipping { ${MONEY} }
+      totalTax { ${MONEY} }
+      totalDuties { ${MONEY} }
+      totalRefunded { ${MONEY} }
+      conversion: metafield(namespace: "${ORDER_SNAPSHOT_METAFIELD.namespace}", key: "${ORDER_SNAPSHOT_METAFIELD.key}") {
+        value
+      }
+      lineItems(first: 250) {
+        nodes {
+          id
+          title
+          variantTitle
+          quantity
+          price { ${MONEY} }
+          totalPrice { ${MONEY} }
+          discountAllocations {
+            allocatedAmount { ${MONEY} }
+            discountApplication {
+              targetSelection
+              ... on DiscountCodeApplication { code }
+              ... on AutomaticDiscountApplication { title }
+              ... on ManualDiscountApplication { title }
+              ... on ScriptDiscountApplication { title }
+            }
+          }
+        }
+      }
+      refunds {
+        id
+        createdAt
+        totalRefunded { ${MONEY} }
+      }
+    }
+  }
+`;
+
+// Shape the query result like the checkout hooks do, so the same breakdown
+// helpers work on both: lines carry their own discounts only, and the subtotal
+// is the sum of the lines after those discounts.
+export function normalizeOrder(order) {
+  const { currencyCode } = order;
+  const digits = currencyDigits(currencyCode);
+  const lineItems = order.lineItems.nodes;
+
+  const { lines, orderAllocations } = splitOrderAllocations(lineItems.map(line => ({
+    id: line.id,
+    title: line.title,
+    variantTitle: line.variantTitle,
+    quantity: line.quantity,
+    unitPrice: line.price?.amount ?? '0',
+    totalAmount: line.totalPrice?.amount ?? '0',
+    discountAllocations: line.discountAllocations.map(allocation => ({
+      code: allocation.discountApplication?.code,
+      title: allocation.discountApplication?.title,
+      targetSelection: allocation.discountApplication?.targetSelection,
+      discountedAmount: allocation.allocatedAmount
+    }))
+  })), currencyCode);
+
+  const subtotal = formatMinorUnits(
+    lines.reduce((sum, line) => sum + toMinorUnits(line.totalAmount, digits), 0),
+    digits
+  );
+
+  return {
+    id: order.id,
+    name: order.name,
+    processedAt: order.processedAt,
+    currencyCode,
+    lines,
+    orderAllocations,
+    subtotal,
+    shipping: order.totalShipping?.amount ?? null,
+    tax: order.totalTax?.amount ?? null,
+    duties: order.totalDuties?.amount ?? null,
+    total: order.totalPrice.amount,
+    totalRefunded: order.totalRefunded?.amount ?? '0',
+    // Only the refunded totals; the snapshot has the refunded lines and shipping
+    refunds: order.refunds
+      .map(refund => ({
+        id: refund.id,
+        createdAt: refund.createdAt,
+        total: refund.totalRefunded.amount
+      }))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+    // Pair and rate at purchase time; null for orders placed before the app recorded it
+    snapshot: parseOrderSnapshot(order.conversion?.value)
+  };
+}
+
+async function fetchOrder(id) {
+  const response = await fetch(CUSTOMER_ACCOUNT_API, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query: ORDER_QUERY, variables: { id } })
+  });
+  if (!response.ok) {
+    throw new Error(`Customer Account API responded ${response.status}`);
+  }
+
+  const result = await response.json();
+  if (result.errors?.length) {
+    throw new Error(result.errors[0].message);
+  }
+  if (!result.data?.order) {
+    throw new Error(`Order ${id} not found`);
+  }
+  return normalizeOrder(result.data.order);
+}
+
+// { order, loading, error, retry } for the order with `orderId`
+export function useOrderDetails(orderId) {
+  const { data, loading, error, retry } = useRemoteData(orderId, fetchOrder);
+  return { order: data, loading, error, retry };
+}
@@ -0,0 +1,140 @@
+// extensions/product-admin-ui/src/ProductBlock.jsx
+import { useEffect, useState } from 'react';
+import {
+  reactExtension,
+  AdminBlock,
+  BlockStack,
+  InlineStack,
+  Text,
+  TextField,
+  Button,
+  Banner,
+  Divider,
+  ProgressIndicator,
+  useApi,
+  useTranslate
+} from '@shopify/ui-extensions-react/admin';
+import { formatRate } from '../../../shared/currency-pair.js';
+import { formatMoney, localizeSettings } from '../../../shared/dual-format.js';
+import { useProductPrices } from './useProductPrices.js';
+
+const TARGET = 'admin.product-details.block.render';
+
+export default reactExtension(TARGET, () => <ProductPricesBlock />);
+
+// Полетата с ръчни цени, както са записани
+const storedInputs = (preview) =>
+  Object.fromEntries((preview?.variants || []).map(variant => [variant.variantId, variant.manualPrice || '']));
+
+function ProductPricesBlock() {
+  const { data, i18n } = useApi(TARGET);
+  const translate = useTranslate();
+  const productId = data.selected[0]?.id;
+  const { preview, loading, error, retry, save, saving } = useProductPrices(productId);
+  const [inputs, setInputs] = useState({});
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    setInputs(storedInputs(preview));
+  }, [preview]);
+
+  if (loading) {
+    return (
+      <AdminBlock title={translate('title')}>
+        <ProgressIndicator size="small-200" />
+      </AdminBlock>
+    );
+  }
+
+  if (!preview) {
+    return (
+      <AdminBlock title={translate('title')}>
+        <Banner tone="critical" title={translate('loadError')}>
+          <BlockStack gap>
+            {error && <Text>{error.message}</Text>}
+            <Button onPress={retry}>{translate('retry')}</Button>
+          </BlockStack>
+        </Banner>
+      </AdminBlock>
+    );
+  }
+
+  // Сумите са на езика на администратора, ако търговецът не е избрал формат
+  const settings = localizeSettings(preview.settings, { language: i18n.locale });
+  const { currencyCode, convertedCurrency } = preview;
+  const money = (amount, code) => (amount === null ? '—' : formatMoney(amount, code, settings));
+  // Грешките от сървъра са по ID на варианта
+  const fieldError = (variantId) =>
+    error?.details?.some(detail => detail.field === variantId) ? translate('invalidAmount') : undefined;
+  const stored = storedInputs(preview);
+  const changed = Object.keys(inputs).filter(variantId => inputs[variantId] !== stored[variantId]);
+
+  const onSave = async () => {
+    setSaved(false);
+    const ok = await save(Object.fromEntries(changed.map(variantId => [variantId, inputs[variantId]])));
+    setSaved(ok);
+  };
+
+  return (
+    <AdminBlock title={translate('title')}>
+      <BlockStack gap>
+        {error && !error.details?.length && (
+          <Banner tone="critical" title={translate('saveError')}>
+            <Text>{error.message}</Text>
+          </Banner>
+        )}
+        {saved && changed.length === 0 && <Banner tone="success" title={translate('saved')} />}
+
+        <Text>{translate('rate', { rate: formatRate(settings) })}</Text>
+
+        {preview.variants.map((variant, index) => (
+          <BlockStack key={variant.variantId} gap="small">
+            {index > 0 && <Divider />}
+            <Text fontWeight="bold">{variant.variantTitle}{variant.sku ? ` · ${variant.sku}` : ''}</Text>
+
+            {/* Цена и цена преди намаление, конвертирани по правилата на магазина */}
+            <InlineStack inlineAlignment="space-between" gap>
+              <Text>{translate('price')}</Text>
+              <Text>
+                {money(variant.price.old, currencyCode)} → {money(variant.price.converted, convertedCurrency)}
+                {variant.price.new !== variant.price.converted && !variant.manualPrice
+                  ? ` (${translate('rounded', { amount: money(variant.price.new, convertedCurrency) })})`
+                  : ''}
+              </Text>
+            </InlineStack>
+            {variant.compareAtPrice.old !== null && (
+              <InlineStack inlineAlignment="space-between" gap>
+                <Text>{translate('compareAtPrice')}</Text>
+                <Text>
+                  {money(variant.compareAtPrice.old, currencyCode)} → {money(variant.compareAtPrice.new, convertedCurrency)}
+                </Text>
+              </InlineStack>
+            )}
+
+            <TextField
+              label={translate('manualPrice', { currency: convertedCurrency })}
+              placeholder={variant.price.new ?? ''}
+              value={inputs[variant.variantId] ?? ''}
+              error={fieldError(variant.variantId)}
+              onChange={value => setInputs(current => ({ ...current, [variant.variantId]: value }))}
+            />
+            {/* Увеличение над допустимото спрямо конвертираната цена */}
+            {variant.priceEnding.flagged && (
+              <Banner tone="warning">
+                <Text>{translate('increaseFlagged')}</Text>
+              </Banner>
+            )}
+          </BlockStack>
+        ))}
+
+        <Text>{translate('manualPriceHelp')}</Text>
+
+        <InlineStack inlineAlignment="end">
+          <Button variant="primary" onPress={onSave} disabled={saving || changed.length === 0}>
+            {saving ? translate('saving') : translate('save')}
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </AdminBlock>
+  );
+}
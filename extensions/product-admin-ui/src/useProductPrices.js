@@ -0,0 +1,35 @@
+// extensions/product-admin-ui/src/useProductPrices.js
+// Converted and manual prices of a product's variants from the app server.
+import { useCallback, useState } from 'react';
+import { appRequest, useRemoteData } from '../../../shared/hooks/remote-data.js';
+
+const pricesPath = (productId) => `/api/products/${encodeURIComponent(productId)}/prices`;
+
+const fetchPreview = (productId) => appRequest(pricesPath(productId)).then(data => data.preview);
+
+// { preview, loading, error, retry, save, saving } for the product with
+// `productId`; save(overrides) stores { [variantId]: amount or '' } and reloads
+export function useProductPrices(productId) {
+  const { data, loading, error, retry, setData, setError } = useRemoteData(productId, fetchPreview);
+  const [saving, setSaving] = useState(false);
+
+  const save = useCallback(async (overrides) => {
+    setSaving(true);
+    try {
+      const result = await appRequest(pricesPath(productId), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ overrides })
+      });
+      setData(result.preview);
+      return true;
+    } catch (requestError) {
+      setError(requestError);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  }, [productId, setData, setError]);
+
+  return { preview: data, loading, error, retry, save, saving };
+}
@@ -0,0 +1,288 @@
+// extensions/theme-multicurrency/assets/dual-price.js
+// Storefront dual-price display: finds the prices the theme renders and appends
+// the amount in the other currency of the pair. Re-renders whenever the theme
+// changes a price (variant switch, AJAX cart, quantity change).
+import { formatMinorUnits, currencyDigits } from './currency.js';
+import { formatMoney, formatConvertedAmount, localizeSettings } from './dual-format.js';
+import { parseSettingsMetafield } from './settings.js';
+import { isTargetedBuyer } from './targeting.js';
+import { applyDisplayPhase } from './phases.js';
+import { counterpartCurrency } from './currency-pair.js';
+import { parsePriceOverride, priceOverrideAmount } from './price-overrides.js';
+
+// Price elements of Dawn and most Online Store 2.0 themes
+const DEFAULT_SELECTORS = [
+  '.price-item--regular',
+  '.price-item--sale',
+  '.cart-item__price-wrapper .price',
+  '.cart-item__final-price',
+  '.totals__subtotal-value',
+  '.totals__total-value',
+  '.money'
+];
+
+const SECONDARY_CLASS = 'bgn2eur-secondary';
+
+// Parts of the page themes re-render after a cart change (Dawn custom elements,
+// cart forms, the header count) and the DOM events themes dispatch for it
+const CART_CONTAINERS = 'form[action*="/cart"], cart-drawer, cart-items, cart-notification, #cart-icon-bubble, [data-cart]';
+const CART_EVENTS = ['cart:updated', 'cart:refresh', 'cart:change', 'theme:cart:change'];
+const CART_REFRESH_DELAY = 300;
+
+function readConfig() {
+  // The embed's config carries the merchant's style and selectors; an app block
+  // renders its own so it also works with the embed turned off
+  const element = document.querySelector('[data-bgn2eur-config="embed"]') ||
+    document.querySelector('[data-bgn2eur-config]');
+  if (!element) {
+    return null;
+  }
+
+  try {
+    const config = JSON.parse(element.textContent);
+    const settings = applyDisplayPhase(localizeSettings(parseSettingsMetafield(config.settings), {
+      language: config.locale,
+      countryCode: config.country
+    }));
+    return { ...config, settings };
+  } catch (error) {
+    console.error('Dual price: invalid config', error);
+    return null;
+  }
+}
+
+// "1 234,56 лв." / "€1,234.56" -> "1234.56". A separator followed by exactly
+// three digits is treated as a thousands separator.
+function parsePriceText(text) {
+  const match = /\d[\d.,\s ]*\d|\d/.exec(text || '');
+  if (!match) {
+    return null;
+  }
+
+  const number = match[0].replace(/[\s ]/g, '');
+  const lastSeparator = Math.max(number.lastIndexOf('.'), number.lastIndexOf(','));
+  if (lastSeparator === -1) {
+    return number;
+  }
+
+  const decimals = number.length - lastSeparator - 1;
+  const integerPart = number.slice(0, lastSeparator).replace(/[.,]/g, '');
+  return decimals === 3
+    ? number.replace(/[.,]/g, '')
+    : `${integerPart}.${number.slice(lastSeparator + 1)}`;
+}
+
+function createRenderer(config) {
+  const { settings, currency } = config;
+  const selectors = [
+    '[data-bgn2eur-price]',
+    ...(config.selectors ? config.selectors.split(',').map(item => item.trim()).filter(Boolean) : DEFAULT_SELECTORS)
+  ].join(',');
+
+  // The merchant's manual price in the other currency replaces the conversion
+  const convertedText = (element, amount) => {
+    const target = counterpartCurrency(settings, currency);
+    const manualPrice = priceOverrideAmount(parsePriceOverride(element.dataset.bgn2eurOverride), target);
+    if (manualPrice !== null && (!settings.singleCurrency || settings.singleCurrency === target)) {
+      return formatMoney(manualPrice, target, settings);
+    }
+    return formatConvertedAmount(amount, currency, settings);
+  };
+
+  const formatSecondary = (element, amount) => {
+    const text = convertedText(element, amount);
+    if (text === null) {
+      return null;
+    }
+
+    if (config.style === 'parentheses') {
+      return ` (${text})`;
+    }
+    return config.style === 'below' ? text : ` / ${text}`;
+  };
+
+  // Amount shown by an element: from data-bgn2eur-price (minor units) or its text
+  const readAmount = (element) => {
+    if (element.dataset.bgn2eurPrice) {
+      return formatMinorUnits(element.dataset.bgn2eurPrice, currencyDigits(currency));
+    }
+    return parsePriceText(element.textContent);
+  };
+
+  return function render() {
+    const elements = [...document.querySelectorAll(selectors)].filter(element =>
+      !element.closest(`.${SECONDARY_CLASS}`) &&
+      // Innermost match wins so nested price wrappers get one conversion
+      !element.querySelector(selectors)
+    );
+
+    for (const element of elements) {
+      let secondary = element.nextElementSibling?.classList.contains(SECONDARY_CLASS)
+        ? element.nextElementSibling
+        : null;
+
+      let text = null;
+      try {
+        const amount = readAmount(element);
+        text = amount === null ? null : formatSecondary(element, amount);
+      } catch (error) {
+        text = null;
+      }
+
+      if (text === null) {
+        secondary?.remove();
+        continue;
+      }
+
+      if (!secondary) {
+        secondary = document.createElement('span');
+        secondary.className = `${SECONDARY_CLASS} ${SECONDARY_CLASS}--${config.style || 'slash'}`;
+        element.after(secondary);
+      }
+      // Only touch the DOM when the text changes, so our own mutations settle
+      if (secondary.textContent !== text) {
+        secondary.textContent = text;
+      }
+    }
+  };
+}
+
+function setPrimaryPrice(element, minorUnits, currencyCode, settings) {
+  element.dataset.bgn2eurPrice = String(minorUnits);
+  const primary = element.querySelector('[data-bgn2eur-primary]');
+  if (primary) {
+    primary.textContent = formatMoney(formatMinorUnits(minorUnits, currencyDigits(currencyCode)), currencyCode, settings);
+  }
+}
+
+// Selected variant as the theme reports it: the product form input, else ?variant=
+function selectedVariantId(block) {
+  const input = block.closest('section, .shopify-section')?.querySelector('form[action*="/cart/add"] [name="id"]') ||
+    document.querySelector('form[action*="/cart/add"] [name="id"]');
+  return input?.value || new URLSearchParams(window.location.search).get('variant');
+}
+
+function readVariantMap(element, attribute) {
+  return JSON.parse(element.parentElement.querySelector(`[${attribute}]`)?.textContent || '{}');
+}
+
+// Product price blocks carry every variant price and manual price; follow the selected variant
+function syncVariantPrices(currencyCode, settings) {
+  document.querySelectorAll('[data-bgn2eur-product]').forEach(element => {
+    const variantId = selectedVariantId(element);
+    const price = readVariantMap(element, 'data-bgn2eur-variant-prices')[variantId];
+    if (price === undefined) {
+      return;
+    }
+
+    const override = JSON.stringify(readVariantMap(element, 'data-bgn2eur-variant-overrides')[variantId] ?? null);
+    if (element.dataset.bgn2eurOverride !== override) {
+      element.dataset.bgn2eurOverride = override;
+    }
+    if (element.dataset.bgn2eurPrice !== String(price)) {
+      setPrimaryPrice(element, price, currencyCode, settings);
+    }
+  });
+}
+
+// Cart totals rendered by the app block are static Liquid; refresh them from /cart.js
+async function refreshCartTotals(settings) {
+  const elements = document.querySelectorAll('[data-bgn2eur-cart-total]');
+  if (elements.length === 0) {
+    return;
+  }
+
+  const response = await fetch('/cart.js', { headers: { Accept: 'application/json' } });
+  const cart = await response.json();
+  elements.forEach(element => {
+    // Unchanged totals leave the DOM alone, so the refresh does not trigger itself
+    if (element.dataset.bgn2eurPrice !== String(cart.total_price)) {
+      setPrimaryPrice(element, cart.total_price, cart.currency, settings);
+    }
+  });
+}
+
+// Whether a mutation is the theme updating its cart, not our own rendering
+function isCartMutation(record) {
+  const target = record.target.nodeType === Node.ELEMENT_NODE ? record.target : record.target.parentElement;
+  return Boolean(target?.closest(CART_CONTAINERS)) &&
+    !target.closest(`.${SECONDARY_CLASS}, [data-bgn2eur-cart-total]`);
+}
+
+function init() {
+  if (window.__bgn2eurDualPrice) {
+    return;
+  }
+  window.__bgn2eurDualPrice = true;
+
+  const config = readConfig();
+  if (!config) {
+    return;
+  }
+
+  const { settings, currency } = config;
+  const isPairCurrency = [settings.primaryCurrency, settings.secondaryCurrency].includes(currency);
+  const isTargeted = isTargetedBuyer(settings, {
+    countryCode: config.country,
+    marketHandle: config.market,
+    marketId: config.marketId,
+    currencyCode: currency
+  });
+
+  // Nothing at all once the dual-display period is over, if the merchant chose so
+  if (!isPairCurrency || !isTargeted || !settings.dualDisplay) {
+    return;
+  }
+
+  const render = createRenderer(config);
+
+  let scheduled = false;
+  const scheduleRender = () => {
+    if (scheduled) {
+      return;
+    }
+    scheduled = true;
+    requestAnimationFrame(() => {
+      scheduled = false;
+      syncVariantPrices(currency, settings);
+      render();
+    });
+  };
+
+  // Batches the bursts of changes a theme makes while re-rendering its cart
+  let cartTimer = null;
+  const scheduleCartRefresh = () => {
+    clearTimeout(cartTimer);
+    cartTimer = setTimeout(() => {
+      refreshCartTotals(settings).then(scheduleRender).catch(error => console.error('Dual price: cart refresh failed', error));
+    }, CART_REFRESH_DELAY);
+  };
+
+  new MutationObserver(records => {
+    scheduleRender();
+    if (records.some(isCartMutation)) {
+      scheduleCartRefresh();
+    }
+  }).observe(document.body, {
+    childList: true,
+    subtree: true,
+    characterData: true
+  });
+  // Variant pickers and quantity inputs do not always change the DOM
+  document.addEventListener('change', event => {
+    scheduleRender();
+    if (event.target.closest?.(CART_CONTAINERS)) {
+      scheduleCartRefresh();
+    }
+  });
+  CART_EVENTS.forEach(name => document.addEventListener(name, scheduleCartRefresh));
+
+  syncVariantPrices(currency, settings);
+  render();
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
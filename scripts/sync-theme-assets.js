@@ -0,0 +1,20 @@
+// scripts/sync-theme-assets.js
+// Theme app extensions are not bundled, so the shared modules are copied into the
+// extension's assets and loaded from the CDN as ES modules. The copies are
+// git-ignored; postinstall writes them, so a fresh clone is ready for a plain
+// `shopify app deploy` (which needs node_modules for the UI extensions anyway),
+// and predev, preshopify-build and predeploy refresh them after shared/ changes.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const sharedDir = path.join(root, 'shared');
+const assetsDir = path.join(root, 'extensions/theme-multicurrency/assets');
+
+for (const file of fs.readdirSync(sharedDir).filter(name => name.endsWith('.js'))) {
+  const source = fs.readFileSync(path.join(sharedDir, file), 'utf8');
+  const header = `// Generated from shared/${file} by scripts/sync-theme-assets.js - do not edit\n`;
+  fs.writeFileSync(path.join(assetsDir, file), header + source);
+  console.log(`✓ ${file}`);
+}
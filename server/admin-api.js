@@ -0,0 +1,29 @@
+// server/admin-api.js
+export const ADMIN_API_VERSION = '2024-10';
+
+// Run an Admin GraphQL request with the shop's offline session.
+// Throws on transport or top-level GraphQL errors; userErrors are left to the caller.
+export async function adminGraphQL(session, query, variables = {}) {
+  const response = await fetch(`https://${session.shop}/admin/api/${ADMIN_API_VERSION}/graphql.json`, {
+    method: 'POST',
+    headers: {
+      'X-Shopify-Access-Token': session.accessToken,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ query, variables })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Admin API request failed with status ${response.status}`);
+  }
+
+  const result = await response.json();
+
+  if (result.errors) {
+    const error = new Error(result.errors[0]?.message || 'GraphQL query error');
+    error.errors = result.errors;
+    throw error;
+  }
+
+  return result.data;
+}
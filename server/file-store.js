@@ -0,0 +1,71 @@
+// server/file-store.js
+import fs from 'fs';
+import path from 'path';
+
+export const DATA_DIR = process.env.DATA_DIR || path.resolve('data');
+
+// Small key/value store persisted as one JSON file per collection in DATA_DIR.
+// Records are kept in memory and the whole file is rewritten on every change.
+export function createFileStore(name) {
+  const filePath = path.join(DATA_DIR, `${name}.json`);
+  let records = null;
+  let writeQueue = Promise.resolve();
+
+  function load() {
+    if (records) {
+      return records;
+    }
+
+    try {
+      const raw = fs.readFileSync(filePath, 'utf8');
+      records = new Map(Object.entries(JSON.parse(raw)));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Failed to read store ${filePath}:`, err);
+      }
+      records = new Map();
+    }
+
+    return records;
+  }
+
+  // Write to a temp file and rename, so a crash mid-write never leaves a truncated store
+  function persist() {
+    const snapshot = JSON.stringify(Object.fromEntries(load()), null, 2);
+
+    writeQueue = writeQueue
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(DATA_DIR, { recursive: true });
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpPath, snapshot, { mode: 0o600 });
+        await fs.promises.rename(tmpPath, filePath);
+      });
+
+    return writeQueue;
+  }
+
+  return {
+    async get(key) {
+      return load().get(key);
+    },
+
+    async set(key, value) {
+      load().set(key, value);
+      await persist();
+      return value;
+    },
+
+    async delete(key) {
+      const existed = load().delete(key);
+      if (existed) {
+        await persist();
+      }
+      return existed;
+    },
+
+    async entries() {
+      return [...load().entries()];
+    }
+  };
+}
@@ -7,35 +7,43 @@ import Router from 'koa-router';
 import crypto from 'crypto';
 import getRawBody from 'raw-body';
 import { shopifyApi, LATEST_API_VERSION, Session } from '@shopify/shopify-api';
-
-// Session storage
-const memorySessionStorage = {
-  storage: new Map(),
-
-  async storeSession(session) {
-    this.storage.set(session.id, session);
-    return true;
-  },
-
-  async loadSession(id) {
-    return this.storage.get(id);
-  },
-
-  async deleteSession(id) {
-    this.storage.delete(id);
-    return true;
-  },
-
-  async findSessionsByShop(shop) {
-    const sessions = [];
-    for (const [id, session] of this.storage) {
-      if (session.shop === shop) {
-        sessions.push(session);
-      }
-    }
-    return sessions;
-  }
-};
+import { createSessionStorage } from './session-storage.js';
+import { DATA_DIR } from './file-store.js';
+import { getShopSettings, saveShopSettings, deleteShopSettings, syncSettingsMetafield } from './settings.js';
+import {
+  startConversionJob,
+  getConversionJob,
+  getConversionReportCsv,
+  getPriceSnapshot,
+  deletePriceSnapshot,
+  deleteConversionData,
+  fetchVariantSample,
+  convertVariantPrices,
+  conversionOptionsFromSettings
+} from './price-conversion.js';
+import {
+  getSwitchover,
+  scheduleSwitchover,
+  cancelSwitchover,
+  deleteSwitchover,
+  runPreflightChecks,
+  startSwitchoverScheduler
+} from './switchover.js';
+import { resolvePairRate, getPairRateHistory, applyProviderRate, startRateScheduler } from './rates.js';
+import { listMarkets } from './markets.js';
+import { writeOrderSnapshot, getOrderConversion, webhookOrderId } from './order-snapshot.js';
+import { getProductPricePreview, saveProductPriceOverrides } from './price-overrides.js';
+import { getInvoice, renderInvoicePdf, invoiceFileName, invoiceEmail, INVOICE_DOCUMENTS } from './invoice.js';
+import {
+  getInvoiceTemplate,
+  saveInvoiceTemplate,
+  deleteInvoiceTemplate,
+  validateInvoiceTemplate
+} from './invoice-template.js';
+import { isMailConfigured, sendMail } from './mailer.js';
+import { validateSettings } from '../shared/settings.js';
+import { validatePriceEndings } from '../shared/price-endings.js';
+import { phaseStatus } from '../shared/phases.js';
 
 const {
   SHOPIFY_API_KEY,
@@ -50,6 +58,9 @@ if (!SHOPIFY_API_KEY || !SHOPIFY_API_SECRET || !SCOPES || !HOST) {
   process.exit(1);
 }
 
+// Session storage (SESSION_STORAGE=file|memory)
+const sessionStorage = createSessionStorage();
+
 // Initialize Shopify API
 const shopify = shopifyApi({
   apiKey: SHOPIFY_API_KEY,
@@ -58,7 +69,7 @@ const shopify = shopifyApi({
   hostName: HOST.replace('https://', ''),
   apiVersion: LATEST_API_VERSION,
   isEmbeddedApp: true,
-  sessionStorage: memorySessionStorage,
+  sessionStorage: sessionStorage,
   auth: {
     useOnlineTokens: false, // Use offline tokens for billing
   },
@@ -81,6 +92,26 @@ app.use(async (ctx, next) => {
   await next();
 });
 
+// JSON body middleware for API requests
+app.use(async (ctx, next) => {
+  if (ctx.path.startsWith('/api/') && ctx.is('application/json')) {
+    const raw = await getRawBody(ctx.req, {
+      length: ctx.request.headers['content-length'],
+      limit: '1mb',
+      encoding: 'utf8'
+    });
+
+    try {
+      ctx.request.body = raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      ctx.status = 400;
+      ctx.body = { error: 'Invalid JSON body' };
+      return;
+    }
+  }
+  await next();
+});
+
 // CORS middleware
 app.use(async (ctx, next) => {
   ctx.set('Access-Control-Allow-Origin', '*');
@@ -212,15 +243,17 @@ async function authenticateRequest(ctx, next) {
     return;
   }
 
-  const dest = new URL(decodedSessionToken.dest);
-  let shop = dest.hostname;
-
-  const queryShop = ctx.query.shop;
-  if (queryShop && queryShop !== shop) {
-    shop = queryShop;
+  // The shop is always the one the verified token was issued for; a different
+  // ?shop= would reach another shop's stored session
+  const shop = new URL(decodedSessionToken.dest).hostname;
+  if (ctx.query.shop && ctx.query.shop !== shop) {
+    console.error(`Session token for ${shop} used with shop=${ctx.query.shop}`);
+    ctx.status = 403;
+    ctx.body = 'Forbidden';
+    return;
   }
 
-  const sessions = await memorySessionStorage.findSessionsByShop(shop);
+  const sessions = await sessionStorage.findSessionsByShop(shop);
   let session = sessions.find(s => !s.isOnline);
 
   if (!session || !session.accessToken || session.accessToken === 'placeholder') {
@@ -250,7 +283,7 @@ async function authenticateRequest(ctx, next) {
         expires: null
       });
 
-      await memorySessionStorage.storeSession(session);
+      await sessionStorage.storeSession(session);
 
     } catch (error) {
       console.error('Token exchange failed:', error);
@@ -266,6 +299,23 @@ async function authenticateRequest(ctx, next) {
   await next();
 }
 
+// Session-token check without token exchange, for read-only endpoints that
+// checkout and customer account extensions call with their own session tokens
+async function authenticateSessionToken(ctx, next) {
+  const encodedSessionToken = getSessionTokenHeader(ctx);
+
+  try {
+    const decodedSessionToken = await shopify.session.decodeSessionToken(encodedSessionToken);
+    ctx.state.shop = new URL(decodedSessionToken.dest).hostname;
+  } catch (e) {
+    ctx.status = 401;
+    ctx.body = 'Unauthorized';
+    return;
+  }
+
+  await next();
+}
+
 // Billing API endpoints
 router.get('/api/billing/create', authenticateRequest, async (ctx) => {
   try {
@@ -377,7 +427,7 @@ router.get('/api/billing/create', authenticateRequest, async (ctx) => {
 // Billing callback
 router.get('/api/billing/callback', async (ctx) => {
   try {
-    const { shop, charge_id } = ctx.query;
+    const { shop } = ctx.query;
     
     // Clear cache to force new check
     delete SUBSCRIPTION_CACHE[shop];
@@ -538,6 +588,477 @@ router.post('/api/billing/cancel', authenticateRequest, async (ctx) => {
   }
 });
 
+// Shop settings
+router.get('/api/settings', authenticateRequest, async (ctx) => {
+  const settings = await getShopSettings(ctx.state.shop);
+  ctx.body = { settings, phase: phaseStatus(settings) };
+});
+
+router.put('/api/settings', authenticateRequest, async (ctx) => {
+  const shop = ctx.state.shop;
+  const session = ctx.state.session;
+
+  const current = await getShopSettings(shop);
+  const { settings: validated, errors } = validateSettings(ctx.request.body, current);
+
+  if (errors.length > 0) {
+    ctx.status = 400;
+    ctx.body = {
+      error: 'Invalid settings',
+      details: errors
+    };
+    return;
+  }
+
+  // Provider rates are resolved now, so the saved settings never hold a rate from another source
+  let settings;
+  try {
+    settings = await applyProviderRate(validated);
+  } catch (error) {
+    ctx.status = 400;
+    ctx.body = {
+      error: 'Invalid settings',
+      details: [{ field: 'rateProvider', message: `Rate unavailable: ${error.message}` }]
+    };
+    return;
+  }
+
+  await saveShopSettings(shop, settings);
+
+  // Settings are saved even if the metafield mirror fails; the next save retries it
+  let metafieldSynced = true;
+  try {
+    await syncSettingsMetafield(session, settings);
+  } catch (error) {
+    console.error('Failed to sync settings metafield:', error);
+    metafieldSynced = false;
+  }
+
+  ctx.body = { settings, phase: phaseStatus(settings), metafieldSynced };
+});
+
+// Exchange rate of the shop's currency pair
+router.get('/api/rates', authenticateSessionToken, async (ctx) => {
+  const settings = await getShopSettings(ctx.state.shop);
+  const days = Math.min(Math.max(Number(ctx.query.days) || 30, 1), 400);
+
+  try {
+    ctx.body = {
+      rate: await resolvePairRate(settings),
+      history: await getPairRateHistory(settings, days)
+    };
+  } catch (error) {
+    console.error('Failed to resolve rate:', error);
+    ctx.status = 503;
+    ctx.body = { error: error.message };
+  }
+});
+
+// The shop's Markets, for the targeting picker
+router.get('/api/markets', authenticateRequest, async (ctx) => {
+  try {
+    ctx.body = { markets: await listMarkets(ctx.state.session) };
+  } catch (error) {
+    console.error('Failed to load markets:', error);
+    ctx.status = 502;
+    ctx.body = { error: error.message };
+  }
+});
+
+// Dual-currency view of an order for the admin order page. `id` is the
+// numeric order ID or its GID.
+const orderGid = (id) => (/^\d+$/.test(id) ? `gid://shopify/Order/${id}` : id);
+
+router.get('/api/orders/:id/conversion', authenticateRequest, async (ctx) => {
+  try {
+    const conversion = await getOrderConversion(ctx.state.session, orderGid(ctx.params.id));
+    if (!conversion) {
+      ctx.status = 404;
+      ctx.body = { error: 'Order not found' };
+      return;
+    }
+    ctx.body = { conversion };
+  } catch (error) {
+    console.error('Failed to load order conversion:', error);
+    ctx.status = 502;
+    ctx.body = { error: error.message };
+  }
+});
+
+// Rebuild the order's snapshot from the current shop settings
+router.post('/api/orders/:id/snapshot', authenticateRequest, async (ctx) => {
+  const orderId = orderGid(ctx.params.id);
+  try {
+    const { status } = await writeOrderSnapshot(ctx.state.session, orderId, { force: true });
+    if (status === 'missing') {
+      ctx.status = 404;
+      ctx.body = { error: 'Order not found' };
+      return;
+    }
+    ctx.body = { status, conversion: await getOrderConversion(ctx.state.session, orderId) };
+  } catch (error) {
+    console.error('Failed to regenerate order snapshot:', error);
+    ctx.status = 502;
+    ctx.body = { error: error.message };
+  }
+});
+
+// Dual-currency invoice and receipt PDFs. The admin order action can only open
+// links, so it gets download links signed with the app secret that stay valid
+// for a few minutes; the PDF route also accepts a session token.
+const INVOICE_LINK_TTL = 10 * 60 * 1000; // 10 minutes
+
+function invoiceLinkSignature(shop, orderId, document, expires) {
+  return crypto
+    .createHmac('sha256', SHOPIFY_API_SECRET)
+    .update(`${shop}|${orderId}|${document}|${expires}`, 'utf8')
+    .digest('hex');
+}
+
+function invoiceLink(shop, orderId, document) {
+  const expires = String(Date.now() + INVOICE_LINK_TTL);
+  const params = new URLSearchParams({
+    shop,
+    expires,
+    signature: invoiceLinkSignature(shop, orderId, document, expires)
+  });
+  return `${HOST}/api/orders/${orderId.split('/').pop()}/${document}.pdf?${params}`;
+}
+
+async function authenticateInvoiceLink(ctx, next) {
+  const { shop, expires, signature } = ctx.query;
+  if (!signature) {
+    return authenticateRequest(ctx, next);
+  }
+
+  const expected = invoiceLinkSignature(shop, orderGid(ctx.params.id), ctx.params.document, expires);
+  const valid = typeof signature === 'string' &&
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)) &&
+    Number(expires) > Date.now();
+
+  const sessions = valid ? await sessionStorage.findSessionsByShop(shop) : [];
+  const session = sessions.find(item => !item.isOnline && item.accessToken);
+  if (!session) {
+    ctx.status = 401;
+    ctx.body = 'Unauthorized';
+    return;
+  }
+
+  ctx.state.shop = shop;
+  ctx.state.session = session;
+  await next();
+}
+
+router.get('/api/invoice/template', authenticateRequest, async (ctx) => {
+  ctx.body = {
+    template: await getInvoiceTemplate(ctx.state.shop),
+    emailEnabled: isMailConfigured()
+  };
+});
+
+router.put('/api/invoice/template', authenticateRequest, async (ctx) => {
+  const shop = ctx.state.shop;
+  const current = await getInvoiceTemplate(shop);
+  const { template, errors } = validateInvoiceTemplate(ctx.request.body, current);
+
+  if (errors.length > 0) {
+    ctx.status = 400;
+    ctx.body = {
+      error: 'Invalid invoice template',
+      details: errors
+    };
+    return;
+  }
+
+  await saveInvoiceTemplate(shop, template);
+  ctx.body = { template, emailEnabled: isMailConfigured() };
+});
+
+// What the admin order action shows: the document number, the customer's
+// email and fresh download links
+router.get('/api/orders/:id/invoice', authenticateRequest, async (ctx) => {
+  const orderId = orderGid(ctx.params.id);
+  try {
+    const invoice = await getInvoice(ctx.state.session, orderId);
+    if (!invoice) {
+      ctx.status = 404;
+      ctx.body = { error: 'Order not found' };
+      return;
+    }
+    ctx.body = {
+      invoice: {
+        number: invoice.number,
+        email: invoice.email.to,
+        links: Object.fromEntries(INVOICE_DOCUMENTS.map(document =>
+          [document, invoiceLink(ctx.state.shop, orderId, document)]
+        ))
+      },
+      emailEnabled: isMailConfigured()
+    };
+  } catch (error) {
+    console.error('Failed to load invoice:', error);
+    ctx.status = 502;
+    ctx.body = { error: error.message };
+  }
+});
+
+router.get('/api/orders/:id/:document(invoice|receipt).pdf', authenticateInvoiceLink, async (ctx) => {
+  try {
+    const invoice = await getInvoice(ctx.state.session, orderGid(ctx.params.id), ctx.params.document);
+    if (!invoice) {
+      ctx.status = 404;
+      ctx.body = { error: 'Order not found' };
+      return;
+    }
+
+    ctx.set('Content-Type', 'application/pdf');
+    ctx.set('Content-Disposition', `attachment; filename="${invoiceFileName(invoice)}"`);
+    ctx.body = await renderInvoicePdf(invoice);
+  } catch (error) {
+    console.error('Failed to render invoice:', error);
+    ctx.status = 502;
+    ctx.body = { error: error.message };
+  }
+});
+
+// Body: { to } to send somewhere else than the order's email
+router.post('/api/orders/:id/:document(invoice|receipt)/email', authenticateRequest, async (ctx) => {
+  if (!isMailConfigured()) {
+    ctx.status = 503;
+    ctx.body = { error: 'Email is not configured' };
+    return;
+  }
+
+  try {
+    const invoice = await getInvoice(ctx.state.session, orderGid(ctx.params.id), ctx.params.document);
+    if (!invoice) {
+      ctx.status = 404;
+      ctx.body = { error: 'Order not found' };
+      return;
+    }
+
+    const to = String(ctx.request.body?.to || invoice.email.to).trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to)) {
+      ctx.status = 400;
+      ctx.body = {
+        error: 'Invalid email',
+        details: [{ field: 'to', message: 'Must be an email address' }]
+      };
+      return;
+    }
+
+    const { subject, text } = invoiceEmail(invoice);
+    await sendMail({
+      to,
+      replyTo: invoice.email.replyTo,
+      subject,
+      text,
+      attachments: [{
+        filename: invoiceFileName(invoice),
+        content: await renderInvoicePdf(invoice),
+        contentType: 'application/pdf'
+      }]
+    });
+    ctx.body = { sent: true, to };
+  } catch (error) {
+    console.error('Failed to email invoice:', error);
+    ctx.status = 502;
+    ctx.body = { error: error.message };
+  }
+});
+
+// Converted prices and manual prices of a product's variants, for the admin
+// product page. `id` is the numeric product ID or its GID.
+const productGid = (id) => (/^\d+$/.test(id) ? `gid://shopify/Product/${id}` : id);
+
+router.get('/api/products/:id/prices', authenticateRequest, async (ctx) => {
+  try {
+    const preview = await getProductPricePreview(ctx.state.session, productGid(ctx.params.id));
+    if (!preview) {
+      ctx.status = 404;
+      ctx.body = { error: 'Product not found' };
+      return;
+    }
+    ctx.body = { preview };
+  } catch (error) {
+    console.error('Failed to load product prices:', error);
+    ctx.status = 502;
+    ctx.body = { error: error.message };
+  }
+});
+
+// Body: { overrides: { [variantId]: amount or '' to remove } }
+router.put('/api/products/:id/prices', authenticateRequest, async (ctx) => {
+  const overrides = ctx.request.body?.overrides;
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    ctx.status = 400;
+    ctx.body = { error: 'Missing overrides' };
+    return;
+  }
+
+  const productId = productGid(ctx.params.id);
+  try {
+    const result = await saveProductPriceOverrides(ctx.state.session, productId, overrides);
+    if (!result) {
+      ctx.status = 404;
+      ctx.body = { error: 'Product not found' };
+      return;
+    }
+    ctx.body = { ...result, preview: await getProductPricePreview(ctx.state.session, productId) };
+  } catch (error) {
+    if (error.fieldErrors) {
+      ctx.status = 400;
+      ctx.body = { error: error.message, details: error.fieldErrors };
+      return;
+    }
+    console.error('Failed to save manual prices:', error);
+    ctx.status = 502;
+    ctx.body = { error: error.message };
+  }
+});
+
+// Catalog price conversion
+router.get('/api/conversion/status', authenticateRequest, async (ctx) => {
+  const shop = ctx.state.shop;
+  const job = await getConversionJob(shop);
+  const snapshot = await getPriceSnapshot(shop);
+
+  ctx.body = {
+    job: job || null,
+    snapshot: snapshot
+      ? {
+          createdAt: snapshot.createdAt,
+          from: snapshot.from,
+          to: snapshot.to,
+          variantCount: snapshot.variants.length
+        }
+      : null
+  };
+});
+
+router.post('/api/conversion/:type(dry-run|convert|restore)', authenticateRequest, async (ctx) => {
+  const settings = await getShopSettings(ctx.state.shop);
+  const options = conversionOptionsFromSettings(settings);
+
+  try {
+    const job = await startConversionJob(ctx.state.session, ctx.params.type, options);
+    ctx.status = 202;
+    ctx.body = { job };
+  } catch (error) {
+    ctx.status = 409;
+    ctx.body = { error: error.message };
+  }
+});
+
+// Preview price-ending rules on given amounts or on a sample of the catalog.
+// Unsaved rules can be passed in the body to try them before saving.
+router.post('/api/pricing/preview', authenticateRequest, async (ctx) => {
+  const settings = await getShopSettings(ctx.state.shop);
+  const { amounts, priceEndings: ruleUpdate } = ctx.request.body || {};
+
+  const priceEndings = { ...settings.priceEndings, ...(ruleUpdate || {}) };
+  const errors = validatePriceEndings(priceEndings);
+  if (amounts !== undefined && (!Array.isArray(amounts) || amounts.some(amount => isNaN(Number(amount))))) {
+    errors.push({ field: 'amounts', message: 'Must be a list of amounts' });
+  }
+
+  if (errors.length > 0) {
+    ctx.status = 400;
+    ctx.body = {
+      error: 'Invalid preview request',
+      details: errors
+    };
+    return;
+  }
+
+  const options = conversionOptionsFromSettings(settings, priceEndings);
+
+  try {
+    const variants = amounts
+      ? amounts.map((amount, index) => ({
+          id: `amount-${index}`,
+          title: '',
+          price: String(amount),
+          compareAtPrice: null,
+          product: { id: null, title: String(amount), tags: [], collections: [] }
+        }))
+      : await fetchVariantSample(ctx.state.session, 25);
+
+    const rows = variants.map(variant => convertVariantPrices(variant, options));
+
+    ctx.body = {
+      from: options.from,
+      to: options.to,
+      rows,
+      flaggedCount: rows.filter(row => row.priceEnding.flagged).length
+    };
+  } catch (error) {
+    console.error('Error building pricing preview:', error);
+    ctx.status = 500;
+    ctx.body = { error: 'Internal server error', message: error.message };
+  }
+});
+
+router.get('/api/conversion/report.csv', authenticateRequest, async (ctx) => {
+  const csv = await getConversionReportCsv(ctx.state.shop);
+
+  if (!csv) {
+    ctx.status = 404;
+    ctx.body = { error: 'No conversion report available' };
+    return;
+  }
+
+  ctx.set('Content-Type', 'text/csv; charset=utf-8');
+  ctx.set('Content-Disposition', 'attachment; filename="price-conversion.csv"');
+  ctx.body = csv;
+});
+
+router.delete('/api/conversion/snapshot', authenticateRequest, async (ctx) => {
+  await deletePriceSnapshot(ctx.state.shop);
+  ctx.body = { success: true };
+});
+
+// Scheduled currency switchover
+router.get('/api/switchover', authenticateRequest, async (ctx) => {
+  const switchover = await getSwitchover(ctx.state.shop);
+  ctx.body = { switchover: switchover || null };
+});
+
+router.post('/api/switchover/preflight', authenticateRequest, async (ctx) => {
+  const { ok, from, to, checks } = await runPreflightChecks(ctx.state.session);
+  ctx.body = { ok, from, to, checks };
+});
+
+router.post('/api/switchover', authenticateRequest, async (ctx) => {
+  const { localDateTime } = ctx.request.body || {};
+
+  if (!localDateTime) {
+    ctx.status = 400;
+    ctx.body = { error: 'Missing localDateTime' };
+    return;
+  }
+
+  try {
+    const switchover = await scheduleSwitchover(ctx.state.session, localDateTime);
+    ctx.status = 201;
+    ctx.body = { switchover };
+  } catch (error) {
+    ctx.status = 400;
+    ctx.body = { error: error.message, checks: error.checks };
+  }
+});
+
+router.delete('/api/switchover', authenticateRequest, async (ctx) => {
+  try {
+    const switchover = await cancelSwitchover(ctx.state.shop);
+    ctx.body = { switchover };
+  } catch (error) {
+    ctx.status = 400;
+    ctx.body = { error: error.message };
+  }
+});
+
 // Health check
 router.get('/health', async (ctx) => {
   ctx.body = 'OK';
@@ -675,8 +1196,20 @@ router.post('/webhooks/shop/redact', async (ctx) => {
       return;
     }
 
+    // Everything the app keeps per shop in DATA_DIR
+    const shop = JSON.parse(body).shop_domain;
+    await deleteShopSettings(shop);
+    await deleteInvoiceTemplate(shop);
+    await deleteConversionData(shop);
+    await deleteSwitchover(shop);
+
+    const sessions = await sessionStorage.findSessionsByShop(shop);
+    for (const session of sessions) {
+      await sessionStorage.deleteSession(session.id);
+    }
+
     ctx.status = 200;
-    ctx.body = { message: 'No shop data to redact' };
+    ctx.body = { message: 'Shop data redacted' };
   } catch (error) {
     console.error('Webhook error:', error);
     ctx.status = 401;
@@ -684,15 +1217,62 @@ router.post('/webhooks/shop/redact', async (ctx) => {
   }
 });
 
-// App uninstalled webhook
-router.post('/webhooks/app/uninstalled', async (ctx) => {
+// Order and refund webhooks: keep the conversion snapshot on the order current
+router.post('/webhooks/orders', async (ctx) => {
   try {
     const hmacHeader = ctx.get('X-Shopify-Hmac-Sha256');
     const body = ctx.request.rawBody;
 
-    const hash = crypto
-      .createHmac('sha256', SHOPIFY_API_SECRET)
-      .update(body, 'utf8')
+    if (!hmacHeader || !body) {
+      ctx.status = 401;
+      ctx.body = 'Unauthorized';
+      return;
+    }
+
+    const hash = crypto
+      .createHmac('sha256', SHOPIFY_API_SECRET)
+      .update(body, 'utf8')
+      .digest('base64');
+
+    if (hash !== hmacHeader) {
+      ctx.status = 401;
+      ctx.body = 'Unauthorized';
+      return;
+    }
+
+    const shop = ctx.get('X-Shopify-Shop-Domain');
+    const orderId = webhookOrderId(JSON.parse(body));
+    const sessions = await sessionStorage.findSessionsByShop(shop);
+    const session = sessions.find(item => !item.isOnline && item.accessToken);
+
+    if (!session || !orderId) {
+      // Nothing to retry: the app is not installed or the payload has no order
+      ctx.status = 200;
+      ctx.body = { message: 'Skipped' };
+      return;
+    }
+
+    const result = await writeOrderSnapshot(session, orderId);
+
+    ctx.status = 200;
+    ctx.body = { message: `Snapshot ${result.status}` };
+  } catch (error) {
+    // A non-2xx response makes Shopify retry; the handler is idempotent
+    console.error('Order webhook error:', error);
+    ctx.status = 500;
+    ctx.body = 'Internal server error';
+  }
+});
+
+// App uninstalled webhook
+router.post('/webhooks/app/uninstalled', async (ctx) => {
+  try {
+    const hmacHeader = ctx.get('X-Shopify-Hmac-Sha256');
+    const body = ctx.request.rawBody;
+
+    const hash = crypto
+      .createHmac('sha256', SHOPIFY_API_SECRET)
+      .update(body, 'utf8')
       .digest('base64');
 
     if (hash !== hmacHeader) {
@@ -710,9 +1290,9 @@ router.post('/webhooks/app/uninstalled', async (ctx) => {
     delete SUBSCRIPTION_CACHE[shop];
     
     // Delete sessions
-    const sessions = await memorySessionStorage.findSessionsByShop(shop);
+    const sessions = await sessionStorage.findSessionsByShop(shop);
     for (const session of sessions) {
-      await memorySessionStorage.deleteSession(session.id);
+      await sessionStorage.deleteSession(session.id);
     }
     
     ctx.status = 200;
@@ -727,7 +1307,6 @@ router.post('/webhooks/app/uninstalled', async (ctx) => {
 // Main app route
 router.get('(/)', async (ctx) => {
   const shop = ctx.query.shop;
-  const host = ctx.query.host;
 
   if (!shop) {
     ctx.body = "Missing shop parameter. Please install the app through Shopify.";
@@ -998,6 +1577,63 @@ router.get('(/)', async (ctx) => {
     ul {
       line-height: 1.8;
     }
+    .form-grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(250px, 1fr));
+      gap: 16px 24px;
+      margin-bottom: 24px;
+    }
+    .form-field label {
+      display: block;
+      font-size: 14px;
+      font-weight: 500;
+      margin-bottom: 6px;
+    }
+    .form-field input[type="text"],
+    .form-field input[type="number"],
+    .form-field select {
+      width: 100%;
+      box-sizing: border-box;
+      padding: 8px 10px;
+      border: 1px solid #c9cccf;
+      border-radius: 6px;
+      font-size: 14px;
+    }
+    .form-field .hint {
+      color: #616161;
+      font-size: 12px;
+      margin-top: 4px;
+    }
+    .form-section-title {
+      margin: 0 0 12px 0;
+      font-size: 16px;
+      font-weight: 500;
+    }
+    .form-errors {
+      color: #d72c0d;
+      font-size: 14px;
+      margin-bottom: 16px;
+    }
+    .report-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 13px;
+    }
+    .report-table th,
+    .report-table td {
+      text-align: left;
+      padding: 8px;
+      border-bottom: 1px solid #f3f4f6;
+    }
+    .report-table th {
+      font-weight: 500;
+      color: #616161;
+    }
+    .form-status {
+      margin-left: 12px;
+      color: #616161;
+      font-size: 14px;
+    }
     strong {
       font-weight: 500;
       color: #202223;
@@ -1029,6 +1665,10 @@ router.get('(/)', async (ctx) => {
       <button class="tab active" onclick="showTab('installation')">Инсталация</button>
       <button class="tab" onclick="showTab('features')">Функции</button>
       <button class="tab" onclick="showTab('tips')">Съвети</button>
+      <button class="tab" onclick="showTab('settings')">Настройки</button>
+      <button class="tab" onclick="showTab('conversion')">Конвертиране на цени</button>
+      <button class="tab" onclick="showTab('switchover')">Преминаване към EUR</button>
+      <button class="tab" onclick="showTab('invoices')">Фактури</button>
     </div>
 
     <div class="card">
@@ -1055,6 +1695,14 @@ router.get('(/)', async (ctx) => {
             <strong>Добавете приложението</strong><br>
             <span style="color: #616161;">Add block → Apps → BGN EUR Order Status</span>
           </li>
+          <li>
+            <strong>Добавете цените в самия checkout</strong><br>
+            <span style="color: #616161;">Settings → Checkout → Customize → редове, доставка, отстъпки и обобщение на поръчката</span>
+          </li>
+          <li>
+            <strong>Включете цените в магазина</strong><br>
+            <span style="color: #616161;">Online Store → Themes → Customize → App embeds → Цени в BGN / EUR</span>
+          </li>
           <li>
             <strong>Запазете промените</strong><br>
             <span style="color: #616161;">Кликнете Save в горния десен ъгъл</span>
@@ -1101,6 +1749,435 @@ router.get('(/)', async (ctx) => {
           <li>Проверете дали extension-а е активен в Theme Customizer</li>
         </ul>
       </div>
+
+      <div id="settings" class="tab-content">
+        <h2>Настройки</h2>
+        <form id="settings-form" onsubmit="saveSettings(event)">
+          <h3 class="form-section-title">Валути и курс</h3>
+          <div class="form-grid">
+            <div class="form-field">
+              <label for="primaryCurrency">Основна валута</label>
+              <input type="text" id="primaryCurrency" name="primaryCurrency" maxlength="3">
+            </div>
+            <div class="form-field">
+              <label for="secondaryCurrency">Втора валута</label>
+              <input type="text" id="secondaryCurrency" name="secondaryCurrency" maxlength="3">
+            </div>
+            <div class="form-field">
+              <label for="primarySymbol">Символ и етикет на основната валута</label>
+              <input type="text" id="primarySymbol" data-display="primary" data-display-field="symbol" maxlength="10" placeholder="лв.">
+              <input type="text" id="primaryLabel" data-display="primary" data-display-field="label" maxlength="10" placeholder="ЛВ">
+              <div class="hint">Празно = стойност по подразбиране за валутата</div>
+            </div>
+            <div class="form-field">
+              <label for="secondarySymbol">Символ и етикет на втората валута</label>
+              <input type="text" id="secondarySymbol" data-display="secondary" data-display-field="symbol" maxlength="10" placeholder="€">
+              <input type="text" id="secondaryLabel" data-display="secondary" data-display-field="label" maxlength="10" placeholder="EUR">
+            </div>
+            <div class="form-field">
+              <label for="numberLocale">Формат на числата</label>
+              <input type="text" id="numberLocale" name="numberLocale" maxlength="35" placeholder="bg">
+              <div class="hint">Език за десетичния знак, разделителя на хилядите и мястото на символа, напр. bg или en-GB. Празно — според езика на купувача</div>
+            </div>
+            <div class="form-field">
+              <label for="rate">Курс</label>
+              <input type="number" id="rate" name="rate" step="0.00001" min="0">
+              <div class="hint">1 единица от базовата валута = курс × другата валута</div>
+            </div>
+            <div class="form-field">
+              <label for="rateProvider">Източник на курса</label>
+              <select id="rateProvider" name="rateProvider">
+                <option value="fixed">Фиксиран курс</option>
+                <option value="ecb">ЕЦБ (дневни курсове)</option>
+                <option value="bnb">БНБ (дневни курсове)</option>
+                <option value="manual">Ръчна таблица</option>
+                <option value="file">Локален файл (за тестове)</option>
+              </select>
+              <div class="hint" id="rate-status"></div>
+            </div>
+            <div class="form-field">
+              <label for="manualRates">Ръчна таблица с курсове</label>
+              <input type="text" id="manualRates" name="manualRates" placeholder="RON=4.97, USD=1.08">
+              <div class="hint">Единици от всяка валута за 1 единица от базовата валута</div>
+            </div>
+            <div class="form-field">
+              <label for="rateBase">Базова валута на курса</label>
+              <input type="text" id="rateBase" name="rateBase" maxlength="3">
+            </div>
+            <div class="form-field">
+              <label for="roundingMode">Закръгляне</label>
+              <select id="roundingMode" name="roundingMode">
+                <option value="half-up">Математическо (0,5 нагоре)</option>
+                <option value="half-even">Банково (към четно)</option>
+                <option value="down">Надолу</option>
+                <option value="up">Нагоре</option>
+              </select>
+            </div>
+            <div class="form-field">
+              <label for="reconciliation">Разлики от закръгляне</label>
+              <select id="reconciliation" name="reconciliation">
+                <option value="rounding-row">Отделен ред „Разлика от закръгляне“</option>
+                <option value="largest-remainder">Разпределяне по редовете (най-голям остатък)</option>
+                <option value="none">Без изравняване</option>
+              </select>
+              <div class="hint">Как сумата на конвертираните редове се изравнява с конвертираната обща сума</div>
+            </div>
+          </div>
+
+          <h3 class="form-section-title">Пазари</h3>
+          <div class="form-grid">
+            <div class="form-field">
+              <label><input type="checkbox" id="targetAlways"> Показвай на всички купувачи</label>
+              <div class="hint">Иначе само на купувачите от избраните пазари, държави или валути</div>
+            </div>
+            <div class="form-field">
+              <label>Пазари</label>
+              <div id="targetMarkets">Зареждане на пазарите...</div>
+              <div class="hint">Пазарите от Settings → Markets на магазина</div>
+            </div>
+            <div class="form-field">
+              <label for="targetCountries">Държави</label>
+              <input type="text" id="targetCountries" name="targetCountries">
+              <div class="hint">ISO кодове, разделени със запетая, напр. BG</div>
+            </div>
+            <div class="form-field">
+              <label for="targetCurrencies">Валути на плащане</label>
+              <input type="text" id="targetCurrencies" name="targetCurrencies">
+              <div class="hint">ISO кодове, разделени със запетая, напр. BGN, EUR</div>
+            </div>
+          </div>
+
+          <h3 class="form-section-title">Период на двойно обозначаване</h3>
+          <div class="hint" id="phase-status" style="margin-bottom: 12px;"></div>
+          <div class="form-grid">
+            <div class="form-field">
+              <label><input type="checkbox" id="phasesEnabled"> Следвай датите на периода</label>
+              <div class="hint">Преди смяната първо BGN с обратно броене, след нея първо EUR, а след края на периода — според избора по-долу</div>
+            </div>
+            <div class="form-field">
+              <label for="phase-dualDisplayFrom">Начало на двойното обозначаване</label>
+              <input type="date" id="phase-dualDisplayFrom" data-phase-date="dualDisplayFrom">
+            </div>
+            <div class="form-field">
+              <label for="phase-euroSwitch">Въвеждане на еврото</label>
+              <input type="date" id="phase-euroSwitch" data-phase-date="euroSwitch">
+            </div>
+            <div class="form-field">
+              <label for="phase-dualDisplayUntil">Последен ден на двойното обозначаване</label>
+              <input type="date" id="phase-dualDisplayUntil" data-phase-date="dualDisplayUntil">
+            </div>
+            <div class="form-field">
+              <label for="postPeriodDisplay">След края на периода</label>
+              <select id="postPeriodDisplay" name="postPeriodDisplay">
+                <option value="euro-only">Само EUR</option>
+                <option value="hide">Скрий</option>
+              </select>
+            </div>
+          </div>
+
+          <h3 class="form-section-title">Текстове</h3>
+          <p style="color: #616161; font-size: 12px; margin: 0 0 12px 0;">
+            Празните полета се показват на езика на купувача (български, английски). Попълненият текст се показва на всички езици.
+          </p>
+          <div class="form-grid">
+            <div class="form-field">
+              <label for="label-heading">Заглавие</label>
+              <input type="text" id="label-heading" data-label="heading" maxlength="100" placeholder="🇧🇬 Твоята поръчка 🇪🇺">
+            </div>
+            <div class="form-field">
+              <label for="label-products">Продукти</label>
+              <input type="text" id="label-products" data-label="products" maxlength="100" placeholder="Продукти:">
+            </div>
+            <div class="form-field">
+              <label for="label-unitPrice">Единична цена</label>
+              <input type="text" id="label-unitPrice" data-label="unitPrice" maxlength="100" placeholder="Ед. цена">
+            </div>
+            <div class="form-field">
+              <label for="label-subtotal">Междинна сума</label>
+              <input type="text" id="label-subtotal" data-label="subtotal" maxlength="100" placeholder="Междинна сума">
+            </div>
+            <div class="form-field">
+              <label for="label-discounts">Отстъпка</label>
+              <input type="text" id="label-discounts" data-label="discounts" maxlength="100" placeholder="Отстъпка">
+            </div>
+            <div class="form-field">
+              <label for="label-shipping">Доставка</label>
+              <input type="text" id="label-shipping" data-label="shipping" maxlength="100" placeholder="Доставка">
+            </div>
+            <div class="form-field">
+              <label for="label-tax">Данъци</label>
+              <input type="text" id="label-tax" data-label="tax" maxlength="100" placeholder="ДДС 20%">
+            </div>
+            <div class="form-field">
+              <label for="label-duties">Мита</label>
+              <input type="text" id="label-duties" data-label="duties" maxlength="100" placeholder="Мита">
+            </div>
+            <div class="form-field">
+              <label for="label-tips">Бакшиш</label>
+              <input type="text" id="label-tips" data-label="tips" maxlength="100" placeholder="Бакшиш">
+            </div>
+            <div class="form-field">
+              <label for="label-rounding">Разлика от закръгляне</label>
+              <input type="text" id="label-rounding" data-label="rounding" maxlength="100" placeholder="Разлика от закръгляне">
+            </div>
+            <div class="form-field">
+              <label for="label-other">Други (когато мита и бакшиш не са отделени)</label>
+              <input type="text" id="label-other" data-label="other" maxlength="100" placeholder="Мита и бакшиш">
+            </div>
+            <div class="form-field">
+              <label for="label-total">Общо</label>
+              <input type="text" id="label-total" data-label="total" maxlength="100" placeholder="Общо:">
+            </div>
+            <div class="form-field">
+              <label for="label-refunds">Възстановени суми</label>
+              <input type="text" id="label-refunds" data-label="refunds" maxlength="100" placeholder="Възстановени суми">
+            </div>
+            <div class="form-field">
+              <label for="label-refund">Възстановяване (пред датата)</label>
+              <input type="text" id="label-refund" data-label="refund" maxlength="100" placeholder="Възстановяване от">
+            </div>
+            <div class="form-field">
+              <label for="label-adjustment">Корекция на възстановяване</label>
+              <input type="text" id="label-adjustment" data-label="adjustment" maxlength="100" placeholder="Корекция">
+            </div>
+            <div class="form-field">
+              <label for="label-netPaid">Платено след възстановяванията</label>
+              <input type="text" id="label-netPaid" data-label="netPaid" maxlength="100" placeholder="Платено след възстановяванията:">
+            </div>
+            <div class="form-field">
+              <label for="label-included">Включено в цената (пред ДДС и мита)</label>
+              <input type="text" id="label-included" data-label="included" maxlength="100" placeholder="в т.ч.">
+            </div>
+          </div>
+
+          <h3 class="form-section-title">Секции</h3>
+          <div class="form-grid">
+            <div class="form-field">
+              <label><input type="checkbox" data-section="lines"> Продукти</label>
+              <label><input type="checkbox" data-section="unitPrice"> Единична цена на продукт</label>
+              <label><input type="checkbox" data-section="variantTitle"> Вариант на продукт</label>
+              <label><input type="checkbox" data-section="compareAtPrice"> Цена преди отстъпка на продукт</label>
+              <label><input type="checkbox" data-section="breakdown"> Разбивка (отстъпки, данъци, мита)</label>
+              <label><input type="checkbox" data-section="shipping"> Доставка</label>
+            </div>
+            <div class="form-field">
+              <label><input type="checkbox" data-section="total"> Обща сума</label>
+              <label><input type="checkbox" data-section="refunds"> Възстановени суми</label>
+              <label><input type="checkbox" data-section="rateInfo"> Информация за курса</label>
+            </div>
+          </div>
+
+          <div class="form-errors" id="settings-errors"></div>
+          <button type="submit" class="big-button">Запази</button>
+          <span class="form-status" id="settings-status"></span>
+        </form>
+      </div>
+
+      <div id="conversion" class="tab-content">
+        <h2>Конвертиране на цените в каталога</h2>
+        <p style="color: #616161; line-height: 1.6;">
+          Преизчислява цената и compare-at цената на всеки вариант от основната във втората валута
+          по курса и правилата за закръгляне от настройките. Преди промяната се пази копие на старите цени,
+          което може да бъде възстановено с едно кликване.
+        </p>
+
+        <h3 class="form-section-title">Закръгляне на цените</h3>
+        <form id="price-endings-form" onsubmit="savePriceEndings(event)">
+          <div class="form-grid">
+            <div class="form-field">
+              <label for="pe-ending">Окончание</label>
+              <select id="pe-ending">
+                <option value="none">Без закръгляне</option>
+                <option value="99">,99</option>
+                <option value="49-99">,49 / ,99</option>
+                <option value="05">Най-близки 0,05</option>
+              </select>
+            </div>
+            <div class="form-field">
+              <label for="pe-direction">Посока</label>
+              <select id="pe-direction">
+                <option value="nearest">Най-близко</option>
+                <option value="down">Надолу</option>
+                <option value="up">Нагоре</option>
+              </select>
+            </div>
+            <div class="form-field">
+              <label for="pe-minDeviation">Макс. намаление</label>
+              <input type="number" id="pe-minDeviation" step="0.01" max="0">
+              <div class="hint">Отрицателно число, напр. -0.50</div>
+            </div>
+            <div class="form-field">
+              <label for="pe-maxDeviation">Макс. увеличение</label>
+              <input type="number" id="pe-maxDeviation" step="0.01" min="0">
+            </div>
+            <div class="form-field">
+              <label for="pe-legalTolerance">Допустимо увеличение</label>
+              <input type="number" id="pe-legalTolerance" step="0.01" min="0">
+              <div class="hint">Цените, увеличени с повече от това, се маркират</div>
+            </div>
+          </div>
+          <div class="form-field" style="margin-bottom: 16px;">
+            <label for="pe-overrides">Изключения по таг или колекция</label>
+            <textarea id="pe-overrides" rows="4" style="width: 100%; box-sizing: border-box; font-family: monospace;"></textarea>
+            <div class="hint">По едно на ред, напр. <code>tag:sale = none</code> или <code>collection:premium = 99</code></div>
+          </div>
+          <div class="form-errors" id="price-endings-errors"></div>
+          <button type="submit" class="big-button">Запази правилата</button>
+          <button type="button" class="big-button" onclick="previewPriceEndings()">Преглед</button>
+          <span class="form-status" id="price-endings-status"></span>
+        </form>
+        <div id="price-endings-preview" style="margin: 16px 0 32px 0;"></div>
+
+        <div class="warning" id="conversion-snapshot" style="display: none;"></div>
+
+        <div style="display: flex; gap: 12px; flex-wrap: wrap; margin-bottom: 24px;">
+          <button class="big-button" onclick="startConversion('dry-run')">Пробно изчисление</button>
+          <button class="big-button warning" onclick="startConversion('convert')">Конвертирай цените</button>
+          <button class="big-button" id="restore-button" style="display: none;" onclick="startConversion('restore')">Възстанови старите цени</button>
+        </div>
+
+        <div id="conversion-status" style="margin-bottom: 16px;"></div>
+        <div id="conversion-report"></div>
+      </div>
+
+      <div id="switchover" class="tab-content">
+        <h2>Автоматично преминаване към EUR</h2>
+        <p style="color: #616161; line-height: 1.6;">
+          В избрания момент (българско време) приложението конвертира цените в каталога,
+          превключва валутата на пазара България и ценовата му листа, и сменя основната валута в настройките.
+          Ако някоя стъпка се провали, направените промени се връщат автоматично.
+        </p>
+
+        <div class="form-grid">
+          <div class="form-field">
+            <label for="switchover-time">Дата и час (Europe/Sofia)</label>
+            <input type="datetime-local" id="switchover-time" value="2026-01-01T00:00"
+                   style="width: 100%; box-sizing: border-box; padding: 8px 10px; border: 1px solid #c9cccf; border-radius: 6px;">
+          </div>
+        </div>
+
+        <div style="display: flex; gap: 12px; flex-wrap: wrap; margin-bottom: 24px;">
+          <button class="big-button" onclick="runSwitchoverPreflight()">Проверка</button>
+          <button class="big-button warning" onclick="scheduleSwitchoverAt()">Насрочи</button>
+          <button class="big-button" id="cancel-switchover" style="display: none;" onclick="cancelScheduledSwitchover()">Откажи</button>
+        </div>
+
+        <div id="switchover-checks"></div>
+        <div id="switchover-status"></div>
+      </div>
+
+      <div id="invoices" class="tab-content">
+        <h2>Фактури в BGN и EUR</h2>
+        <p style="color: #616161; line-height: 1.6;">
+          Фактура или разписка в PDF за всяка поръчка, със сумите в двете валути, разбивката на ДДС,
+          курса и бележката за превалутирането. Документите се изтеглят или изпращат от страницата на поръчката
+          в администрацията (Още действия → BGN EUR Invoice).
+        </p>
+
+        <form id="invoice-form" onsubmit="saveInvoiceForm(event)">
+          <h3 class="form-section-title">Доставчик</h3>
+          <div class="form-grid">
+            <div class="form-field">
+              <label for="seller-name">Фирма</label>
+              <input type="text" id="seller-name" data-seller="name" maxlength="200">
+            </div>
+            <div class="form-field">
+              <label for="seller-companyId">ЕИК</label>
+              <input type="text" id="seller-companyId" data-seller="companyId" maxlength="200">
+            </div>
+            <div class="form-field">
+              <label for="seller-vatNumber">ДДС №</label>
+              <input type="text" id="seller-vatNumber" data-seller="vatNumber" maxlength="200" placeholder="BG123456789">
+            </div>
+            <div class="form-field">
+              <label for="seller-accountablePerson">МОЛ</label>
+              <input type="text" id="seller-accountablePerson" data-seller="accountablePerson" maxlength="200">
+            </div>
+            <div class="form-field">
+              <label for="seller-address">Адрес</label>
+              <input type="text" id="seller-address" data-seller="address" maxlength="200">
+            </div>
+            <div class="form-field">
+              <label for="seller-city">Град</label>
+              <input type="text" id="seller-city" data-seller="city" maxlength="200">
+            </div>
+            <div class="form-field">
+              <label for="seller-country">Държава</label>
+              <input type="text" id="seller-country" data-seller="country" maxlength="200" placeholder="България">
+            </div>
+            <div class="form-field">
+              <label for="seller-bank">Банка</label>
+              <input type="text" id="seller-bank" data-seller="bank" maxlength="200">
+            </div>
+            <div class="form-field">
+              <label for="seller-iban">IBAN</label>
+              <input type="text" id="seller-iban" data-seller="iban" maxlength="200">
+            </div>
+            <div class="form-field">
+              <label for="seller-email">Имейл</label>
+              <input type="email" id="seller-email" data-seller="email" maxlength="200">
+              <div class="hint">Отговорите на изпратените документи отиват тук</div>
+            </div>
+            <div class="form-field">
+              <label for="seller-phone">Телефон</label>
+              <input type="text" id="seller-phone" data-seller="phone" maxlength="200">
+            </div>
+          </div>
+
+          <h3 class="form-section-title">Документ</h3>
+          <div class="form-grid">
+            <div class="form-field">
+              <label for="invoice-language">Език</label>
+              <select id="invoice-language">
+                <option value="bg">Български</option>
+                <option value="en">English</option>
+              </select>
+            </div>
+            <div class="form-field">
+              <label for="invoice-invoiceTitle">Заглавие на фактурата</label>
+              <input type="text" id="invoice-invoiceTitle" data-invoice="invoiceTitle" maxlength="60" placeholder="Фактура">
+            </div>
+            <div class="form-field">
+              <label for="invoice-receiptTitle">Заглавие на разписката</label>
+              <input type="text" id="invoice-receiptTitle" data-invoice="receiptTitle" maxlength="60" placeholder="Разписка">
+            </div>
+            <div class="form-field">
+              <label for="invoice-numberPrefix">Представка на номера</label>
+              <input type="text" id="invoice-numberPrefix" data-invoice="numberPrefix" maxlength="20" placeholder="00000">
+              <div class="hint">Пред номера на поръчката, напр. 00000 за 000001001</div>
+            </div>
+            <div class="form-field">
+              <label><input type="checkbox" id="invoice-showUnitPrices"> Единични цени</label>
+            </div>
+          </div>
+          <div class="form-field" style="margin-bottom: 16px;">
+            <label for="invoice-conversionNote">Бележка за превалутирането</label>
+            <textarea id="invoice-conversionNote" data-invoice="conversionNote" rows="3" maxlength="500" style="width: 100%; box-sizing: border-box;"
+                      placeholder="Равностойността е изчислена по официалния фиксиран обменен курс {{rate}} съгласно Закона за въвеждане на еврото в Република България."></textarea>
+            <div class="hint">Празно = текстът по подразбиране; <code>{{rate}}</code> се заменя с курса</div>
+          </div>
+          <div class="form-field" style="margin-bottom: 16px;">
+            <label for="invoice-footer">Текст в края на документа</label>
+            <textarea id="invoice-footer" data-invoice="footer" rows="2" maxlength="500" style="width: 100%; box-sizing: border-box;"></textarea>
+          </div>
+
+          <h3 class="form-section-title">Имейл</h3>
+          <p class="hint" id="invoice-email-status"></p>
+          <div class="form-field" style="margin-bottom: 16px;">
+            <label for="invoice-emailSubject">Тема</label>
+            <input type="text" id="invoice-emailSubject" data-invoice="emailSubject" maxlength="200" placeholder="{{title}} № {{number}}">
+          </div>
+          <div class="form-field" style="margin-bottom: 16px;">
+            <label for="invoice-emailBody">Текст</label>
+            <textarea id="invoice-emailBody" data-invoice="emailBody" rows="5" maxlength="2000" style="width: 100%; box-sizing: border-box;"></textarea>
+            <div class="hint">Празно = текстът по подразбиране; <code>{{title}}</code>, <code>{{number}}</code>, <code>{{order}}</code> и <code>{{seller}}</code> се заменят</div>
+          </div>
+
+          <div class="form-errors" id="invoice-errors"></div>
+          <button type="submit" class="big-button">Запази</button>
+          <span class="form-status" id="invoice-status"></span>
+        </form>
+      </div>
     </div>
 
     <div class="footer">
@@ -1163,6 +2240,10 @@ router.get('(/)', async (ctx) => {
           
           // ALWAYS check billing status for new installations
           checkBillingStatus();
+          loadSettings().then(loadMarkets);
+          loadConversionStatus();
+          loadSwitchover();
+          loadInvoiceTemplate();
         } else {
           console.error('Failed to load shop data');
           document.getElementById('loading').innerHTML = 'Грешка при зареждане';
@@ -1279,6 +2360,638 @@ router.get('(/)', async (ctx) => {
       }
     }
     
+    const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+    // Saved market targets (handles or IDs) and the shop's Markets once loaded
+    let targetMarkets = [];
+    let shopMarkets = null;
+
+    const isSavedMarket = (market) => targetMarkets.includes(market.id) || targetMarkets.includes(market.handle);
+
+    function renderMarketOptions() {
+      const container = document.getElementById('targetMarkets');
+      if (!shopMarkets) {
+        return;
+      }
+
+      // Saved targets that match no market stay listed, so saving does not drop them silently
+      const unknown = targetMarkets.filter(target =>
+        !shopMarkets.some(market => market.id === target || market.handle === target)
+      );
+      container.innerHTML = '';
+      shopMarkets.forEach(market => {
+        const label = document.createElement('label');
+        label.innerHTML = '<input type="checkbox" data-market> ';
+        label.firstChild.value = market.id;
+        label.firstChild.checked = isSavedMarket(market);
+        label.append(market.name + ' (' + market.handle + ')' +
+          (market.countries.length ? ' — ' + market.countries.join(', ') : '') +
+          (market.enabled ? '' : ' — неактивен'));
+        container.appendChild(label);
+      });
+      unknown.forEach(target => {
+        const label = document.createElement('label');
+        label.innerHTML = '<input type="checkbox" data-market checked> ';
+        label.firstChild.value = target;
+        label.append(target + ' — няма такъв пазар');
+        container.appendChild(label);
+      });
+    }
+
+    function readMarketOptions() {
+      if (!shopMarkets) {
+        return targetMarkets;
+      }
+      return Array.from(document.querySelectorAll('[data-market]'))
+        .filter(input => input.checked)
+        .map(input => input.value);
+    }
+
+    async function loadMarkets() {
+      const container = document.getElementById('targetMarkets');
+      try {
+        const response = await apiRequest('/api/markets');
+        if (!response.ok) {
+          throw new Error('HTTP ' + response.status);
+        }
+        shopMarkets = (await response.json()).markets;
+        renderMarketOptions();
+      } catch (error) {
+        console.error('Error loading markets:', error);
+        container.textContent = 'Пазарите не могат да бъдат заредени. Запазените пазари остават непроменени: ' +
+          (targetMarkets.join(', ') || 'няма');
+      }
+    }
+
+    function fillSettingsForm(settings) {
+      ['primaryCurrency', 'secondaryCurrency', 'rate', 'rateBase', 'rateProvider', 'numberLocale', 'roundingMode', 'reconciliation'].forEach(field => {
+        document.getElementById(field).value = settings[field];
+      });
+      document.getElementById('manualRates').value = Object.entries(settings.manualRates)
+        .map(([code, value]) => code + '=' + value)
+        .join(', ');
+      document.getElementById('rate-status').textContent = settings.rateProvider === 'fixed'
+        ? ''
+        : 'Текущ курс ' + settings.rate + ' от ' + settings.rateDate +
+          (settings.rateStale ? ' (източникът не е достъпен, показан е последният наличен курс)' : '');
+      document.querySelectorAll('[data-display]').forEach(input => {
+        const code = settings[input.dataset.display + 'Currency'];
+        input.value = (settings.currencyDisplay[code] || {})[input.dataset.displayField] || '';
+      });
+      document.getElementById('targetAlways').checked = settings.targetAlways;
+      targetMarkets = settings.targetMarkets;
+      renderMarketOptions();
+      document.getElementById('targetCountries').value = settings.targetCountries.join(', ');
+      document.getElementById('targetCurrencies').value = settings.targetCurrencies.join(', ');
+      document.querySelectorAll('[data-label]').forEach(input => {
+        input.value = settings.labels[input.dataset.label] || '';
+      });
+      document.querySelectorAll('[data-section]').forEach(input => {
+        input.checked = Boolean(settings.sections[input.dataset.section]);
+      });
+      document.getElementById('phasesEnabled').checked = settings.phasesEnabled;
+      document.querySelectorAll('[data-phase-date]').forEach(input => {
+        input.value = settings.phaseDates[input.dataset.phaseDate];
+      });
+      document.getElementById('postPeriodDisplay').value = settings.postPeriodDisplay;
+    }
+
+    const PHASE_DESCRIPTIONS = {
+      'before-period': 'Периодът на двойно обозначаване още не е започнал.',
+      'pre-switch': 'Двойно обозначаване: цените са първо в BGN, купувачите виждат обратно броене до еврото.',
+      'post-switch': 'Еврото е официалната валута: цените са първо в EUR, а BGN е за справка.',
+      'post-period': 'Периодът на двойно обозначаване приключи.'
+    };
+
+    // Current phase, and what the shop still has to do in it
+    function renderPhaseStatus(phase, settings) {
+      const element = document.getElementById('phase-status');
+      if (!phase.phase) {
+        element.textContent = 'Периодите се прилагат само за двойката BGN / EUR.';
+        return;
+      }
+
+      let text = PHASE_DESCRIPTIONS[phase.phase];
+      if (phase.phase === 'pre-switch') {
+        text += ' До смяната остават ' + phase.daysUntilSwitch + ' дни.';
+      } else if (phase.phase === 'post-switch' && settings.primaryCurrency === 'BGN') {
+        text += ' Основната валута в настройките още е BGN — насрочете преминаването към EUR по-долу.';
+      } else if (phase.phase === 'post-period') {
+        text += settings.postPeriodDisplay === 'hide' ? ' Блоковете са скрити.' : ' Показват се само суми в EUR.';
+      }
+      if (!phase.enabled) {
+        text += ' Датите не се следват — показването е според настройките.';
+      } else if (phase.phase !== 'before-period') {
+        text += ' Редът на валутите следва периода, освен в блоковете с избран фиксиран ред (Currency shown first).';
+      }
+      element.textContent = text;
+    }
+
+    function readSettingsForm() {
+      const settings = {
+        primaryCurrency: document.getElementById('primaryCurrency').value,
+        secondaryCurrency: document.getElementById('secondaryCurrency').value,
+        rate: Number(document.getElementById('rate').value),
+        rateBase: document.getElementById('rateBase').value,
+        rateProvider: document.getElementById('rateProvider').value,
+        manualRates: Object.fromEntries(splitList(document.getElementById('manualRates').value).map(item => {
+          const [code, value] = item.split('=');
+          return [code.trim().toUpperCase(), Number(value)];
+        })),
+        numberLocale: document.getElementById('numberLocale').value.trim(),
+        roundingMode: document.getElementById('roundingMode').value,
+        reconciliation: document.getElementById('reconciliation').value,
+        targetAlways: document.getElementById('targetAlways').checked,
+        targetMarkets: readMarketOptions(),
+        targetCountries: splitList(document.getElementById('targetCountries').value),
+        targetCurrencies: splitList(document.getElementById('targetCurrencies').value),
+        currencyDisplay: {},
+        labels: {},
+        sections: {},
+        phasesEnabled: document.getElementById('phasesEnabled').checked,
+        phaseDates: {},
+        postPeriodDisplay: document.getElementById('postPeriodDisplay').value
+      };
+      document.querySelectorAll('[data-phase-date]').forEach(input => {
+        settings.phaseDates[input.dataset.phaseDate] = input.value;
+      });
+      document.querySelectorAll('[data-display]').forEach(input => {
+        const code = settings[input.dataset.display + 'Currency'].trim().toUpperCase();
+        settings.currencyDisplay[code] = settings.currencyDisplay[code] || {};
+        if (input.value.trim()) {
+          settings.currencyDisplay[code][input.dataset.displayField] = input.value.trim();
+        }
+      });
+      document.querySelectorAll('[data-label]').forEach(input => {
+        settings.labels[input.dataset.label] = input.value;
+      });
+      document.querySelectorAll('[data-section]').forEach(input => {
+        settings.sections[input.dataset.section] = input.checked;
+      });
+      return settings;
+    }
+
+    async function apiRequest(path, options = {}) {
+      sessionToken = await getSessionToken();
+      const separator = path.includes('?') ? '&' : '?';
+      return fetch(path + separator + 'shop=${shop}', {
+        ...options,
+        headers: {
+          'Authorization': 'Bearer ' + sessionToken,
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    async function loadSettings() {
+      try {
+        const response = await apiRequest('/api/settings');
+        if (response.ok) {
+          const data = await response.json();
+          fillSettingsForm(data.settings);
+          fillPriceEndingsForm(data.settings.priceEndings);
+          renderPhaseStatus(data.phase, data.settings);
+          // The switchover time defaults to the euro switch date until that has passed
+          if (data.phase.phase === 'before-period' || data.phase.phase === 'pre-switch') {
+            document.getElementById('switchover-time').value = data.settings.phaseDates.euroSwitch + 'T00:00';
+          }
+        } else {
+          console.error('Failed to load settings');
+        }
+      } catch (error) {
+        console.error('Error loading settings:', error);
+      }
+    }
+
+    async function saveSettings(event) {
+      event.preventDefault();
+      const errorsEl = document.getElementById('settings-errors');
+      const statusEl = document.getElementById('settings-status');
+      errorsEl.innerHTML = '';
+      statusEl.textContent = 'Запазване...';
+
+      try {
+        const response = await apiRequest('/api/settings', {
+          method: 'PUT',
+          body: JSON.stringify(readSettingsForm())
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          statusEl.textContent = '';
+          showFormErrors('settings-errors', data);
+          return;
+        }
+
+        fillSettingsForm(data.settings);
+        renderPhaseStatus(data.phase, data.settings);
+        statusEl.textContent = data.metafieldSynced
+          ? '✓ Запазено'
+          : 'Запазено, но синхронизацията с магазина не успя. Опитайте отново.';
+      } catch (error) {
+        console.error('Error saving settings:', error);
+        statusEl.textContent = 'Грешка при запазване';
+      }
+    }
+
+    const JOB_LABELS = {
+      'dry-run': 'Пробно изчисление',
+      'convert': 'Конвертиране',
+      'restore': 'Възстановяване'
+    };
+    let conversionPollTimer = null;
+
+    const escapeHtml = (value) => String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    function renderConversionReport(report) {
+      if (!report?.preview) {
+        return '';
+      }
+      const rows = report.preview.map(item =>
+        '<tr>' +
+          '<td>' + escapeHtml(item.productTitle) + '<br><span style="color: #616161;">' + escapeHtml(item.variantTitle) + '</span></td>' +
+          '<td>' + escapeHtml(item.price.old) + ' → <strong>' + escapeHtml(item.price.new) + '</strong>' + (item.priceEnding?.flagged ? ' ⚠' : '') + '</td>' +
+          '<td>' + (item.compareAtPrice.old ? escapeHtml(item.compareAtPrice.old) + ' → <strong>' + escapeHtml(item.compareAtPrice.new) + '</strong>' : '—') + '</td>' +
+        '</tr>'
+      ).join('');
+
+      return '<p>' + report.variantCount + ' варианта в ' + report.productCount + ' продукта. ' +
+        (report.flaggedCount ? '<span style="color: #d72c0d;">⚠ ' + report.flaggedCount + ' с увеличение над допустимото.</span> ' : '') +
+        '<a href="#" onclick="downloadConversionReport(event)">Изтегли пълния отчет (CSV)</a></p>' +
+        '<table class="report-table"><thead><tr><th>Продукт</th><th>Цена</th><th>Compare-at цена</th></tr></thead>' +
+        '<tbody>' + rows + '</tbody></table>' +
+        (report.variantCount > report.preview.length ? '<p style="color: #616161;">Показани са първите ' + report.preview.length + ' реда.</p>' : '');
+    }
+
+    function fillPriceEndingsForm(priceEndings) {
+      ['ending', 'direction', 'minDeviation', 'maxDeviation', 'legalTolerance'].forEach(field => {
+        document.getElementById('pe-' + field).value = priceEndings[field];
+      });
+      document.getElementById('pe-overrides').value = priceEndings.overrides
+        .map(override => (override.tag ? 'tag:' + override.tag : 'collection:' + override.collection) + ' = ' + (override.ending || priceEndings.ending))
+        .join('\\n');
+    }
+
+    function readPriceEndingsForm() {
+      const overrides = document.getElementById('pe-overrides').value
+        .split('\\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+          const [target, ending] = line.split('=').map(part => part.trim());
+          const [type, ...value] = target.split(':');
+          return { [type]: value.join(':').trim(), ending };
+        });
+
+      return {
+        ending: document.getElementById('pe-ending').value,
+        direction: document.getElementById('pe-direction').value,
+        minDeviation: Number(document.getElementById('pe-minDeviation').value),
+        maxDeviation: Number(document.getElementById('pe-maxDeviation').value),
+        legalTolerance: Number(document.getElementById('pe-legalTolerance').value),
+        overrides
+      };
+    }
+
+    function showFormErrors(elementId, data) {
+      document.getElementById(elementId).innerHTML = (data.details || [{ message: data.error }])
+        .map(error => escapeHtml((error.field ? error.field + ': ' : '') + error.message))
+        .join('<br>');
+    }
+
+    async function savePriceEndings(event) {
+      event.preventDefault();
+      const statusEl = document.getElementById('price-endings-status');
+      document.getElementById('price-endings-errors').innerHTML = '';
+      statusEl.textContent = 'Запазване...';
+
+      try {
+        const response = await apiRequest('/api/settings', {
+          method: 'PUT',
+          body: JSON.stringify({ priceEndings: readPriceEndingsForm() })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          statusEl.textContent = '';
+          showFormErrors('price-endings-errors', data);
+          return;
+        }
+
+        fillPriceEndingsForm(data.settings.priceEndings);
+        statusEl.textContent = '✓ Запазено';
+      } catch (error) {
+        console.error('Error saving price endings:', error);
+        statusEl.textContent = 'Грешка при запазване';
+      }
+    }
+
+    async function previewPriceEndings() {
+      const previewEl = document.getElementById('price-endings-preview');
+      document.getElementById('price-endings-errors').innerHTML = '';
+      previewEl.innerHTML = 'Зареждане...';
+
+      try {
+        const response = await apiRequest('/api/pricing/preview', {
+          method: 'POST',
+          body: JSON.stringify({ priceEndings: readPriceEndingsForm() })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          previewEl.innerHTML = '';
+          showFormErrors('price-endings-errors', data);
+          return;
+        }
+
+        const rows = data.rows.map(row =>
+          '<tr' + (row.priceEnding.flagged ? ' style="background: #fff4f4;"' : '') + '>' +
+            '<td>' + escapeHtml(row.productTitle) + '<br><span style="color: #616161;">' + escapeHtml(row.variantTitle) + '</span></td>' +
+            '<td>' + escapeHtml(row.price.old) + ' ' + escapeHtml(data.from) + '</td>' +
+            '<td>' + escapeHtml(row.price.converted) + '</td>' +
+            '<td><strong>' + escapeHtml(row.price.new) + '</strong> ' + escapeHtml(data.to) + '</td>' +
+            '<td>' + escapeHtml(row.priceEnding.override || '') + (row.priceEnding.capped ? ' (над лимита)' : '') + '</td>' +
+            '<td>' + (row.priceEnding.flagged ? '⚠ Увеличение над допустимото' : '') + '</td>' +
+          '</tr>'
+        ).join('');
+
+        previewEl.innerHTML =
+          (data.flaggedCount > 0 ? '<p style="color: #d72c0d;">⚠ ' + data.flaggedCount + ' цени биха се увеличили над допустимото.</p>' : '') +
+          '<table class="report-table"><thead><tr><th>Продукт</th><th>Цена</th><th>Конвертирана</th><th>Закръглена</th><th>Правило</th><th></th></tr></thead>' +
+          '<tbody>' + rows + '</tbody></table>';
+      } catch (error) {
+        console.error('Error loading preview:', error);
+        previewEl.innerHTML = 'Грешка при зареждане';
+      }
+    }
+
+    async function loadConversionStatus() {
+      try {
+        const response = await apiRequest('/api/conversion/status');
+        if (!response.ok) {
+          console.error('Failed to load conversion status');
+          return;
+        }
+        const { job, snapshot } = await response.json();
+
+        const snapshotEl = document.getElementById('conversion-snapshot');
+        if (snapshot) {
+          snapshotEl.innerHTML = '<strong>Запазено копие:</strong> ' + snapshot.variantCount +
+            ' варианта с цени в ' + escapeHtml(snapshot.from) + ' от ' + new Date(snapshot.createdAt).toLocaleString('bg-BG');
+          snapshotEl.style.display = 'block';
+        } else {
+          snapshotEl.style.display = 'none';
+        }
+        document.getElementById('restore-button').style.display = snapshot ? 'inline-block' : 'none';
+
+        const statusEl = document.getElementById('conversion-status');
+        if (!job) {
+          statusEl.innerHTML = '';
+          return;
+        }
+
+        const label = JOB_LABELS[job.type] || job.type;
+        if (job.status === 'running') {
+          statusEl.innerHTML = label + ': в процес' + (job.total ? ' (' + job.processed + '/' + job.total + ')' : '') + '...';
+          clearTimeout(conversionPollTimer);
+          conversionPollTimer = setTimeout(loadConversionStatus, 3000);
+        } else if (job.status === 'failed') {
+          statusEl.innerHTML = '<span style="color: #d72c0d;">' + label + ': грешка - ' + escapeHtml(job.error) + '</span>';
+        } else {
+          statusEl.innerHTML = '✓ ' + label + ': завършено ' + new Date(job.finishedAt).toLocaleString('bg-BG');
+        }
+
+        document.getElementById('conversion-report').innerHTML = job.type === 'restore' ? '' : renderConversionReport(job.report);
+      } catch (error) {
+        console.error('Error loading conversion status:', error);
+      }
+    }
+
+    async function startConversion(type) {
+      if (type === 'convert' && !confirm('Цените на всички варианти ще бъдат променени. Продължаване?')) {
+        return;
+      }
+      if (type === 'restore' && !confirm('Старите цени ще бъдат възстановени. Продължаване?')) {
+        return;
+      }
+
+      try {
+        const response = await apiRequest('/api/conversion/' + type, { method: 'POST' });
+        if (!response.ok) {
+          const data = await response.json();
+          alert(data.error || 'Грешка при стартиране');
+          return;
+        }
+        loadConversionStatus();
+      } catch (error) {
+        console.error('Error starting conversion:', error);
+      }
+    }
+
+    async function downloadConversionReport(event) {
+      event.preventDefault();
+      const response = await apiRequest('/api/conversion/report.csv');
+      if (!response.ok) {
+        alert('Няма наличен отчет');
+        return;
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'price-conversion.csv';
+      link.click();
+      URL.revokeObjectURL(url);
+    }
+
+    const CHECK_ICONS = { ok: '✓', warning: '⚠', error: '✕' };
+    const SWITCHOVER_STATUS = {
+      scheduled: 'Насрочено',
+      running: 'В процес',
+      completed: 'Завършено',
+      failed: 'Неуспешно',
+      reverted: 'Неуспешно, промените са върнати',
+      'revert-failed': 'Неуспешно, връщането на промените също се провали',
+      cancelled: 'Отказано'
+    };
+
+    function renderChecks(checks) {
+      return '<ul style="list-style: none; padding: 0;">' + checks.map(check =>
+        '<li style="color: ' + (check.status === 'error' ? '#d72c0d' : check.status === 'warning' ? '#8a6116' : '#108043') + ';">' +
+          CHECK_ICONS[check.status] + ' ' + escapeHtml(check.message) +
+        '</li>'
+      ).join('') + '</ul>';
+    }
+
+    async function runSwitchoverPreflight() {
+      const checksEl = document.getElementById('switchover-checks');
+      checksEl.innerHTML = 'Проверка...';
+      try {
+        const response = await apiRequest('/api/switchover/preflight', { method: 'POST' });
+        const data = await response.json();
+        checksEl.innerHTML = response.ok ? renderChecks(data.checks) : escapeHtml(data.error);
+      } catch (error) {
+        console.error('Error running preflight checks:', error);
+        checksEl.innerHTML = 'Грешка при проверката';
+      }
+    }
+
+    async function loadSwitchover() {
+      try {
+        const response = await apiRequest('/api/switchover');
+        if (!response.ok) {
+          console.error('Failed to load switchover');
+          return;
+        }
+        const { switchover } = await response.json();
+        const statusEl = document.getElementById('switchover-status');
+        document.getElementById('cancel-switchover').style.display =
+          switchover?.status === 'scheduled' ? 'inline-block' : 'none';
+
+        if (!switchover) {
+          statusEl.innerHTML = '';
+          return;
+        }
+
+        const timeline = switchover.timeline.map(event =>
+          '<tr><td>' + new Date(event.at).toLocaleString('bg-BG', { timeZone: 'Europe/Sofia' }) + '</td>' +
+          '<td>' + escapeHtml(event.step) + '</td><td>' + escapeHtml(event.status) + '</td>' +
+          '<td>' + escapeHtml(event.message) + '</td></tr>'
+        ).join('');
+
+        statusEl.innerHTML =
+          '<p><strong>' + (SWITCHOVER_STATUS[switchover.status] || escapeHtml(switchover.status)) + ':</strong> ' +
+          escapeHtml(switchover.from) + ' → ' + escapeHtml(switchover.to) + ', ' +
+          escapeHtml(switchover.localDateTime.replace('T', ' ')) + ' (Europe/Sofia)</p>' +
+          (switchover.error ? '<p style="color: #d72c0d;">' + escapeHtml(switchover.error) + '</p>' : '') +
+          '<table class="report-table"><thead><tr><th>Време</th><th>Стъпка</th><th>Статус</th><th></th></tr></thead>' +
+          '<tbody>' + timeline + '</tbody></table>';
+
+        if (switchover.status === 'running') {
+          setTimeout(loadSwitchover, 5000);
+        }
+      } catch (error) {
+        console.error('Error loading switchover:', error);
+      }
+    }
+
+    async function scheduleSwitchoverAt() {
+      const localDateTime = document.getElementById('switchover-time').value;
+      if (!localDateTime) {
+        alert('Изберете дата и час');
+        return;
+      }
+      if (!confirm('Насрочване на преминаването за ' + localDateTime.replace('T', ' ') + ' (българско време)?')) {
+        return;
+      }
+
+      try {
+        const response = await apiRequest('/api/switchover', {
+          method: 'POST',
+          body: JSON.stringify({ localDateTime })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          document.getElementById('switchover-checks').innerHTML =
+            '<p style="color: #d72c0d;">' + escapeHtml(data.error) + '</p>' + (data.checks ? renderChecks(data.checks) : '');
+          return;
+        }
+        document.getElementById('switchover-checks').innerHTML = renderChecks(data.switchover.preflight);
+        loadSwitchover();
+      } catch (error) {
+        console.error('Error scheduling switchover:', error);
+      }
+    }
+
+    async function cancelScheduledSwitchover() {
+      if (!confirm('Отказване на насроченото преминаване?')) {
+        return;
+      }
+      try {
+        const response = await apiRequest('/api/switchover', { method: 'DELETE' });
+        if (!response.ok) {
+          const data = await response.json();
+          alert(data.error);
+        }
+        loadSwitchover();
+      } catch (error) {
+        console.error('Error cancelling switchover:', error);
+      }
+    }
+
+    function fillInvoiceForm(template, emailEnabled) {
+      document.querySelectorAll('[data-seller]').forEach(input => {
+        input.value = template.seller[input.dataset.seller] || '';
+      });
+      document.querySelectorAll('[data-invoice]').forEach(input => {
+        input.value = template[input.dataset.invoice] || '';
+      });
+      document.getElementById('invoice-language').value = template.language;
+      document.getElementById('invoice-showUnitPrices').checked = template.showUnitPrices;
+      document.getElementById('invoice-email-status').textContent = emailEnabled
+        ? 'Изпращането по имейл е включено.'
+        : 'Изпращането по имейл не е настроено на сървъра (SMTP_URL); документите могат само да се изтеглят.';
+    }
+
+    function readInvoiceForm() {
+      const template = {
+        language: document.getElementById('invoice-language').value,
+        showUnitPrices: document.getElementById('invoice-showUnitPrices').checked,
+        seller: {}
+      };
+      document.querySelectorAll('[data-seller]').forEach(input => {
+        template.seller[input.dataset.seller] = input.value;
+      });
+      document.querySelectorAll('[data-invoice]').forEach(input => {
+        template[input.dataset.invoice] = input.value;
+      });
+      return template;
+    }
+
+    async function loadInvoiceTemplate() {
+      try {
+        const response = await apiRequest('/api/invoice/template');
+        if (!response.ok) {
+          console.error('Failed to load invoice template');
+          return;
+        }
+        const data = await response.json();
+        fillInvoiceForm(data.template, data.emailEnabled);
+      } catch (error) {
+        console.error('Error loading invoice template:', error);
+      }
+    }
+
+    async function saveInvoiceForm(event) {
+      event.preventDefault();
+      const statusEl = document.getElementById('invoice-status');
+      document.getElementById('invoice-errors').innerHTML = '';
+      statusEl.textContent = 'Запазване...';
+
+      try {
+        const response = await apiRequest('/api/invoice/template', {
+          method: 'PUT',
+          body: JSON.stringify(readInvoiceForm())
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          statusEl.textContent = '';
+          showFormErrors('invoice-errors', data);
+          return;
+        }
+
+        fillInvoiceForm(data.template, data.emailEnabled);
+        statusEl.textContent = '✓ Запазено';
+      } catch (error) {
+        console.error('Error saving invoice template:', error);
+        statusEl.textContent = 'Грешка при запазване';
+      }
+    }
+
     function showTab(tabName) {
       // Hide all tabs
       document.querySelectorAll('.tab-content').forEach(content => {
@@ -1345,11 +3058,15 @@ router.get('(/)', async (ctx) => {
 app.use(router.routes());
 app.use(router.allowedMethods());
 
+startSwitchoverScheduler(sessionStorage);
+startRateScheduler(sessionStorage);
+
 const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, '0.0.0.0', function () {
   console.log(`✓ Server listening on port ${PORT}`);
   console.log(`✓ Using Token Exchange authentication`);
+  console.log(`✓ Session storage: ${process.env.SESSION_STORAGE || 'file'} (data in ${DATA_DIR})`);
   console.log(`✓ App URL: ${HOST}`);
   console.log(`✓ Billing configured`);
 }).on('error', (err) => {
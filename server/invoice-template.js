@@ -0,0 +1,138 @@
+// server/invoice-template.js
+// Per-shop template of the dual-currency invoice and receipt PDFs: seller
+// details printed on every document, the language, numbering and the texts
+// around the amounts. Kept on the server only; the storefront never needs it.
+import { createFileStore } from './file-store.js';
+
+const templateStore = createFileStore('invoice-templates');
+
+export const INVOICE_LANGUAGES = ['bg', 'en'];
+
+export const SELLER_KEYS = [
+  'name',
+  'companyId',
+  'vatNumber',
+  'address',
+  'city',
+  'country',
+  'accountablePerson',
+  'bank',
+  'iban',
+  'email',
+  'phone'
+];
+
+// Empty texts fall back to the defaults of the template language in server/invoice.js
+export const DEFAULT_INVOICE_TEMPLATE = {
+  language: 'bg',
+  seller: Object.fromEntries(SELLER_KEYS.map(key => [key, ''])),
+  invoiceTitle: '',
+  receiptTitle: '',
+  // Prepended to the order number, e.g. "INV-" for "INV-1001"
+  numberPrefix: '',
+  showUnitPrices: true,
+  // {{rate}} is replaced with the rate of the document
+  conversionNote: '',
+  footer: '',
+  emailSubject: '',
+  emailBody: ''
+};
+
+const TEXT_LIMITS = {
+  invoiceTitle: 60,
+  receiptTitle: 60,
+  numberPrefix: 20,
+  conversionNote: 500,
+  footer: 500,
+  emailSubject: 200,
+  emailBody: 2000
+};
+
+const SELLER_LIMIT = 200;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Fill in defaults for a stored or partial template, dropping unknown keys
+export function normalizeInvoiceTemplate(raw) {
+  const input = isPlainObject(raw) ? raw : {};
+  const template = {};
+
+  for (const [key, defaultValue] of Object.entries(DEFAULT_INVOICE_TEMPLATE)) {
+    template[key] = isPlainObject(defaultValue)
+      ? { ...defaultValue, ...(isPlainObject(input[key]) ? input[key] : {}) }
+      : (key in input ? input[key] : defaultValue);
+  }
+
+  return template;
+}
+
+// Apply a partial update on top of the current template and validate the result.
+// Returns { template, errors } with errors in the { field, message } shape.
+export function validateInvoiceTemplate(update, current = DEFAULT_INVOICE_TEMPLATE) {
+  const errors = [];
+
+  if (!isPlainObject(update)) {
+    return { template: current, errors: [{ field: null, message: 'Template must be an object' }] };
+  }
+
+  Object.keys(update)
+    .filter(key => !(key in DEFAULT_INVOICE_TEMPLATE))
+    .forEach(key => errors.push({ field: key, message: 'Unknown setting' }));
+
+  if ('seller' in update && !isPlainObject(update.seller)) {
+    errors.push({ field: 'seller', message: 'Must be an object' });
+  }
+
+  const template = normalizeInvoiceTemplate({
+    ...current,
+    ...update,
+    seller: { ...current.seller, ...(isPlainObject(update.seller) ? update.seller : {}) }
+  });
+
+  if (!INVOICE_LANGUAGES.includes(template.language)) {
+    errors.push({ field: 'language', message: `Must be one of: ${INVOICE_LANGUAGES.join(', ')}` });
+  }
+
+  if (typeof template.showUnitPrices !== 'boolean') {
+    errors.push({ field: 'showUnitPrices', message: 'Must be a boolean' });
+  }
+
+  for (const [field, limit] of Object.entries(TEXT_LIMITS)) {
+    if (typeof template[field] !== 'string' || template[field].length > limit) {
+      errors.push({ field, message: `Must be a string of at most ${limit} characters` });
+    } else {
+      template[field] = template[field].trim();
+    }
+  }
+
+  for (const key of Object.keys(template.seller)) {
+    const value = template.seller[key];
+    if (!SELLER_KEYS.includes(key)) {
+      errors.push({ field: `seller.${key}`, message: 'Unknown field' });
+    } else if (typeof value !== 'string' || value.length > SELLER_LIMIT) {
+      errors.push({ field: `seller.${key}`, message: `Must be a string of at most ${SELLER_LIMIT} characters` });
+    } else {
+      template.seller[key] = value.trim();
+    }
+  }
+
+  if (template.seller.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(template.seller.email)) {
+    errors.push({ field: 'seller.email', message: 'Must be an email address' });
+  }
+
+  return { template, errors };
+}
+
+export async function getInvoiceTemplate(shop) {
+  return normalizeInvoiceTemplate(await templateStore.get(shop));
+}
+
+export async function saveInvoiceTemplate(shop, template) {
+  await templateStore.set(shop, template);
+  return template;
+}
+
+export async function deleteInvoiceTemplate(shop) {
+  await templateStore.delete(shop);
+}
@@ -0,0 +1,515 @@
+// server/invoice.js
+// Dual-currency invoice and receipt PDFs of an order: seller and buyer, the
+// lines, the VAT breakdown and the totals in both currencies of the pair, with
+// the rate and the conversion note. Amounts come from the order's conversion
+// (server/order-snapshot.js), so the document matches the admin order block.
+import { createRequire } from 'module';
+import PDFDocument from 'pdfkit';
+import { adminGraphQL } from './admin-api.js';
+import { getOrderConversion } from './order-snapshot.js';
+import { getInvoiceTemplate } from './invoice-template.js';
+import { convertAmount, formatAmount, toMinorUnits, formatMinorUnits, currencyDigits } from '../shared/currency.js';
+import { formatRate } from '../shared/currency-pair.js';
+import { formatMoney, localizeSettings } from '../shared/dual-format.js';
+import { resolveLabels } from '../shared/settings.js';
+import { breakdownRowLabel } from '../shared/breakdown.js';
+import { displayPhase } from '../shared/phases.js';
+import { SOFIA_TIME_ZONE } from '../shared/timezone.js';
+
+export const INVOICE_DOCUMENTS = ['invoice', 'receipt'];
+
+// Standard PDF fonts have no Cyrillic, so DejaVu is embedded instead
+const require = createRequire(import.meta.url);
+const FONTS = {
+  regular: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf'),
+  bold: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf')
+};
+
+// Texts of each template language; the template overrides titles and notes
+const TEXTS = {
+  bg: {
+    invoice: 'Фактура',
+    receipt: 'Разписка',
+    original: 'Оригинал',
+    number: 'Номер',
+    date: 'Дата',
+    order: 'Поръчка',
+    seller: 'Доставчик',
+    buyer: 'Получател',
+    companyId: 'ЕИК',
+    vatNumber: 'ДДС №',
+    accountablePerson: 'МОЛ',
+    bank: 'Банка',
+    iban: 'IBAN',
+    email: 'Имейл',
+    phone: 'Телефон',
+    product: 'Наименование',
+    quantity: 'Кол.',
+    unitPrice: 'Ед. цена',
+    amount: 'Стойност',
+    vatBreakdown: 'Разбивка на ДДС',
+    vatRate: 'Ставка',
+    taxBase: 'Данъчна основа',
+    vatAmount: 'ДДС',
+    rate: 'Курс',
+    conversionNote: 'Равностойността е изчислена по официалния фиксиран обменен курс {{rate}} съгласно Закона за въвеждане на еврото в Република България.',
+    pairNote: 'Равностойността е изчислена по курс {{rate}}.',
+    emailSubject: '{{title}} № {{number}}',
+    emailBody: 'Здравейте,\n\nВ прикачения файл ще намерите документа към поръчка {{order}}: {{title}} № {{number}}.\n\nПоздрави,\n{{seller}}',
+    labels: {
+      heading: 'Поръчка',
+      products: 'Продукти:',
+      unitPrice: 'Ед. цена',
+      subtotal: 'Междинна сума',
+      discounts: 'Отстъпка',
+      shipping: 'Доставка',
+      tax: 'ДДС',
+      duties: 'Мита',
+      tips: 'Бакшиш',
+      other: 'Мита и бакшиш',
+      rounding: 'Разлика от закръгляне',
+      total: 'Общо',
+      refunds: 'Възстановени суми',
+      refund: 'Възстановяване от',
+      adjustment: 'Корекция',
+      netPaid: 'Платено след възстановяванията',
+      included: 'в т.ч.'
+    }
+  },
+  en: {
+    invoice: 'Invoice',
+    receipt: 'Receipt',
+    original: 'Original',
+    number: 'Number',
+    date: 'Date',
+    order: 'Order',
+    seller: 'Seller',
+    buyer: 'Buyer',
+    companyId: 'Company ID',
+    vatNumber: 'VAT No.',
+    accountablePerson: 'Representative',
+    bank: 'Bank',
+    iban: 'IBAN',
+    email: 'Email',
+    phone: 'Phone',
+    product: 'Description',
+    quantity: 'Qty',
+    unitPrice: 'Unit price',
+    amount: 'Amount',
+    vatBreakdown: 'VAT breakdown',
+    vatRate: 'Rate',
+    taxBase: 'Taxable amount',
+    vatAmount: 'VAT',
+    rate: 'Rate',
+    conversionNote: 'Equivalent amounts are calculated at the official fixed conversion rate {{rate}} under the Bulgarian Euro Adoption Act.',
+    pairNote: 'Equivalent amounts are calculated at the rate {{rate}}.',
+    emailSubject: '{{title}} {{number}}',
+    emailBody: 'Hello,\n\nPlease find attached the document for order {{order}}: {{title}} {{number}}.\n\nKind regards,\n{{seller}}',
+    labels: {
+      heading: 'Order',
+      products: 'Products:',
+      unitPrice: 'Unit price',
+      subtotal: 'Subtotal',
+      discounts: 'Discount',
+      shipping: 'Shipping',
+      tax: 'VAT',
+      duties: 'Duties',
+      tips: 'Tip',
+      other: 'Duties and tip',
+      rounding: 'Rounding difference',
+      total: 'Total',
+      refunds: 'Refunds',
+      refund: 'Refund of',
+      adjustment: 'Adjustment',
+      netPaid: 'Paid after refunds',
+      included: 'incl.'
+    }
+  }
+};
+
+const fillIn = (text, values) =>
+  text.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? values[key] : match));
+
+const INVOICE_QUERY = `
+  query OrderForInvoice($id: ID!) {
+    order(id: $id) {
+      name
+      email
+      processedAt
+      taxesIncluded
+      customer {
+        displayName
+        email
+      }
+      billingAddress {
+        name
+        company
+        address1
+        address2
+        zip
+        city
+        country
+        phone
+      }
+      lineItems(first: 250) {
+        nodes {
+          originalTotalSet { presentmentMoney { amount } }
+          discountAllocations {
+            allocatedAmountSet { presentmentMoney { amount } }
+          }
+          taxLines {
+            title
+            rate
+            priceSet { presentmentMoney { amount } }
+          }
+        }
+      }
+      shippingLines(first: 10) {
+        nodes {
+          discountedPriceSet { presentmentMoney { amount } }
+          taxLines {
+            title
+            rate
+            priceSet { presentmentMoney { amount } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Tax and taxable amount per rate, from the taxed lines and shipping lines in
+// minor units. A line is taxed on its price after every discount; when taxes
+// are included in the prices, the taxable amount is that price less its tax.
+function vatBreakdown(order, currencyCode) {
+  const digits = currencyDigits(currencyCode);
+  const minor = (moneyBag) => toMinorUnits(moneyBag?.presentmentMoney?.amount ?? '0', digits);
+  const sum = (items, amount) => items.reduce((total, item) => total + amount(item), 0);
+
+  const taxed = [
+    ...order.lineItems.nodes.map(line => ({
+      amount: minor(line.originalTotalSet) - sum(line.discountAllocations, allocation => minor(allocation.allocatedAmountSet)),
+      taxLines: line.taxLines
+    })),
+    ...order.shippingLines.nodes.map(line => ({ amount: minor(line.discountedPriceSet), taxLines: line.taxLines }))
+  ];
+
+  const byRate = new Map();
+  for (const item of taxed) {
+    const base = order.taxesIncluded ? item.amount - sum(item.taxLines, line => minor(line.priceSet)) : item.amount;
+    for (const line of item.taxLines) {
+      const entry = byRate.get(line.rate) || { rate: line.rate, title: line.title, base: 0, tax: 0 };
+      entry.base += base;
+      entry.tax += minor(line.priceSet);
+      byRate.set(line.rate, entry);
+    }
+  }
+
+  return [...byRate.values()]
+    .filter(entry => entry.tax > 0 && entry.rate > 0)
+    .sort((a, b) => b.rate - a.rate)
+    .map(entry => ({
+      rate: entry.rate,
+      title: entry.title,
+      base: formatMinorUnits(entry.base, digits),
+      tax: formatMinorUnits(entry.tax, digits)
+    }));
+}
+
+function buyerDetails(order) {
+  const address = order.billingAddress;
+  return {
+    name: address?.name || order.customer?.displayName || '',
+    company: address?.company || '',
+    address: [address?.address1, address?.address2].filter(Boolean).join(', '),
+    city: [address?.zip, address?.city].filter(Boolean).join(' '),
+    country: address?.country || '',
+    phone: address?.phone || '',
+    email: order.email || order.customer?.email || ''
+  };
+}
+
+// Everything printed on the `document` ('invoice' or 'receipt') of `orderId`,
+// in the shop's invoice template. Null when the order does not exist.
+export async function getInvoice(session, orderId, document = 'invoice') {
+  const conversion = await getOrderConversion(session, orderId);
+  if (!conversion) {
+    return null;
+  }
+
+  const [data, template] = await Promise.all([
+    adminGraphQL(session, INVOICE_QUERY, { id: orderId }),
+    getInvoiceTemplate(session.shop)
+  ]);
+  const order = data.order;
+  const texts = TEXTS[template.language];
+  const settings = localizeSettings({
+    ...conversion.settings,
+    labels: resolveLabels(conversion.settings.labels, key => texts.labels[key.replace('labels.', '')])
+  }, { language: template.language });
+
+  const { currencyCode, convertedCurrency } = conversion;
+  const convert = (amount) => (convertedCurrency
+    ? formatAmount(convertAmount(amount, {
+      from: currencyCode,
+      to: convertedCurrency,
+      rate: settings.rate,
+      rateBase: settings.rateBase,
+      roundingMode: settings.roundingMode
+    }), currencyDigits(convertedCurrency))
+    : null);
+
+  const buyer = buyerDetails(order);
+  const title = template[`${document}Title`] || texts[document];
+  const rate = formatRate(settings);
+  // The legal wording only applies to the lev and the euro
+  const note = template.conversionNote ||
+    (displayPhase(settings) ? texts.conversionNote : texts.pairNote);
+
+  return {
+    document,
+    title,
+    number: `${template.numberPrefix}${conversion.name.replace(/^#/, '')}`,
+    orderName: conversion.name,
+    issuedAt: order.processedAt,
+    language: template.language,
+    showUnitPrices: template.showUnitPrices,
+    seller: template.seller,
+    buyer,
+    currencyCode,
+    convertedCurrency,
+    settings,
+    lines: conversion.lines.map(line => ({
+      ...line,
+      convertedUnitPrice: convert(line.unitPrice)
+    })),
+    rows: conversion.rows,
+    vat: vatBreakdown(order, currencyCode).map(entry => ({
+      ...entry,
+      convertedBase: convert(entry.base),
+      convertedTax: convert(entry.tax)
+    })),
+    taxesIncluded: order.taxesIncluded,
+    rate: convertedCurrency ? rate : null,
+    note: convertedCurrency ? fillIn(note, { rate }) : '',
+    footer: template.footer,
+    email: {
+      to: buyer.email,
+      replyTo: template.seller.email,
+      subject: template.emailSubject || texts.emailSubject,
+      body: template.emailBody || texts.emailBody
+    }
+  };
+}
+
+// "invoice-1001.pdf"
+export function invoiceFileName(invoice) {
+  return `${invoice.document}-${invoice.number.replace(/[^\w.-]+/g, '-')}.pdf`;
+}
+
+// Subject and text of the email that carries the PDF
+export function invoiceEmail(invoice) {
+  const values = {
+    title: invoice.title,
+    number: invoice.number,
+    order: invoice.orderName,
+    seller: invoice.seller.name
+  };
+  return {
+    subject: fillIn(invoice.email.subject, values),
+    text: fillIn(invoice.email.body, values)
+  };
+}
+
+const PAGE_MARGIN = 50;
+
+// Draw one table row at the current position; cells wrap inside their column
+function drawRow(doc, columns, values, { bold = false, fill = null } = {}) {
+  doc.font(bold ? 'bold' : 'regular').fontSize(9);
+  const height = Math.max(...values.map((value, index) =>
+    doc.heightOfString(String(value ?? ''), { width: columns[index].width - 6 })
+  )) + 6;
+
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+
+  const top = doc.y;
+  if (fill) {
+    doc.rect(PAGE_MARGIN, top, columns.reduce((sum, column) => sum + column.width, 0), height).fill(fill);
+    doc.fillColor('black');
+  }
+
+  let x = PAGE_MARGIN;
+  values.forEach((value, index) => {
+    doc.text(String(value ?? ''), x + 3, top + 3, {
+      width: columns[index].width - 6,
+      align: columns[index].align || 'left'
+    });
+    x += columns[index].width;
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = top + height;
+}
+
+function partyLines(party, texts) {
+  return [
+    party.company,
+    party.name,
+    party.companyId && `${texts.companyId}: ${party.companyId}`,
+    party.vatNumber && `${texts.vatNumber}: ${party.vatNumber}`,
+    party.address,
+    [party.city, party.country].filter(Boolean).join(', '),
+    party.accountablePerson && `${texts.accountablePerson}: ${party.accountablePerson}`,
+    party.bank && `${texts.bank}: ${party.bank}`,
+    party.iban && `${texts.iban}: ${party.iban}`,
+    party.email && `${texts.email}: ${party.email}`,
+    party.phone && `${texts.phone}: ${party.phone}`
+  ].filter(Boolean);
+}
+
+// Render an invoice from getInvoice() as a PDF; resolves with its bytes
+export function renderInvoicePdf(invoice) {
+  const texts = TEXTS[invoice.language];
+  const { settings, currencyCode, convertedCurrency } = invoice;
+  const money = (amount, code) => (amount === null || amount === undefined ? '' : formatMoney(amount, code, settings));
+  const issuedAt = new Intl.DateTimeFormat(settings.locale, { dateStyle: 'medium', timeZone: SOFIA_TIME_ZONE })
+    .format(new Date(invoice.issuedAt));
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: { Title: `${invoice.title} ${invoice.number}`, Author: invoice.seller.name }
+  });
+  doc.registerFont('regular', FONTS.regular);
+  doc.registerFont('bold', FONTS.bold);
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+
+  // Title, number and date
+  doc.font('bold').fontSize(18).text(invoice.title, { align: 'center' });
+  doc.font('regular').fontSize(10)
+    .text(`${texts.number}: ${invoice.number} · ${texts.date}: ${issuedAt} · ${texts.order}: ${invoice.orderName}`, { align: 'center' });
+  if (invoice.document === 'invoice') {
+    doc.text(texts.original, { align: 'center' });
+  }
+  doc.moveDown(1.5);
+
+  // Seller and buyer side by side
+  const top = doc.y;
+  const half = contentWidth / 2 - 10;
+  doc.font('bold').fontSize(10).text(texts.seller, PAGE_MARGIN, top, { width: half });
+  doc.font('regular').fontSize(9).text(partyLines(invoice.seller, texts).join('\n'), { width: half });
+  const sellerBottom = doc.y;
+  doc.font('bold').fontSize(10).text(texts.buyer, PAGE_MARGIN + half + 20, top, { width: half });
+  doc.font('regular').fontSize(9).text(partyLines(invoice.buyer, texts).join('\n'), { width: half });
+  doc.x = PAGE_MARGIN;
+  doc.y = Math.max(sellerBottom, doc.y);
+  doc.moveDown(1.5);
+
+  // Lines: amounts in the order currency, then in the other one of the pair
+  const amountHeader = (code) => `${texts.amount} (${code})`;
+  const columns = [
+    { width: 24 },
+    { width: 0 },
+    { width: 40, align: 'right' },
+    ...(invoice.showUnitPrices ? [{ width: 80, align: 'right' }] : []),
+    { width: 85, align: 'right' },
+    ...(convertedCurrency ? [{ width: 85, align: 'right' }] : [])
+  ];
+  columns[1].width = contentWidth - columns.reduce((sum, column) => sum + column.width, 0);
+
+  drawRow(doc, columns, [
+    '#',
+    texts.product,
+    texts.quantity,
+    ...(invoice.showUnitPrices ? [texts.unitPrice] : []),
+    amountHeader(currencyCode),
+    ...(convertedCurrency ? [amountHeader(convertedCurrency)] : [])
+  ], { bold: true, fill: '#eeeeee' });
+
+  invoice.lines.forEach((line, index) => {
+    drawRow(doc, columns, [
+      index + 1,
+      line.variantTitle ? `${line.title} – ${line.variantTitle}` : line.title,
+      line.quantity,
+      ...(invoice.showUnitPrices
+        ? [[money(line.unitPrice, currencyCode), money(line.convertedUnitPrice, convertedCurrency)].filter(Boolean).join('\n')]
+        : []),
+      money(line.amount, currencyCode),
+      ...(convertedCurrency ? [money(line.converted, convertedCurrency)] : [])
+    ]);
+  });
+  doc.moveDown();
+
+  // Totals, under the amount columns
+  const totalColumns = [
+    { width: contentWidth - 170 - (convertedCurrency ? 0 : 85), align: 'right' },
+    { width: 85, align: 'right' },
+    ...(convertedCurrency ? [{ width: 85, align: 'right' }] : [])
+  ];
+  invoice.rows
+    .filter(row => row.type !== 'shipping' || Number(row.amount) > 0)
+    .forEach(row => {
+      drawRow(doc, totalColumns, [
+        breakdownRowLabel(row, settings.labels),
+        money(row.amount, currencyCode),
+        ...(convertedCurrency ? [money(row.converted, convertedCurrency)] : [])
+      ], { bold: row.type === 'total', fill: row.type === 'total' ? '#eeeeee' : null });
+    });
+  doc.moveDown(1.5);
+
+  // VAT per rate
+  if (invoice.vat.length > 0) {
+    doc.font('bold').fontSize(10).text(texts.vatBreakdown);
+    doc.moveDown(0.3);
+    const vatColumns = [
+      { width: contentWidth - (convertedCurrency ? 340 : 170) },
+      { width: 85, align: 'right' },
+      { width: 85, align: 'right' },
+      ...(convertedCurrency ? [{ width: 85, align: 'right' }, { width: 85, align: 'right' }] : [])
+    ];
+    drawRow(doc, vatColumns, [
+      texts.vatRate,
+      `${texts.taxBase} (${currencyCode})`,
+      `${texts.vatAmount} (${currencyCode})`,
+      ...(convertedCurrency
+        ? [`${texts.taxBase} (${convertedCurrency})`, `${texts.vatAmount} (${convertedCurrency})`]
+        : [])
+    ], { bold: true, fill: '#eeeeee' });
+    invoice.vat.forEach(entry => {
+      const percent = new Intl.NumberFormat(settings.locale, { style: 'percent', maximumFractionDigits: 2 }).format(entry.rate);
+      drawRow(doc, vatColumns, [
+        entry.title ? `${entry.title} ${percent}` : percent,
+        money(entry.base, currencyCode),
+        money(entry.tax, currencyCode),
+        ...(convertedCurrency
+          ? [money(entry.convertedBase, convertedCurrency), money(entry.convertedTax, convertedCurrency)]
+          : [])
+      ]);
+    });
+    doc.moveDown(1.5);
+  }
+
+  // Rate, conversion note and the merchant's footer
+  doc.font('regular').fontSize(9);
+  if (invoice.rate) {
+    doc.text(`${texts.rate}: ${invoice.rate}`, PAGE_MARGIN, doc.y, { width: contentWidth });
+    doc.text(invoice.note, { width: contentWidth });
+  }
+  if (invoice.footer) {
+    doc.moveDown();
+    doc.text(invoice.footer, { width: contentWidth });
+  }
+
+  doc.end();
+  return done;
+}
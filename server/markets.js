@@ -0,0 +1,40 @@
+// server/markets.js
+// The shop's Markets, for picking which ones get the dual display
+import { adminGraphQL } from './admin-api.js';
+
+// [{ id, handle, name, enabled, primary, currency, countries }]
+export async function listMarkets(session) {
+  const data = await adminGraphQL(session, `{
+    markets(first: 50) {
+      nodes {
+        id
+        name
+        handle
+        enabled
+        primary
+        currencySettings {
+          baseCurrency {
+            currencyCode
+          }
+        }
+        regions(first: 250) {
+          nodes {
+            ... on MarketRegionCountry {
+              code
+            }
+          }
+        }
+      }
+    }
+  }`);
+
+  return data.markets.nodes.map(market => ({
+    id: market.id,
+    handle: market.handle,
+    name: market.name,
+    enabled: market.enabled,
+    primary: market.primary,
+    currency: market.currencySettings?.baseCurrency?.currencyCode || null,
+    countries: market.regions.nodes.map(region => region.code).filter(Boolean)
+  }));
+}
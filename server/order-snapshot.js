@@ -0,0 +1,282 @@
+// server/order-snapshot.js
+// Conversion snapshot kept on every order in an app-owned metafield, written
+// from the order and refund webhooks. The pair and rate are fixed the first time;
+// later events only recompute the amounts, so edits and refunds keep the
+// purchase-time rate.
+import { adminGraphQL } from './admin-api.js';
+import { getShopSettings } from './settings.js';
+import { toMinorUnits, formatMinorUnits, currencyDigits } from '../shared/currency.js';
+import { splitOrderAllocations } from '../shared/breakdown.js';
+import {
+  ORDER_SNAPSHOT_METAFIELD,
+  parseOrderSnapshot,
+  orderConversionSettings,
+  convertOrder,
+  buildOrderSnapshot,
+  snapshotConversion
+} from '../shared/order-snapshot.js';
+
+// Shops whose metafield definition is known to exist in this process
+const definedShops = new Set();
+
+const PRESENTMENT = 'presentmentMoney { amount currencyCode }';
+
+const ORDER_QUERY = `
+  query OrderForConversion($id: ID!) {
+    order(id: $id) {
+      id
+      name
+      processedAt
+      presentmentCurrencyCode
+      conversion: metafield(namespace: "${ORDER_SNAPSHOT_METAFIELD.namespace}", key: "${ORDER_SNAPSHOT_METAFIELD.key}") {
+        value
+      }
+      totalShippingPriceSet { ${PRESENTMENT} }
+      totalTaxSet { ${PRESENTMENT} }
+      originalTotalDutiesSet { ${PRESENTMENT} }
+      totalTipReceivedSet { ${PRESENTMENT} }
+      totalPriceSet { ${PRESENTMENT} }
+      lineItems(first: 250) {
+        nodes {
+          id
+          title
+          variantTitle
+          quantity
+          originalUnitPriceSet { ${PRESENTMENT} }
+          discountedTotalSet { ${PRESENTMENT} }
+          discountAllocations {
+            allocatedAmountSet { ${PRESENTMENT} }
+            discountApplication {
+              targetSelection
+              ... on DiscountCodeApplication { code }
+              ... on AutomaticDiscountApplication { title }
+              ... on ManualDiscountApplication { title }
+              ... on ScriptDiscountApplication { title }
+            }
+          }
+        }
+      }
+      refunds(first: 50) {
+        id
+        createdAt
+        totalRefundedSet { ${PRESENTMENT} }
+        refundLineItems(first: 250) {
+          nodes {
+            quantity
+            lineItem { title }
+            subtotalSet { ${PRESENTMENT} }
+          }
+        }
+        refundShippingLines(first: 10) {
+          nodes {
+            subtotalAmountSet { ${PRESENTMENT} }
+          }
+        }
+        orderAdjustments(first: 10) {
+          nodes {
+            reason
+            amountSet { ${PRESENTMENT} }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const presentment = (moneyBag) => moneyBag?.presentmentMoney?.amount ?? null;
+
+// The order in its presentment currency, shaped for shared/order-snapshot.js,
+// plus the stored snapshot. Null when the order does not exist.
+export async function getOrderForConversion(session, orderId) {
+  const data = await adminGraphQL(session, ORDER_QUERY, { id: orderId });
+  const order = data.order;
+  if (!order) {
+    return null;
+  }
+
+  const currencyCode = order.presentmentCurrencyCode;
+  const digits = currencyDigits(currencyCode);
+  const { lines, orderAllocations } = splitOrderAllocations(order.lineItems.nodes.map(line => ({
+    id: line.id,
+    title: line.title,
+    variantTitle: line.variantTitle,
+    quantity: line.quantity,
+    unitPrice: presentment(line.originalUnitPriceSet) ?? '0',
+    // After the line's own discounts, before order-level ones
+    totalAmount: presentment(line.discountedTotalSet) ?? '0',
+    discountAllocations: line.discountAllocations.map(allocation => ({
+      code: allocation.discountApplication?.code,
+      title: allocation.discountApplication?.title,
+      targetSelection: allocation.discountApplication?.targetSelection,
+      discountedAmount: allocation.allocatedAmountSet.presentmentMoney
+    }))
+  })), currencyCode);
+
+  return {
+    id: order.id,
+    name: order.name,
+    processedAt: order.processedAt,
+    currencyCode,
+    lines,
+    orderAllocations,
+    subtotal: formatMinorUnits(lines.reduce((sum, line) => sum + toMinorUnits(line.totalAmount, digits), 0), digits),
+    shipping: presentment(order.totalShippingPriceSet),
+    tax: presentment(order.totalTaxSet),
+    duties: presentment(order.originalTotalDutiesSet),
+    tips: presentment(order.totalTipReceivedSet),
+    total: presentment(order.totalPriceSet) ?? '0',
+    refunds: order.refunds
+      .map(refund => ({
+        id: refund.id,
+        createdAt: refund.createdAt,
+        lines: refund.refundLineItems.nodes.map(item => ({
+          title: item.lineItem.title,
+          quantity: item.quantity,
+          amount: presentment(item.subtotalSet) ?? '0'
+        })),
+        shipping: formatMinorUnits(refund.refundShippingLines.nodes.reduce(
+          (sum, line) => sum + toMinorUnits(presentment(line.subtotalAmountSet) ?? '0', digits), 0
+        ), digits),
+        adjustments: refund.orderAdjustments.nodes.map(adjustment => ({
+          reason: adjustment.reason,
+          amount: presentment(adjustment.amountSet) ?? '0'
+        })),
+        total: presentment(refund.totalRefundedSet) ?? '0'
+      }))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+    snapshot: parseOrderSnapshot(order.conversion?.value)
+  };
+}
+
+// Order metafield definition, so the snapshot is readable from customer accounts
+async function ensureSnapshotDefinition(session) {
+  if (definedShops.has(session.shop)) {
+    return;
+  }
+
+  const data = await adminGraphQL(session, `
+    mutation CreateSnapshotDefinition($definition: MetafieldDefinitionInput!) {
+      metafieldDefinitionCreate(definition: $definition) {
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `, {
+    definition: {
+      name: 'Currency conversion',
+      namespace: ORDER_SNAPSHOT_METAFIELD.namespace,
+      key: ORDER_SNAPSHOT_METAFIELD.key,
+      ownerType: 'ORDER',
+      type: 'json',
+      access: { admin: 'MERCHANT_READ', customerAccount: 'READ' }
+    }
+  });
+
+  const errors = data.metafieldDefinitionCreate.userErrors.filter(error => error.code !== 'TAKEN');
+  if (errors.length > 0) {
+    throw new Error(`Metafield definition failed: ${errors[0].message}`);
+  }
+  definedShops.add(session.shop);
+}
+
+// Write the snapshot of `orderId`. Settings come from the existing snapshot when
+// there is one, else from the shop; `force` takes them from the shop regardless,
+// to replace a snapshot taken with wrong settings. Nothing is written when the
+// stored snapshot is already up to date, which makes webhook retries, and the
+// orders/updated event the write itself triggers, no-ops.
+// Returns { status: 'written' | 'unchanged' | 'missing', snapshot }.
+export async function writeOrderSnapshot(session, orderId, { force = false } = {}) {
+  const order = await getOrderForConversion(session, orderId);
+  if (!order) {
+    return { status: 'missing', snapshot: null };
+  }
+
+  const shopSettings = await getShopSettings(session.shop);
+  const settings = orderConversionSettings(shopSettings, force ? null : order.snapshot);
+  const snapshot = buildOrderSnapshot(order, settings);
+
+  if (order.snapshot && JSON.stringify(order.snapshot) === JSON.stringify(snapshot)) {
+    return { status: 'unchanged', snapshot };
+  }
+
+  await ensureSnapshotDefinition(session);
+
+  const data = await adminGraphQL(session, `
+    mutation SetOrderSnapshot($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `, {
+    metafields: [{
+      ownerId: order.id,
+      namespace: ORDER_SNAPSHOT_METAFIELD.namespace,
+      key: ORDER_SNAPSHOT_METAFIELD.key,
+      type: 'json',
+      value: JSON.stringify(snapshot)
+    }]
+  });
+
+  const errors = data.metafieldsSet.userErrors;
+  if (errors.length > 0) {
+    const error = new Error(errors[0].message);
+    error.userErrors = errors;
+    throw error;
+  }
+
+  return { status: 'written', snapshot };
+}
+
+// The conversion of `orderId` for the admin order page: the stored one while it
+// still matches the order, else recomputed with the snapshot's or the shop's
+// settings. Converted amounts are null outside the pair. Null when the order
+// does not exist.
+export async function getOrderConversion(session, orderId) {
+  const order = await getOrderForConversion(session, orderId);
+  if (!order) {
+    return null;
+  }
+
+  const settings = orderConversionSettings(await getShopSettings(session.shop), order.snapshot);
+  const stored = snapshotConversion(order.snapshot, order);
+  const { breakdown, converted } = convertOrder(order, settings);
+  const conversion = stored || converted;
+
+  return {
+    id: order.id,
+    name: order.name,
+    currencyCode: order.currencyCode,
+    convertedCurrency: conversion ? conversion.currencyCode : null,
+    source: stored ? 'snapshot' : 'recomputed',
+    takenAt: order.snapshot?.takenAt ?? null,
+    settings,
+    lines: order.lines.map((line, index) => ({
+      id: line.id,
+      title: line.title,
+      variantTitle: line.variantTitle,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      amount: line.totalAmount,
+      converted: conversion ? conversion.lines[index] : null
+    })),
+    rows: conversion ? conversion.rows : breakdown.rows.map(row => ({ ...row, converted: null }))
+  };
+}
+
+// Order GID from an orders/create, orders/updated, orders/edited or refunds/create payload
+export function webhookOrderId(payload) {
+  const orderId = payload.order_edit?.order_id ?? payload.order_id;
+  if (orderId) {
+    return `gid://shopify/Order/${orderId}`;
+  }
+  if (payload.admin_graphql_api_id) {
+    return payload.admin_graphql_api_id;
+  }
+  return payload.id ? `gid://shopify/Order/${payload.id}` : null;
+}
@@ -0,0 +1,521 @@
+// server/price-conversion.js
+// Catalog price conversion: read every variant price, convert it with the shop's
+// rate and rounding rules, write it back in throttled batches and keep a snapshot
+// of the original prices for restore.
+import { adminGraphQL } from './admin-api.js';
+import { createFileStore } from './file-store.js';
+import { convertAmount, formatAmount, currencyDigits } from '../shared/currency.js';
+import { resolvePriceEndingRule, applyPriceEnding, exceedsLegalTolerance } from '../shared/price-endings.js';
+import { PRICE_OVERRIDE_METAFIELD, parsePriceOverride, priceOverrideAmount } from '../shared/price-overrides.js';
+
+const jobStore = createFileStore('conversion-jobs');
+const snapshotStore = createFileStore('price-snapshots');
+const reportStore = createFileStore('conversion-reports');
+
+// Catalogs above this size are read with a bulk operation instead of pagination
+const BULK_THRESHOLD = 1000;
+const PAGE_SIZE = 250;
+const BULK_POLL_INTERVAL = 3000;
+const WRITE_DELAY = 500;
+const MAX_THROTTLE_RETRIES = 5;
+const REPORT_PREVIEW_SIZE = 200;
+
+const VARIANT_FIELDS = `
+  id
+  title
+  sku
+  price
+  compareAtPrice
+  manualPrice: metafield(namespace: "${PRICE_OVERRIDE_METAFIELD.namespace}", key: "${PRICE_OVERRIDE_METAFIELD.key}") {
+    value
+  }
+  product {
+    id
+    title
+    tags
+    collections(first: 25) {
+      edges {
+        node {
+          handle
+        }
+      }
+    }
+  }
+`;
+
+// Shops with a job running in this process. A stored "running" job for a shop
+// not in this set was interrupted by a restart.
+const activeJobs = new Set();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isThrottled(error) {
+  return error.errors?.some(e => e.extensions?.code === 'THROTTLED');
+}
+
+// Retry throttled requests with exponential backoff
+async function throttledGraphQL(session, query, variables) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await adminGraphQL(session, query, variables);
+    } catch (error) {
+      if (!isThrottled(error) || attempt >= MAX_THROTTLE_RETRIES) {
+        throw error;
+      }
+      await sleep(1000 * 2 ** attempt);
+    }
+  }
+}
+
+async function countVariants(session) {
+  const data = await throttledGraphQL(session, `{ productVariantsCount { count } }`);
+  return data.productVariantsCount?.count || 0;
+}
+
+// Flatten the product's collection connection into a list of handles and parse
+// the manual price
+function normalizeVariant(variant, collectionHandles) {
+  return {
+    ...variant,
+    manualPrice: parsePriceOverride(variant.manualPrice?.value),
+    product: {
+      ...variant.product,
+      tags: variant.product.tags || [],
+      collections: collectionHandles ?? (variant.product.collections?.edges || []).map(edge => edge.node.handle)
+    }
+  };
+}
+
+async function fetchVariantsPaginated(session, limit = Infinity) {
+  const variants = [];
+  let cursor = null;
+
+  do {
+    const data = await throttledGraphQL(session, `
+      query Variants($first: Int!, $after: String) {
+        productVariants(first: $first, after: $after) {
+          nodes {
+            ${VARIANT_FIELDS}
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `, { first: Math.min(PAGE_SIZE, limit - variants.length), after: cursor });
+
+    variants.push(...data.productVariants.nodes.map(variant => normalizeVariant(variant)));
+    cursor = data.productVariants.pageInfo.hasNextPage ? data.productVariants.pageInfo.endCursor : null;
+  } while (cursor && variants.length < limit);
+
+  return variants;
+}
+
+// First few variants of the catalog, for previews
+export async function fetchVariantSample(session, count) {
+  return fetchVariantsPaginated(session, count);
+}
+
+async function fetchVariantsBulk(session) {
+  const started = await throttledGraphQL(session, `
+    mutation {
+      bulkOperationRunQuery(query: """
+        {
+          productVariants {
+            edges {
+              node {
+                ${VARIANT_FIELDS}
+              }
+            }
+          }
+        }
+      """) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `);
+
+  const errors = started.bulkOperationRunQuery.userErrors;
+  if (errors.length > 0) {
+    throw new Error(`Bulk operation failed to start: ${errors[0].message}`);
+  }
+
+  let operation;
+  do {
+    await sleep(BULK_POLL_INTERVAL);
+    const data = await throttledGraphQL(session, `{
+      currentBulkOperation {
+        id
+        status
+        errorCode
+        url
+      }
+    }`);
+    operation = data.currentBulkOperation;
+  } while (['CREATED', 'RUNNING'].includes(operation?.status));
+
+  if (operation?.status !== 'COMPLETED') {
+    throw new Error(`Bulk operation ${operation?.status || 'missing'}: ${operation?.errorCode || 'unknown error'}`);
+  }
+
+  // No url means the query matched nothing
+  if (!operation.url) {
+    return [];
+  }
+
+  const response = await fetch(operation.url);
+  if (!response.ok) {
+    throw new Error(`Failed to download bulk operation result (${response.status})`);
+  }
+
+  // Nested connection nodes (collections) come as separate lines whose
+  // __parentId is the product they belong to, not the variant
+  const text = await response.text();
+  const variants = new Map();
+  const collections = new Map();
+
+  for (const line of text.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    const record = JSON.parse(line);
+    if (record.__parentId) {
+      if (!collections.has(record.__parentId)) {
+        collections.set(record.__parentId, []);
+      }
+      collections.get(record.__parentId).push(record.handle);
+    } else {
+      variants.set(record.id, record);
+    }
+  }
+
+  return [...variants.values()].map(variant => normalizeVariant(variant, collections.get(variant.product.id) || []));
+}
+
+// Variants of one product, for the product page preview
+export async function fetchProductVariants(session, productId) {
+  const data = await throttledGraphQL(session, `
+    query ProductVariants($id: ID!) {
+      product(id: $id) {
+        variants(first: ${PAGE_SIZE}) {
+          nodes {
+            ${VARIANT_FIELDS}
+          }
+        }
+      }
+    }
+  `, { id: productId });
+
+  return data.product ? data.product.variants.nodes.map(variant => normalizeVariant(variant)) : null;
+}
+
+export async function fetchVariantPrices(session) {
+  const count = await countVariants(session);
+  return count > BULK_THRESHOLD
+    ? fetchVariantsBulk(session)
+    : fetchVariantsPaginated(session);
+}
+
+// Conversion options for a shop: from the primary into the secondary currency
+export function conversionOptionsFromSettings(settings, priceEndings = settings.priceEndings) {
+  return {
+    from: settings.primaryCurrency,
+    to: settings.secondaryCurrency,
+    rate: settings.rate,
+    rateBase: settings.rateBase,
+    roundingMode: settings.roundingMode,
+    priceEndings
+  };
+}
+
+// Convert one variant's prices and apply the price-ending rule for its product.
+// A manual price in the target currency replaces the converted price as is.
+export function convertVariantPrices(variant, { from, to, rate, rateBase, roundingMode, priceEndings }) {
+  const digits = currencyDigits(to);
+  const rule = resolvePriceEndingRule(priceEndings, {
+    tags: variant.product.tags,
+    collections: variant.product.collections
+  });
+
+  const convert = (amount) => {
+    if (amount === null || amount === undefined || amount === '') {
+      return { old: amount ?? null, converted: null, new: null, flagged: false, capped: false };
+    }
+    const converted = formatAmount(convertAmount(amount, { from, to, rate, rateBase, roundingMode }), digits);
+    const ended = applyPriceEnding(converted, rule, digits);
+    return { old: amount, converted, new: ended.amount, flagged: ended.flagged, capped: ended.capped };
+  };
+
+  const manualPrice = priceOverrideAmount(variant.manualPrice, to);
+  const price = convert(variant.price);
+  if (manualPrice !== null && price.old !== null) {
+    // The manual price is the merchant's own, but an increase is still flagged
+    Object.assign(price, {
+      new: manualPrice,
+      flagged: exceedsLegalTolerance(manualPrice, price.converted, rule, digits),
+      capped: false
+    });
+  }
+  const compareAtPrice = convert(variant.compareAtPrice);
+
+  return {
+    variantId: variant.id,
+    productId: variant.product.id,
+    productTitle: variant.product.title,
+    variantTitle: variant.title,
+    sku: variant.sku,
+    price: { old: price.old, converted: price.converted, new: price.new },
+    manualPrice,
+    compareAtPrice: { old: compareAtPrice.old, converted: compareAtPrice.converted, new: compareAtPrice.new },
+    priceEnding: {
+      ending: rule.ending,
+      override: rule.override || null,
+      capped: price.capped || compareAtPrice.capped,
+      flagged: price.flagged || compareAtPrice.flagged
+    }
+  };
+}
+
+// Build the list of price changes. Variants whose prices would not change are left out.
+export function buildConversionPlan(variants, options) {
+  return variants
+    .map(variant => convertVariantPrices(variant, options))
+    .filter(item => item.price.old !== item.price.new || item.compareAtPrice.old !== item.compareAtPrice.new);
+}
+
+// Write prices back grouped by product, one productVariantsBulkUpdate per product
+async function writeVariantPrices(session, updates, onProgress) {
+  const byProduct = new Map();
+  for (const update of updates) {
+    if (!byProduct.has(update.productId)) {
+      byProduct.set(update.productId, []);
+    }
+    byProduct.get(update.productId).push({
+      id: update.variantId,
+      price: update.price,
+      compareAtPrice: update.compareAtPrice
+    });
+  }
+
+  let processed = 0;
+  for (const [productId, variants] of byProduct) {
+    const data = await throttledGraphQL(session, `
+      mutation UpdateVariantPrices($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+        productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `, { productId, variants });
+
+    const errors = data.productVariantsBulkUpdate.userErrors;
+    if (errors.length > 0) {
+      throw new Error(`Failed to update ${productId}: ${errors[0].message}`);
+    }
+
+    processed += variants.length;
+    await onProgress(processed);
+    await sleep(WRITE_DELAY);
+  }
+}
+
+export async function getPriceSnapshot(shop) {
+  return snapshotStore.get(shop);
+}
+
+export async function deletePriceSnapshot(shop) {
+  return snapshotStore.delete(shop);
+}
+
+// Job, report and snapshot of a shop, for the shop redact webhook
+export async function deleteConversionData(shop) {
+  await jobStore.delete(shop);
+  await reportStore.delete(shop);
+  await snapshotStore.delete(shop);
+}
+
+export async function getConversionJob(shop) {
+  const job = await jobStore.get(shop);
+  if (job?.status === 'running' && !activeJobs.has(shop)) {
+    return { ...job, status: 'failed', error: 'Interrupted by a server restart' };
+  }
+  return job;
+}
+
+const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+// Full report of the last dry run or conversion as CSV
+export async function getConversionReportCsv(shop) {
+  const plan = await reportStore.get(shop);
+  if (!plan) {
+    return null;
+  }
+
+  const header = [
+    'Product', 'Variant', 'SKU', 'Variant ID',
+    'Old price', 'Converted price', 'New price',
+    'Old compare-at price', 'Converted compare-at price', 'New compare-at price',
+    'Price ending', 'Flagged', 'Manual price'
+  ];
+  const rows = plan.map(item => [
+    item.productTitle,
+    item.variantTitle,
+    item.sku,
+    item.variantId,
+    item.price.old,
+    item.price.converted,
+    item.price.new,
+    item.compareAtPrice.old,
+    item.compareAtPrice.converted,
+    item.compareAtPrice.new,
+    item.priceEnding.override ? `${item.priceEnding.ending} (${item.priceEnding.override})` : item.priceEnding.ending,
+    item.priceEnding.flagged ? 'yes' : '',
+    item.manualPrice ? 'yes' : ''
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+function summarizePlan(plan) {
+  return {
+    variantCount: plan.length,
+    productCount: new Set(plan.map(item => item.productId)).size,
+    flaggedCount: plan.filter(item => item.priceEnding.flagged).length,
+    preview: plan.slice(0, REPORT_PREVIEW_SIZE)
+  };
+}
+
+// Dry run: compute the changes without writing anything
+export async function previewPriceConversion(session, options) {
+  const variants = await fetchVariantPrices(session);
+  return buildConversionPlan(variants, options);
+}
+
+// Convert the whole catalog. The original prices are snapshotted before the first write.
+export async function runPriceConversion(session, options, onProgress = async () => {}) {
+  if (await getPriceSnapshot(session.shop)) {
+    throw new Error('A price snapshot from a previous conversion exists. Restore or discard it first.');
+  }
+
+  const plan = await previewPriceConversion(session, options);
+
+  await snapshotStore.set(session.shop, {
+    createdAt: new Date().toISOString(),
+    from: options.from,
+    to: options.to,
+    variants: plan.map(item => ({
+      variantId: item.variantId,
+      productId: item.productId,
+      price: item.price.old,
+      compareAtPrice: item.compareAtPrice.old
+    }))
+  });
+
+  await writeVariantPrices(
+    session,
+    plan.map(item => ({
+      variantId: item.variantId,
+      productId: item.productId,
+      price: item.price.new,
+      compareAtPrice: item.compareAtPrice.new
+    })),
+    (processed) => onProgress(processed, plan.length)
+  );
+
+  return plan;
+}
+
+// Put back the prices from the stored snapshot and discard it
+export async function restorePriceSnapshot(session, onProgress = async () => {}) {
+  const snapshot = await getPriceSnapshot(session.shop);
+  if (!snapshot) {
+    throw new Error('No price snapshot to restore');
+  }
+
+  await writeVariantPrices(
+    session,
+    snapshot.variants,
+    (processed) => onProgress(processed, snapshot.variants.length)
+  );
+
+  await snapshotStore.delete(session.shop);
+  return snapshot;
+}
+
+export const CONVERSION_JOB_TYPES = ['dry-run', 'convert', 'restore'];
+
+// Run a conversion job in the background, recording its progress per shop.
+// Only one job can run per shop at a time.
+export async function startConversionJob(session, type, options) {
+  const shop = session.shop;
+  if (!CONVERSION_JOB_TYPES.includes(type)) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+  if (activeJobs.has(shop)) {
+    const current = await jobStore.get(shop);
+    throw new Error(`A ${current?.type || 'price'} job is already running`);
+  }
+
+  const job = {
+    type,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    processed: 0,
+    total: null,
+    options,
+    report: null,
+    error: null
+  };
+  activeJobs.add(shop);
+  await jobStore.set(shop, job);
+
+  const onProgress = async (processed, total) => {
+    job.processed = processed;
+    job.total = total;
+    await jobStore.set(shop, job);
+  };
+
+  const work = async () => {
+    if (type === 'dry-run') {
+      const plan = await previewPriceConversion(session, options);
+      job.total = plan.length;
+      job.report = summarizePlan(plan);
+      await reportStore.set(shop, plan);
+    } else if (type === 'convert') {
+      const plan = await runPriceConversion(session, options, onProgress);
+      job.report = summarizePlan(plan);
+      await reportStore.set(shop, plan);
+    } else if (type === 'restore') {
+      const snapshot = await restorePriceSnapshot(session, onProgress);
+      job.report = { variantCount: snapshot.variants.length, snapshotCreatedAt: snapshot.createdAt };
+    }
+  };
+
+  work()
+    .then(() => {
+      job.status = 'completed';
+    })
+    .catch(error => {
+      console.error(`Price ${type} job failed for ${shop}:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+    })
+    .finally(() => {
+      activeJobs.delete(shop);
+      job.finishedAt = new Date().toISOString();
+      jobStore.set(shop, job).catch(error => console.error('Failed to save job state:', error));
+    });
+
+  return job;
+}
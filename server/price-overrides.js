@@ -0,0 +1,134 @@
+// server/price-overrides.js
+// Per-variant manual prices in the converted currency, edited from the admin
+// product page and kept in a variant metafield (see shared/price-overrides.js).
+import { adminGraphQL } from './admin-api.js';
+import { getShopSettings } from './settings.js';
+import {
+  fetchProductVariants,
+  convertVariantPrices,
+  conversionOptionsFromSettings
+} from './price-conversion.js';
+import { PRICE_OVERRIDE_METAFIELD, priceOverrideValue } from '../shared/price-overrides.js';
+
+// metafieldsSet and metafieldsDelete take at most this many metafields per call
+const METAFIELD_BATCH_SIZE = 25;
+
+function batches(items) {
+  const result = [];
+  for (let index = 0; index < items.length; index += METAFIELD_BATCH_SIZE) {
+    result.push(items.slice(index, index + METAFIELD_BATCH_SIZE));
+  }
+  return result;
+}
+
+// Every variant of `productId` with its prices converted under the shop's rate,
+// rounding and price endings, and its manual price. Null when the product does
+// not exist.
+export async function getProductPricePreview(session, productId) {
+  const settings = await getShopSettings(session.shop);
+  const options = conversionOptionsFromSettings(settings);
+  const variants = await fetchProductVariants(session, productId);
+  if (!variants) {
+    return null;
+  }
+
+  return {
+    currencyCode: options.from,
+    convertedCurrency: options.to,
+    settings,
+    variants: variants.map(variant => convertVariantPrices(variant, options))
+  };
+}
+
+// Save manual prices of `productId`: `overrides` maps its variant IDs to the
+// amount typed in the converted currency; an empty amount removes the variant's
+// manual price. Throws with `fieldErrors` for IDs that are not variants of the
+// product and amounts that are not positive numbers. Null when the product does
+// not exist.
+export async function saveProductPriceOverrides(session, productId, overrides) {
+  const settings = await getShopSettings(session.shop);
+  const currencyCode = settings.secondaryCurrency;
+  const variants = await fetchProductVariants(session, productId);
+  if (!variants) {
+    return null;
+  }
+  const variantIds = new Set(variants.map(variant => variant.id));
+
+  const toSet = [];
+  const toDelete = [];
+  const fieldErrors = [];
+  for (const [variantId, input] of Object.entries(overrides)) {
+    if (!variantIds.has(variantId)) {
+      fieldErrors.push({ field: variantId, message: 'Not a variant of this product' });
+      continue;
+    }
+    if (String(input ?? '').trim() === '') {
+      toDelete.push(variantId);
+      continue;
+    }
+    const value = priceOverrideValue(input, currencyCode);
+    if (value) {
+      toSet.push({ variantId, value });
+    } else {
+      fieldErrors.push({ field: variantId, message: 'Must be a positive amount' });
+    }
+  }
+
+  if (fieldErrors.length > 0) {
+    const error = new Error('Invalid manual prices');
+    error.fieldErrors = fieldErrors;
+    throw error;
+  }
+
+  for (const batch of batches(toSet)) {
+    const data = await adminGraphQL(session, `
+      mutation SetPriceOverrides($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `, {
+      metafields: batch.map(({ variantId, value }) => ({
+        ownerId: variantId,
+        namespace: PRICE_OVERRIDE_METAFIELD.namespace,
+        key: PRICE_OVERRIDE_METAFIELD.key,
+        type: 'json',
+        value: JSON.stringify(value)
+      }))
+    });
+
+    const errors = data.metafieldsSet.userErrors;
+    if (errors.length > 0) {
+      throw new Error(`Failed to save manual prices: ${errors[0].message}`);
+    }
+  }
+
+  for (const batch of batches(toDelete)) {
+    const data = await adminGraphQL(session, `
+      mutation DeletePriceOverrides($metafields: [MetafieldIdentifierInput!]!) {
+        metafieldsDelete(metafields: $metafields) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `, {
+      metafields: batch.map(variantId => ({
+        ownerId: variantId,
+        namespace: PRICE_OVERRIDE_METAFIELD.namespace,
+        key: PRICE_OVERRIDE_METAFIELD.key
+      }))
+    });
+
+    const errors = data.metafieldsDelete.userErrors;
+    if (errors.length > 0) {
+      throw new Error(`Failed to remove manual prices: ${errors[0].message}`);
+    }
+  }
+
+  return { saved: toSet.length, removed: toDelete.length };
+}
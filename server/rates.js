@@ -0,0 +1,256 @@
+// server/rates.js
+// Exchange rates for currency pairs that are not pegged. Each provider returns a
+// daily table { date, base, rates } where rates[code] is units of `code` per 1
+// `base`. Tables are cached for RATES_TTL_MS and kept as a daily history, which
+// is also the fallback when a provider cannot be reached.
+import fs from 'fs';
+import path from 'path';
+import { createFileStore, DATA_DIR } from './file-store.js';
+import { listShops, getShopSettings, saveShopSettings, syncSettingsMetafield } from './settings.js';
+import { EUR_TO_BGN_RATE } from '../shared/currency.js';
+import { SOFIA_TIME_ZONE, formatZonedDateTime } from '../shared/timezone.js';
+import { quoteCurrency } from '../shared/currency-pair.js';
+
+const ECB_URL = 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml';
+const BNB_URL = 'https://www.bnb.bg/Statistics/StExternalSector/StExchangeRates/StERForeignCurrencies/index.htm?download=xml&search=&lang=EN';
+
+const RATES_TTL = Number(process.env.RATES_TTL_MS || 60 * 60 * 1000);
+const RATES_FILE = process.env.RATES_FILE || path.join(DATA_DIR, 'rates.json');
+const FETCH_TIMEOUT = 10 * 1000;
+const HISTORY_DAYS = 400;
+
+const historyStore = createFileStore('rate-history');
+const cache = new Map();
+
+const today = () => formatZonedDateTime(new Date(), SOFIA_TIME_ZONE).slice(0, 10);
+
+async function fetchText(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+  if (!response.ok) {
+    throw new Error(`${url} responded ${response.status}`);
+  }
+  return response.text();
+}
+
+// <Cube time='2025-01-10'> <Cube currency='USD' rate='1.0305'/> ...
+function parseEcbXml(xml) {
+  const date = /time=['"](\d{4}-\d{2}-\d{2})['"]/.exec(xml)?.[1];
+  const rates = { EUR: 1 };
+  for (const [, code, rate] of xml.matchAll(/currency=['"]([A-Z]{3})['"]\s+rate=['"]([\d.]+)['"]/g)) {
+    rates[code] = Number(rate);
+  }
+  if (!date || Object.keys(rates).length === 1) {
+    throw new Error('Unexpected ECB response');
+  }
+  return { date, base: 'EUR', rates };
+}
+
+// <ROW><CODE>USD</CODE><RATIO>1</RATIO><RATE>1.8927</RATE><CURR_DATE>10.01.2025</CURR_DATE></ROW>
+// RATE is BGN per RATIO units of CODE
+function parseBnbXml(xml) {
+  const rates = { BGN: 1, EUR: 1 / EUR_TO_BGN_RATE };
+  let date = null;
+
+  for (const [, row] of xml.matchAll(/<ROW>([\s\S]*?)<\/ROW>/g)) {
+    const field = (name) => new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`).exec(row)?.[1];
+    const code = field('CODE');
+    const ratio = Number(field('RATIO'));
+    const rate = Number(field('RATE'));
+    const rowDate = /^(\d{2})\.(\d{2})\.(\d{4})$/.exec(field('CURR_DATE') || '');
+
+    if (!/^[A-Z]{3}$/.test(code || '') || !(ratio > 0) || !(rate > 0)) {
+      continue;
+    }
+    rates[code] = ratio / rate;
+    if (rowDate) {
+      date = `${rowDate[3]}-${rowDate[2]}-${rowDate[1]}`;
+    }
+  }
+
+  if (!date || Object.keys(rates).length === 2) {
+    throw new Error('Unexpected BNB response');
+  }
+  return { date, base: 'BGN', rates };
+}
+
+const PROVIDERS = {
+  ecb: {
+    async fetchRates() {
+      return parseEcbXml(await fetchText(ECB_URL));
+    }
+  },
+  bnb: {
+    async fetchRates() {
+      return parseBnbXml(await fetchText(BNB_URL));
+    }
+  },
+  manual: {
+    cacheable: false,
+    async fetchRates(settings) {
+      return { date: today(), base: settings.rateBase, rates: { ...settings.manualRates, [settings.rateBase]: 1 } };
+    }
+  },
+  // { "date": "2025-01-10", "base": "EUR", "rates": { "RON": 4.97 } }
+  file: {
+    async fetchRates() {
+      const table = JSON.parse(await fs.promises.readFile(RATES_FILE, 'utf8'));
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(table.date) || !/^[A-Z]{3}$/.test(table.base) || !table.rates) {
+        throw new Error(`Unexpected rates file ${RATES_FILE}`);
+      }
+      return { date: table.date, base: table.base, rates: { ...table.rates, [table.base]: 1 } };
+    }
+  }
+};
+
+async function recordHistory(providerId, table) {
+  const history = (await historyStore.get(providerId)) || {};
+  history[table.date] = { base: table.base, rates: table.rates };
+
+  const dates = Object.keys(history).sort();
+  dates.slice(0, Math.max(0, dates.length - HISTORY_DAYS)).forEach(date => delete history[date]);
+
+  await historyStore.set(providerId, history);
+}
+
+async function latestFromHistory(providerId) {
+  const history = (await historyStore.get(providerId)) || {};
+  const date = Object.keys(history).sort().pop();
+  return date ? { date, ...history[date] } : null;
+}
+
+// Current table of a provider: cached, else fetched, else the last one on record.
+// Returns { date, base, rates, stale } and throws only when there is no history either.
+export async function getRateTable(providerId, settings) {
+  const provider = PROVIDERS[providerId];
+  if (!provider) {
+    throw new Error(`Unknown rate provider: ${providerId}`);
+  }
+
+  const cached = cache.get(providerId);
+  if (provider.cacheable !== false && cached && Date.now() - cached.fetchedAt < RATES_TTL) {
+    return cached.table;
+  }
+
+  try {
+    const table = { ...(await provider.fetchRates(settings)), stale: false };
+    if (provider.cacheable !== false) {
+      cache.set(providerId, { fetchedAt: Date.now(), table });
+      await recordHistory(providerId, table);
+    }
+    return table;
+  } catch (error) {
+    const fallback = await latestFromHistory(providerId);
+    if (!fallback) {
+      throw error;
+    }
+    console.error(`Rate provider ${providerId} failed, using rates of ${fallback.date}:`, error.message);
+    return { ...fallback, stale: true };
+  }
+}
+
+// 1 `base` = rate `quote`, crossed through the table's own base currency
+function crossRate(table, base, quote) {
+  const baseRate = table.rates[base];
+  const quoteRate = table.rates[quote];
+  if (!baseRate || !quoteRate) {
+    throw new Error(`No ${base}/${quote} rate in ${table.date} table`);
+  }
+  return Number((quoteRate / baseRate).toPrecision(8));
+}
+
+// Rate of the settings' currency pair as { rate, rateBase, quote, provider, date, stale }
+export async function resolvePairRate(settings) {
+  const quote = quoteCurrency(settings);
+
+  if (settings.rateProvider === 'fixed') {
+    return { rate: settings.rate, rateBase: settings.rateBase, quote, provider: 'fixed', date: null, stale: false };
+  }
+
+  const table = await getRateTable(settings.rateProvider, settings);
+  return {
+    rate: crossRate(table, settings.rateBase, quote),
+    rateBase: settings.rateBase,
+    quote,
+    provider: settings.rateProvider,
+    date: table.date,
+    stale: table.stale
+  };
+}
+
+// Daily history of the pair rate, oldest first: [{ date, rate }]
+export async function getPairRateHistory(settings, days = 30) {
+  if (settings.rateProvider === 'fixed' || settings.rateProvider === 'manual') {
+    return [];
+  }
+
+  const quote = quoteCurrency(settings);
+  const history = (await historyStore.get(settings.rateProvider)) || {};
+
+  return Object.keys(history)
+    .sort()
+    .slice(-days)
+    .flatMap(date => {
+      try {
+        return [{ date, rate: crossRate({ date, ...history[date] }, settings.rateBase, quote) }];
+      } catch (error) {
+        return [];
+      }
+    });
+}
+
+// Settings with rate, rateDate and rateStale taken from the provider.
+// Fixed-rate settings keep the rate as entered.
+export async function applyProviderRate(settings) {
+  if (settings.rateProvider === 'fixed') {
+    return { ...settings, rateDate: null, rateStale: false };
+  }
+
+  const resolved = await resolvePairRate(settings);
+  return { ...settings, rate: resolved.rate, rateDate: resolved.date, rateStale: resolved.stale };
+}
+
+// Keep provider rates of every shop current, mirroring changes to the metafield
+export function startRateScheduler(sessionStorage) {
+  const tick = async () => {
+    for (const shop of await listShops()) {
+      const settings = await getShopSettings(shop);
+      if (settings.rateProvider === 'fixed') {
+        continue;
+      }
+
+      try {
+        const updated = await applyProviderRate(settings);
+        if (updated.rate === settings.rate && updated.rateDate === settings.rateDate && updated.rateStale === settings.rateStale) {
+          continue;
+        }
+
+        await saveShopSettings(shop, updated);
+        const sessions = await sessionStorage.findSessionsByShop(shop);
+        const session = sessions.find(item => !item.isOnline && item.accessToken);
+        if (session) {
+          await syncSettingsMetafield(session, updated);
+        }
+      } catch (error) {
+        console.error(`Rate refresh failed for ${shop}:`, error.message);
+      }
+    }
+  };
+
+  let running = false;
+  const guardedTick = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await tick();
+    } catch (error) {
+      console.error('Rate scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  guardedTick();
+  return setInterval(guardedTick, RATES_TTL);
+}
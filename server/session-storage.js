@@ -0,0 +1,142 @@
+// server/session-storage.js
+import crypto from 'crypto';
+import { Session } from '@shopify/shopify-api';
+import { createFileStore } from './file-store.js';
+
+const CIPHER = 'aes-256-gcm';
+
+// In-memory storage, lost on every restart. Useful for local development only.
+export function createMemorySessionStorage() {
+  return {
+    storage: new Map(),
+
+    async storeSession(session) {
+      this.storage.set(session.id, session);
+      return true;
+    },
+
+    async loadSession(id) {
+      return this.storage.get(id);
+    },
+
+    async deleteSession(id) {
+      this.storage.delete(id);
+      return true;
+    },
+
+    async findSessionsByShop(shop) {
+      const sessions = [];
+      for (const session of this.storage.values()) {
+        if (session.shop === shop) {
+          sessions.push(session);
+        }
+      }
+      return sessions;
+    }
+  };
+}
+
+function deriveKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function encrypt(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [iv, tag, encrypted].map(part => part.toString('base64')).join(':');
+}
+
+function decrypt(key, payload) {
+  const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// File-backed storage that survives restarts. Access tokens are encrypted at rest.
+export function createFileSessionStorage({ encryptionKey }) {
+  const store = createFileStore('sessions');
+  const key = deriveKey(encryptionKey);
+
+  function serialize(session) {
+    const data = session.toObject();
+    if (data.accessToken) {
+      data.accessToken = encrypt(key, data.accessToken);
+    }
+    if (data.expires) {
+      data.expires = data.expires.toISOString();
+    }
+    return data;
+  }
+
+  function deserialize(data) {
+    const params = { ...data };
+    if (params.accessToken) {
+      try {
+        params.accessToken = decrypt(key, params.accessToken);
+      } catch (err) {
+        // Key was rotated - drop the token so the next request runs token exchange again
+        console.error(`Could not decrypt access token for ${data.shop}`);
+        delete params.accessToken;
+      }
+    }
+    if (params.expires) {
+      params.expires = new Date(params.expires);
+    }
+    return new Session(params);
+  }
+
+  return {
+    async storeSession(session) {
+      await store.set(session.id, serialize(session));
+      return true;
+    },
+
+    async loadSession(id) {
+      const data = await store.get(id);
+      return data ? deserialize(data) : undefined;
+    },
+
+    async deleteSession(id) {
+      await store.delete(id);
+      return true;
+    },
+
+    async findSessionsByShop(shop) {
+      const entries = await store.entries();
+      return entries
+        .filter(([, data]) => data.shop === shop)
+        .map(([, data]) => deserialize(data));
+    }
+  };
+}
+
+// SESSION_STORAGE selects the adapter: "file" (default) or "memory".
+// In production the file store needs DATA_DIR on a persistent volume: the app
+// directory of a container (Railway included) is wiped on every deploy, which
+// would log every shop out. On Railway, mount a volume and set DATA_DIR to its
+// mount path.
+export function createSessionStorage() {
+  const type = process.env.SESSION_STORAGE || 'file';
+
+  if (type === 'memory') {
+    return createMemorySessionStorage();
+  }
+
+  if (type === 'file') {
+    if (process.env.NODE_ENV === 'production' && !process.env.DATA_DIR) {
+      throw new Error('SESSION_STORAGE=file needs DATA_DIR set to a persistent volume in production');
+    }
+
+    let encryptionKey = process.env.SESSION_ENCRYPTION_KEY;
+    if (!encryptionKey) {
+      console.warn('SESSION_ENCRYPTION_KEY is not set, deriving session encryption key from SHOPIFY_API_SECRET');
+      encryptionKey = process.env.SHOPIFY_API_SECRET;
+    }
+    return createFileSessionStorage({ encryptionKey });
+  }
+
+  throw new Error(`Unknown SESSION_STORAGE "${type}", expected "file" or "memory"`);
+}
@@ -0,0 +1,61 @@
+// server/settings.js
+import { createFileStore } from './file-store.js';
+import { adminGraphQL } from './admin-api.js';
+import { SETTINGS_METAFIELD, APP_SETTINGS_METAFIELD, normalizeSettings } from '../shared/settings.js';
+
+const settingsStore = createFileStore('settings');
+
+export async function getShopSettings(shop) {
+  return normalizeSettings(await settingsStore.get(shop));
+}
+
+export async function listShops() {
+  return (await settingsStore.entries()).map(([shop]) => shop);
+}
+
+export async function saveShopSettings(shop, settings) {
+  await settingsStore.set(shop, settings);
+  return settings;
+}
+
+export async function deleteShopSettings(shop) {
+  await settingsStore.delete(shop);
+}
+
+// Mirror settings into an app-owned shop metafield so the extensions can read them,
+// and onto the app installation for the theme app extension
+export async function syncSettingsMetafield(session, settings) {
+  const data = await adminGraphQL(session, `{ shop { id } currentAppInstallation { id } }`);
+
+  const result = await adminGraphQL(session, `
+    mutation SetSettingsMetafield($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `, {
+    metafields: [{
+      ownerId: data.shop.id,
+      namespace: SETTINGS_METAFIELD.namespace,
+      key: SETTINGS_METAFIELD.key,
+      type: 'json',
+      value: JSON.stringify(settings)
+    }, {
+      ownerId: data.currentAppInstallation.id,
+      namespace: APP_SETTINGS_METAFIELD.namespace,
+      key: APP_SETTINGS_METAFIELD.key,
+      type: 'json',
+      value: JSON.stringify(settings)
+    }]
+  });
+
+  const errors = result.metafieldsSet?.userErrors || [];
+  if (errors.length > 0) {
+    const error = new Error(errors[0].message);
+    error.userErrors = errors;
+    throw error;
+  }
+}
@@ -0,0 +1,429 @@
+// server/switchover.js
+// Scheduled currency switchover: at a chosen time in Europe/Sofia, convert the
+// catalog, move the target market and its price list to the new currency and flip
+// the app's primary currency. Completed steps are undone if a later one fails.
+import { adminGraphQL } from './admin-api.js';
+import { createFileStore } from './file-store.js';
+import { getShopSettings, saveShopSettings, syncSettingsMetafield } from './settings.js';
+import {
+  runPriceConversion,
+  restorePriceSnapshot,
+  getPriceSnapshot,
+  getConversionJob,
+  conversionOptionsFromSettings
+} from './price-conversion.js';
+import { SOFIA_TIME_ZONE, zonedTimeToUtc } from '../shared/timezone.js';
+
+const switchoverStore = createFileStore('switchovers');
+
+const CHECK_INTERVAL = 60 * 1000;
+
+// Shops whose switchover is running in this process
+const activeSwitchovers = new Set();
+
+function addEvent(record, step, status, message = '') {
+  record.timeline.push({ at: new Date().toISOString(), step, status, message });
+}
+
+async function findTargetMarket(session, settings) {
+  const data = await adminGraphQL(session, `{
+    shop {
+      currencyCode
+    }
+    markets(first: 50) {
+      nodes {
+        id
+        name
+        handle
+        enabled
+        primary
+        currencySettings {
+          baseCurrency {
+            currencyCode
+          }
+          localCurrencies
+        }
+        priceList {
+          id
+          currency
+        }
+        regions(first: 250) {
+          nodes {
+            ... on MarketRegionCountry {
+              code
+            }
+          }
+        }
+      }
+    }
+  }`);
+
+  const market = data.markets.nodes.find(item =>
+    settings.targetMarkets.includes(item.handle) ||
+    settings.targetMarkets.includes(item.id) ||
+    item.regions.nodes.some(region => settings.targetCountries.includes(region.code))
+  );
+
+  return { shopCurrency: data.shop.currencyCode, market: market || null };
+}
+
+// Checks run before scheduling and again right before the switchover starts.
+// Any "error" blocks the switchover; "warning" only informs.
+export async function runPreflightChecks(session) {
+  const shop = session.shop;
+  const settings = await getShopSettings(shop);
+  const from = settings.primaryCurrency;
+  const to = settings.secondaryCurrency;
+  const checks = [];
+  const check = (id, status, message) => checks.push({ id, status, message });
+
+  if (!session?.accessToken) {
+    check('session', 'error', 'No offline access token for the shop');
+    return { ok: false, from, to, checks, market: null };
+  }
+  check('session', 'ok', 'Offline access token available');
+
+  check('currencies', 'ok', `Prices will be converted from ${from} to ${to}`);
+
+  if (await getPriceSnapshot(shop)) {
+    check('snapshot', 'error', 'A price snapshot from an earlier conversion exists. Restore or discard it first.');
+  } else {
+    check('snapshot', 'ok', 'No pending price snapshot');
+  }
+
+  const job = await getConversionJob(shop);
+  if (job?.status === 'running') {
+    check('conversion-job', 'error', `A ${job.type} job is running`);
+  } else {
+    check('conversion-job', 'ok', 'No conversion job running');
+  }
+
+  let market = null;
+  try {
+    const result = await findTargetMarket(session, settings);
+    market = result.market;
+
+    if (result.shopCurrency === to) {
+      check('shop-currency', 'ok', `Store currency is ${to}`);
+    } else {
+      check('shop-currency', 'warning',
+        `Store currency is ${result.shopCurrency}. Change it to ${to} in Settings → Store details at the switchover.`);
+    }
+
+    if (!market) {
+      check('market', 'warning', 'No market matches the targeted markets or countries; the market step will be skipped');
+    } else if (market.primary) {
+      check('market', 'warning', `"${market.name}" is the primary market and follows the store currency; the market step will be skipped`);
+    } else {
+      check('market', 'ok', `Market "${market.name}" will be switched to ${to}`);
+    }
+  } catch (error) {
+    check('market', 'error', `Could not read markets: ${error.message}`);
+  }
+
+  return {
+    ok: !checks.some(item => item.status === 'error'),
+    from,
+    to,
+    checks,
+    market
+  };
+}
+
+async function updateMarketCurrency(session, marketId, currencyCode, localCurrencies) {
+  const data = await adminGraphQL(session, `
+    mutation UpdateMarketCurrency($marketId: ID!, $input: MarketCurrencySettingsUpdateInput!) {
+      marketCurrencySettingsUpdate(marketId: $marketId, input: $input) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `, { marketId, input: { baseCurrency: currencyCode, localCurrencies } });
+
+  const errors = data.marketCurrencySettingsUpdate.userErrors;
+  if (errors.length > 0) {
+    throw new Error(`Market currency update failed: ${errors[0].message}`);
+  }
+}
+
+async function updatePriceListCurrency(session, priceListId, currencyCode) {
+  const data = await adminGraphQL(session, `
+    mutation UpdatePriceListCurrency($id: ID!, $input: PriceListUpdateInput!) {
+      priceListUpdate(id: $id, input: $input) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `, { id: priceListId, input: { currency: currencyCode } });
+
+  const errors = data.priceListUpdate.userErrors;
+  if (errors.length > 0) {
+    throw new Error(`Price list update failed: ${errors[0].message}`);
+  }
+}
+
+async function applySettings(session, update) {
+  const settings = { ...(await getShopSettings(session.shop)), ...update };
+  await saveShopSettings(session.shop, settings);
+  await syncSettingsMetafield(session, settings);
+}
+
+// How to undo each step, given the `undo` data recorded when it completed
+const UNDO = {
+  'convert-prices': (session) => restorePriceSnapshot(session),
+  'update-market': (session, undo) =>
+    updateMarketCurrency(session, undo.marketId, undo.currency, undo.localCurrencies),
+  'update-price-list': (session, undo) =>
+    updatePriceListCurrency(session, undo.priceListId, undo.currency),
+  'flip-settings': (session, undo) => applySettings(session, undo)
+};
+
+async function save(shop, record) {
+  await switchoverStore.set(shop, record);
+}
+
+async function runStep(shop, record, step, action) {
+  addEvent(record, step, 'started');
+  await save(shop, record);
+
+  let undo;
+  try {
+    undo = await action();
+  } catch (error) {
+    addEvent(record, step, 'failed', error.message);
+    throw error;
+  }
+
+  if (undo === null) {
+    addEvent(record, step, 'skipped');
+  } else {
+    record.completedSteps.push({ step, undo });
+    addEvent(record, step, 'completed');
+  }
+  await save(shop, record);
+}
+
+// Undo completed steps in reverse order
+async function revertSwitchover(session, record) {
+  const shop = session.shop;
+  let reverted = true;
+
+  for (const { step, undo } of [...record.completedSteps].reverse()) {
+    try {
+      await UNDO[step](session, undo);
+      addEvent(record, step, 'reverted');
+    } catch (error) {
+      console.error(`Failed to revert switchover step ${step} for ${shop}:`, error);
+      addEvent(record, step, 'revert-failed', error.message);
+      reverted = false;
+    }
+    await save(shop, record);
+  }
+
+  record.completedSteps = [];
+  record.status = reverted ? 'reverted' : 'revert-failed';
+  record.finishedAt = new Date().toISOString();
+  await save(shop, record);
+}
+
+async function runSwitchover(session, record) {
+  const shop = session.shop;
+  activeSwitchovers.add(shop);
+
+  record.status = 'running';
+  record.startedAt = new Date().toISOString();
+  addEvent(record, 'switchover', 'started');
+  await save(shop, record);
+
+  try {
+    const preflight = await runPreflightChecks(session);
+    record.preflight = preflight.checks;
+    if (!preflight.ok) {
+      const failed = preflight.checks.filter(item => item.status === 'error').map(item => item.message);
+      throw new Error(`Pre-flight checks failed: ${failed.join('; ')}`);
+    }
+    if (preflight.from !== record.from || preflight.to !== record.to) {
+      throw new Error(`Settings changed since scheduling: now ${preflight.from} → ${preflight.to}`);
+    }
+    addEvent(record, 'preflight', 'completed');
+
+    const settings = await getShopSettings(shop);
+    const market = preflight.market && !preflight.market.primary ? preflight.market : null;
+
+    await runStep(shop, record, 'convert-prices', async () => {
+      try {
+        await runPriceConversion(session, conversionOptionsFromSettings(settings));
+      } catch (error) {
+        // Prices may be half written; the snapshot taken before the first write lets the revert restore them
+        if (await getPriceSnapshot(shop)) {
+          record.completedSteps.push({ step: 'convert-prices', undo: {} });
+        }
+        throw error;
+      }
+      return {};
+    });
+
+    await runStep(shop, record, 'update-market', async () => {
+      if (!market) {
+        return null;
+      }
+      await updateMarketCurrency(session, market.id, record.to, false);
+      return {
+        marketId: market.id,
+        currency: market.currencySettings.baseCurrency.currencyCode,
+        localCurrencies: market.currencySettings.localCurrencies
+      };
+    });
+
+    await runStep(shop, record, 'update-price-list', async () => {
+      if (!market?.priceList || market.priceList.currency === record.to) {
+        return null;
+      }
+      await updatePriceListCurrency(session, market.priceList.id, record.to);
+      return { priceListId: market.priceList.id, currency: market.priceList.currency };
+    });
+
+    await runStep(shop, record, 'flip-settings', async () => {
+      await applySettings(session, { primaryCurrency: record.to, secondaryCurrency: record.from });
+      return { primaryCurrency: record.from, secondaryCurrency: record.to };
+    });
+
+    record.status = 'completed';
+    record.finishedAt = new Date().toISOString();
+    addEvent(record, 'switchover', 'completed');
+    await save(shop, record);
+  } catch (error) {
+    console.error(`Switchover failed for ${shop}:`, error);
+    addEvent(record, 'switchover', 'failed', error.message);
+    record.error = error.message;
+    await save(shop, record);
+    await revertSwitchover(session, record);
+  } finally {
+    activeSwitchovers.delete(shop);
+  }
+}
+
+export async function getSwitchover(shop) {
+  return switchoverStore.get(shop);
+}
+
+export async function deleteSwitchover(shop) {
+  return switchoverStore.delete(shop);
+}
+
+export async function scheduleSwitchover(session, localDateTime) {
+  const shop = session.shop;
+  const existing = await switchoverStore.get(shop);
+  if (existing?.status === 'running') {
+    throw new Error('A switchover is running');
+  }
+
+  const scheduledFor = zonedTimeToUtc(localDateTime, SOFIA_TIME_ZONE);
+  if (scheduledFor.getTime() <= Date.now()) {
+    throw new Error('The switchover time must be in the future');
+  }
+
+  const preflight = await runPreflightChecks(session);
+  if (!preflight.ok) {
+    const error = new Error('Pre-flight checks failed');
+    error.checks = preflight.checks;
+    throw error;
+  }
+
+  const record = {
+    status: 'scheduled',
+    localDateTime,
+    timeZone: SOFIA_TIME_ZONE,
+    scheduledFor: scheduledFor.toISOString(),
+    from: preflight.from,
+    to: preflight.to,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    preflight: preflight.checks,
+    completedSteps: [],
+    timeline: []
+  };
+  addEvent(record, 'schedule', 'completed', `Scheduled for ${localDateTime} (${SOFIA_TIME_ZONE})`);
+  await save(shop, record);
+
+  return record;
+}
+
+export async function cancelSwitchover(shop) {
+  const record = await switchoverStore.get(shop);
+  if (record?.status !== 'scheduled') {
+    throw new Error('No scheduled switchover to cancel');
+  }
+
+  record.status = 'cancelled';
+  addEvent(record, 'schedule', 'cancelled');
+  await save(shop, record);
+  return record;
+}
+
+// Poll for due switchovers. Switchovers left "running" by a restart are reverted.
+export function startSwitchoverScheduler(sessionStorage) {
+  const loadSession = async (shop) => {
+    const sessions = await sessionStorage.findSessionsByShop(shop);
+    return sessions.find(session => !session.isOnline && session.accessToken);
+  };
+
+  const tick = async () => {
+    for (const [shop, record] of await switchoverStore.entries()) {
+      if (activeSwitchovers.has(shop)) {
+        continue;
+      }
+
+      const isDue = record.status === 'scheduled' && new Date(record.scheduledFor).getTime() <= Date.now();
+      const wasInterrupted = record.status === 'running';
+      if (!isDue && !wasInterrupted) {
+        continue;
+      }
+
+      const session = await loadSession(shop);
+      if (!session) {
+        addEvent(record, 'switchover', 'failed', 'No offline session for the shop');
+        record.status = 'failed';
+        await save(shop, record);
+        continue;
+      }
+
+      if (wasInterrupted) {
+        // A restart during the price step leaves no completed entry, but the snapshot shows prices were touched
+        const conversionStarted = record.timeline.some(event => event.step === 'convert-prices');
+        const conversionRecorded = record.completedSteps.some(item => item.step === 'convert-prices');
+        if (conversionStarted && !conversionRecorded && await getPriceSnapshot(shop)) {
+          record.completedSteps.unshift({ step: 'convert-prices', undo: {} });
+        }
+        addEvent(record, 'switchover', 'failed', 'Interrupted by a server restart');
+        await revertSwitchover(session, record);
+      } else {
+        await runSwitchover(session, record);
+      }
+    }
+  };
+
+  let running = false;
+  const guardedTick = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await tick();
+    } catch (error) {
+      console.error('Switchover scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  guardedTick();
+  return setInterval(guardedTick, CHECK_INTERVAL);
+}
@@ -0,0 +1,247 @@
+// shared/breakdown.js
+// Order summary rows (subtotal, discounts, shipping, tax, duties, tips, total)
+// rebuilt from the amounts an extension surface exposes, so that the rows a
+// customer sees add up to the total on their invoice.
+import { toMinorUnits, formatMinorUnits, currencyDigits } from './currency.js';
+import { counterpartCurrency } from './currency-pair.js';
+import { convertReconciled } from './reconcile.js';
+
+// Settings label used for each row type
+const ROW_LABELS = {
+  subtotal: 'subtotal',
+  'line-discount': 'discounts',
+  discount: 'discounts',
+  shipping: 'shipping',
+  tax: 'tax',
+  duties: 'duties',
+  tips: 'tips',
+  other: 'other',
+  rounding: 'rounding',
+  total: 'total'
+};
+
+export function breakdownRowLabel(row, labels) {
+  const label = labels[ROW_LABELS[row.type]];
+  const text = row.title ? `${label} (${row.title})` : label;
+  return row.included ? `${labels.included} ${text}` : text;
+}
+
+const allocationTitle = (allocation) => allocation.code || allocation.title || '';
+
+// Order-level allocations plus line-level allocations summed per discount.
+// Line allocations of a discount that is also applied to the whole order are
+// the same money spread over the lines and are not listed twice.
+export function collectDiscounts(orderAllocations = [], lines = []) {
+  const discounts = orderAllocations.map(allocation => ({
+    type: allocation.type,
+    title: allocationTitle(allocation),
+    amount: allocation.discountedAmount.amount,
+    currencyCode: allocation.discountedAmount.currencyCode,
+    level: 'order'
+  }));
+
+  const orderTitles = new Set(discounts.map(discount => discount.title));
+  const lineDiscounts = new Map();
+
+  for (const line of lines) {
+    for (const allocation of line.discountAllocations || []) {
+      const title = allocationTitle(allocation);
+      if (orderTitles.has(title)) {
+        continue;
+      }
+
+      const { amount, currencyCode } = allocation.discountedAmount;
+      const digits = currencyDigits(currencyCode);
+      const existing = lineDiscounts.get(title);
+      const minorUnits = toMinorUnits(amount, digits) + (existing ? toMinorUnits(existing.amount, digits) : 0);
+
+      lineDiscounts.set(title, {
+        type: allocation.type,
+        title,
+        amount: formatMinorUnits(minorUnits, digits),
+        currencyCode,
+        level: 'line'
+      });
+    }
+  }
+
+  return [...discounts, ...lineDiscounts.values()];
+}
+
+// Orders report every discount as allocations on the lines. Allocations of a
+// discount applied to the whole order (targetSelection 'ALL') are summed back
+// into order-level allocations; the lines keep only their own discounts.
+// `lines` carry discountAllocations: [{ code, title, targetSelection, discountedAmount }].
+export function splitOrderAllocations(lines, currencyCode) {
+  const digits = currencyDigits(currencyCode);
+  const totals = new Map();
+
+  const ownLines = lines.map(line => {
+    const own = [];
+    for (const allocation of line.discountAllocations || []) {
+      if (allocation.targetSelection !== 'ALL') {
+        own.push(allocation);
+        continue;
+      }
+      const title = allocationTitle(allocation);
+      const existing = totals.get(title);
+      const minorUnits = toMinorUnits(allocation.discountedAmount.amount, digits) +
+        (existing ? toMinorUnits(existing.discountedAmount.amount, digits) : 0);
+      totals.set(title, {
+        ...allocation,
+        discountedAmount: { amount: formatMinorUnits(minorUnits, digits), currencyCode }
+      });
+    }
+    return { ...line, discountAllocations: own };
+  });
+
+  return { lines: ownLines, orderAllocations: [...totals.values()] };
+}
+
+// Amounts are numbers or decimal strings in `currencyCode`; missing ones are skipped.
+// `duties` and `tips` are optional: when a surface does not expose them, whatever
+// the total holds beyond the other rows is shown as a single 'other' row.
+// Returns { currencyCode, taxesIncluded, rows: [{ type, title, amount, included }] },
+// where `included` rows are already part of an amount above them (line discounts
+// within the subtotal, VAT within prices) and do not add to the total again.
+export function buildCostBreakdown({
+  currencyCode,
+  subtotal,
+  discounts = [],
+  shipping,
+  tax,
+  duties,
+  tips,
+  total
+}) {
+  const digits = currencyDigits(currencyCode);
+  const minor = (amount) => (amount === undefined || amount === null ? null : toMinorUnits(amount, digits));
+  const rows = [];
+  const addRow = (type, minorUnits, { title = '', included = false } = {}) => {
+    rows.push({ type, title, amount: formatMinorUnits(minorUnits, digits), included });
+  };
+
+  const subtotalMinor = minor(subtotal) ?? 0;
+  const shippingMinor = minor(shipping) ?? 0;
+  const taxMinor = minor(tax) ?? 0;
+  const dutiesMinor = minor(duties);
+  const tipsMinor = minor(tips);
+  const totalMinor = minor(total) ?? 0;
+
+  addRow('subtotal', subtotalMinor);
+
+  let orderDiscountMinor = 0;
+  for (const discount of discounts) {
+    const amount = minor(discount.amount);
+    if (discount.level === 'line') {
+      addRow('line-discount', -amount, { title: discount.title, included: true });
+    } else {
+      orderDiscountMinor += amount;
+      addRow('discount', -amount, { title: discount.title });
+    }
+  }
+
+  if (shipping !== undefined && shipping !== null) {
+    addRow('shipping', shippingMinor);
+  }
+
+  // Whatever the total holds beyond the rows known so far
+  const remainder = totalMinor -
+    (subtotalMinor - orderDiscountMinor + shippingMinor + (dutiesMinor ?? 0) + (tipsMinor ?? 0));
+
+  // Tax charged on top of prices is part of the remainder; a remainder smaller
+  // than the tax means the tax is already included in the prices
+  const taxesIncluded = taxMinor > 0 && remainder < taxMinor;
+
+  if (taxMinor !== 0) {
+    addRow('tax', taxMinor, { included: taxesIncluded });
+  }
+  if (dutiesMinor) {
+    addRow('duties', dutiesMinor);
+  }
+  if (tipsMinor) {
+    addRow('tips', tipsMinor);
+  }
+
+  const other = remainder - (taxesIncluded ? 0 : taxMinor);
+  if (other !== 0) {
+    addRow('other', other);
+  }
+
+  addRow('total', totalMinor);
+
+  return { currencyCode, taxesIncluded, rows };
+}
+
+// Rows that add up to the total; the others are already part of one of them
+const isAdditive = (row) => !row.included && row.type !== 'subtotal' && row.type !== 'total';
+
+// Converted amounts for the lines and breakdown rows into the other currency
+// of the pair, reconciled with `settings.reconciliation`.
+// Returns { currencyCode, lines: [amount], rows: [{ ...row, converted }] } or null
+// when the breakdown currency is outside the pair. In rounding-row mode a
+// { type: 'rounding', converted } row is inserted before the total when needed.
+export function convertBreakdown(breakdown, lineAmounts, settings) {
+  const { currencyCode, rows } = breakdown;
+  const target = counterpartCurrency(settings, currencyCode);
+  if (!target) {
+    return null;
+  }
+
+  const digits = currencyDigits(currencyCode);
+  const options = {
+    from: currencyCode,
+    to: target,
+    rate: settings.rate,
+    rateBase: settings.rateBase,
+    roundingMode: settings.roundingMode,
+    mode: settings.reconciliation
+  };
+  const convertOne = (amount) => convertReconciled([amount], amount, options).total;
+
+  const subtotalRow = rows.find(row => row.type === 'subtotal');
+  const totalRow = rows.find(row => row.type === 'total');
+  const additiveRows = rows.filter(isAdditive);
+
+  // Reconcile the lines themselves when they make up the subtotal exactly
+  const linesSum = lineAmounts.reduce((sum, amount) => sum + toMinorUnits(amount, digits), 0);
+  const linesMakeSubtotal = lineAmounts.length > 0 && subtotalRow && linesSum === toMinorUnits(subtotalRow.amount, digits);
+  const leadingParts = linesMakeSubtotal ? lineAmounts : [subtotalRow ? subtotalRow.amount : '0'];
+
+  const result = convertReconciled(
+    [...leadingParts, ...additiveRows.map(row => row.amount)],
+    totalRow ? totalRow.amount : '0',
+    options
+  );
+
+  const convertedLeading = result.parts.slice(0, leadingParts.length);
+  const convertedRows = new Map(additiveRows.map((row, index) => [row, result.parts[leadingParts.length + index]]));
+  const targetDigits = currencyDigits(target);
+  const convertedSubtotal = formatMinorUnits(
+    convertedLeading.reduce((sum, amount) => sum + toMinorUnits(amount, targetDigits), 0),
+    targetDigits
+  );
+
+  const convertedBreakdownRows = [];
+  for (const row of rows) {
+    if (row.type === 'total' && settings.reconciliation === 'rounding-row' && toMinorUnits(result.difference, targetDigits) !== 0) {
+      convertedBreakdownRows.push({ type: 'rounding', title: '', amount: null, included: false, converted: result.difference });
+    }
+
+    let converted;
+    if (row.type === 'subtotal') {
+      converted = convertedSubtotal;
+    } else if (row.type === 'total') {
+      converted = result.total;
+    } else {
+      converted = convertedRows.get(row) ?? convertOne(row.amount);
+    }
+    convertedBreakdownRows.push({ ...row, converted });
+  }
+
+  return {
+    currencyCode: target,
+    lines: linesMakeSubtotal ? convertedLeading : lineAmounts.map(convertOne),
+    rows: convertedBreakdownRows
+  };
+}
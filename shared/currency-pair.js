@@ -0,0 +1,75 @@
+// shared/currency-pair.js
+// The currency pair the app displays: primary and secondary ISO codes, the rate
+// between them and how each currency is written. Read from the settings so the
+// extensions never hard-code a currency.
+
+// Symbol and label of the currencies merchants are most likely to pair;
+// anything else is written with its ISO code unless the settings say otherwise
+export const KNOWN_CURRENCIES = {
+  BGN: { symbol: 'лв.', label: 'ЛВ' },
+  EUR: { symbol: '€', label: 'EUR' },
+  RON: { symbol: 'lei', label: 'RON' },
+  USD: { symbol: '$', label: 'USD' },
+  GBP: { symbol: '£', label: 'GBP' },
+  CHF: { symbol: 'CHF', label: 'CHF' },
+  CZK: { symbol: 'Kč', label: 'CZK' },
+  HUF: { symbol: 'Ft', label: 'HUF' },
+  PLN: { symbol: 'zł', label: 'PLN' }
+};
+
+// Where the rate comes from. 'fixed' uses settings.rate as entered; the others are
+// resolved by the server (server/rates.js), which keeps settings.rate up to date.
+//   ecb     European Central Bank daily reference rates (EUR based)
+//   bnb     Bulgarian National Bank daily rates (BGN based)
+//   manual  settings.manualRates, units per 1 rateBase
+//   file    a local JSON file, a stand-in for tests and offline development
+export const RATE_PROVIDERS = ['fixed', 'ecb', 'bnb', 'manual', 'file'];
+
+export const DEFAULT_RATE_PROVIDER = 'fixed';
+
+// { symbol, label } of a currency: settings override, then the known list, then the code
+export function currencyDisplay(settings, currencyCode) {
+  return {
+    symbol: currencyCode,
+    label: currencyCode,
+    ...KNOWN_CURRENCIES[currencyCode],
+    ...settings?.currencyDisplay?.[currencyCode]
+  };
+}
+
+export function getCurrencyPair(settings) {
+  return {
+    primary: { code: settings.primaryCurrency, ...currencyDisplay(settings, settings.primaryCurrency) },
+    secondary: { code: settings.secondaryCurrency, ...currencyDisplay(settings, settings.secondaryCurrency) },
+    rate: settings.rate,
+    rateBase: settings.rateBase,
+    rateProvider: settings.rateProvider,
+    roundingMode: settings.roundingMode
+  };
+}
+
+// The other currency of the pair, or null when `currencyCode` is not part of it
+export function counterpartCurrency(settings, currencyCode) {
+  if (currencyCode === settings.primaryCurrency) {
+    return settings.secondaryCurrency;
+  }
+  if (currencyCode === settings.secondaryCurrency) {
+    return settings.primaryCurrency;
+  }
+  return null;
+}
+
+// The currency the rate is quoted in: the one of the pair that is not rateBase
+export function quoteCurrency(settings) {
+  return settings.rateBase === settings.primaryCurrency
+    ? settings.secondaryCurrency
+    : settings.primaryCurrency;
+}
+
+// "1 EUR = 1.95583 BGN", with the decimal separator of settings.locale when set
+export function formatRate(settings) {
+  const rate = settings.locale
+    ? new Intl.NumberFormat(settings.locale, { maximumFractionDigits: 10 }).format(settings.rate)
+    : settings.rate;
+  return `1 ${settings.rateBase} = ${rate} ${quoteCurrency(settings)}`;
+}
@@ -0,0 +1,218 @@
+// shared/currency.js
+// Currency conversion shared by the extensions and the server.
+// All math is done on integer minor units (BigInt), never on floats, so a given
+// amount converts to the same cent everywhere.
+
+// Fixed conversion rate of the Bulgarian euro-adoption law: 1 EUR = 1.95583 BGN
+export const EUR_TO_BGN_RATE = 1.95583;
+
+// half-up: ties away from zero (required by law for BGN/EUR)
+// half-even: ties to the even neighbour
+// down: towards zero, up: away from zero
+export const ROUNDING_MODES = ['half-up', 'half-even', 'down', 'up'];
+
+export const DEFAULT_ROUNDING_MODE = 'half-up';
+
+// ISO 4217 currencies that do not use two decimal places
+const CURRENCY_DIGITS = {
+  BHD: 3,
+  CLP: 0,
+  ISK: 0,
+  JOD: 3,
+  JPY: 0,
+  KRW: 0,
+  KWD: 3,
+  OMR: 3,
+  TND: 3,
+  VND: 0
+};
+
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+const TWO = BigInt(2);
+const TEN = BigInt(10);
+
+export function currencyDigits(currencyCode) {
+  return CURRENCY_DIGITS[currencyCode] ?? 2;
+}
+
+function pow10(exponent) {
+  return TEN ** BigInt(exponent);
+}
+
+// Parse a number or decimal string into { value, scale } where amount = value / 10^scale
+function parseDecimal(amount) {
+  let text = typeof amount === 'number' ? String(amount) : String(amount ?? '').trim();
+
+  if (typeof amount === 'number') {
+    if (!Number.isFinite(amount)) {
+      throw new RangeError(`Invalid amount: ${amount}`);
+    }
+    if (/e/i.test(text)) {
+      text = amount.toFixed(20);
+    }
+  }
+
+  const match = /^([+-])?(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (match[2] === '' && !match[3])) {
+    throw new RangeError(`Invalid amount: ${amount}`);
+  }
+
+  const [, sign, integerPart, fractionPart = ''] = match;
+  const value = BigInt(`${integerPart || '0'}${fractionPart}`);
+
+  return {
+    value: sign === '-' ? -value : value,
+    scale: fractionPart.length
+  };
+}
+
+// Integer division of numerator / denominator using the given rounding mode
+export function divideRounded(numerator, denominator, roundingMode = DEFAULT_ROUNDING_MODE) {
+  if (denominator === ZERO) {
+    throw new RangeError('Division by zero');
+  }
+  if (denominator < ZERO) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+
+  if (remainder === ZERO) {
+    return quotient;
+  }
+
+  const sign = numerator < ZERO ? -ONE : ONE;
+  const twiceRemainder = TWO * (remainder < ZERO ? -remainder : remainder);
+
+  switch (roundingMode) {
+    case 'half-up':
+      return twiceRemainder >= denominator ? quotient + sign : quotient;
+    case 'half-even':
+      if (twiceRemainder === denominator) {
+        return quotient % TWO === ZERO ? quotient : quotient + sign;
+      }
+      return twiceRemainder > denominator ? quotient + sign : quotient;
+    case 'down':
+      return quotient;
+    case 'up':
+      return quotient + sign;
+    default:
+      throw new RangeError(`Unknown rounding mode: ${roundingMode}`);
+  }
+}
+
+// Amount (number or decimal string) to integer minor units, rounded half-up
+export function toMinorUnits(amount, digits = 2) {
+  const { value, scale } = parseDecimal(amount);
+
+  if (scale <= digits) {
+    return Number(value * pow10(digits - scale));
+  }
+
+  return Number(divideRounded(value, pow10(scale - digits), 'half-up'));
+}
+
+export function fromMinorUnits(minorUnits, digits = 2) {
+  return Number(formatMinorUnits(minorUnits, digits));
+}
+
+// Minor units to a fixed-point string such as "12.50", without going through floats
+export function formatMinorUnits(minorUnits, digits = 2) {
+  const value = BigInt(minorUnits);
+  const negative = value < ZERO;
+  const text = (negative ? -value : value).toString().padStart(digits + 1, '0');
+  const integerPart = digits > 0 ? text.slice(0, -digits) : text;
+  const fractionPart = digits > 0 ? `.${text.slice(-digits)}` : '';
+  return `${negative ? '-' : ''}${integerPart}${fractionPart}`;
+}
+
+// Normalise an amount to its currency precision, e.g. formatAmount(12.5) === "12.50"
+export function formatAmount(amount, digits = 2) {
+  return formatMinorUnits(toMinorUnits(amount, digits), digits);
+}
+
+// Amount with the sign flipped, for deductions such as discounts and refunds:
+// negateAmount("12.5") === "-12.50". Zero stays "0.00".
+export function negateAmount(amount, digits = 2) {
+  return formatMinorUnits(-toMinorUnits(amount, digits), digits);
+}
+
+// Exact factor of a conversion: one minor unit of the source currency is worth
+// numerator / denominator minor units of the target currency (both BigInt).
+// `rate` and `inverse` have the same meaning as in convertMinorUnits.
+export function conversionFraction({
+  rate,
+  inverse = false,
+  fromDigits = 2,
+  toDigits = 2
+}) {
+  const parsedRate = parseDecimal(rate);
+  if (parsedRate.value <= ZERO) {
+    throw new RangeError(`Invalid rate: ${rate}`);
+  }
+
+  const rateScale = pow10(parsedRate.scale);
+  let numerator = inverse ? rateScale : parsedRate.value;
+  let denominator = inverse ? parsedRate.value : rateScale;
+
+  if (toDigits >= fromDigits) {
+    numerator *= pow10(toDigits - fromDigits);
+  } else {
+    denominator *= pow10(fromDigits - toDigits);
+  }
+
+  return { numerator, denominator };
+}
+
+// Convert minor units of one currency into minor units of another.
+// `rate` is the number of `to` units per one `from` unit when `inverse` is false,
+// or the number of `from` units per one `to` unit when `inverse` is true.
+// The rate is never inverted or rounded itself, as the euro-adoption rules require.
+export function convertMinorUnits(minorUnits, {
+  rate,
+  inverse = false,
+  fromDigits = 2,
+  toDigits = 2,
+  roundingMode = DEFAULT_ROUNDING_MODE
+}) {
+  const { numerator, denominator } = conversionFraction({ rate, inverse, fromDigits, toDigits });
+  return Number(divideRounded(BigInt(minorUnits) * numerator, denominator, roundingMode));
+}
+
+// Convert an amount between the two currencies of a pair.
+// `rate` is expressed as 1 `rateBase` = `rate` units of the other currency.
+export function convertAmount(amount, {
+  from,
+  to,
+  rate = EUR_TO_BGN_RATE,
+  rateBase = 'EUR',
+  roundingMode = DEFAULT_ROUNDING_MODE
+}) {
+  const fromDigits = currencyDigits(from);
+  const toDigits = currencyDigits(to);
+
+  if (from === to) {
+    return fromMinorUnits(toMinorUnits(amount, fromDigits), fromDigits);
+  }
+
+  const converted = convertMinorUnits(toMinorUnits(amount, fromDigits), {
+    rate,
+    inverse: from !== rateBase,
+    fromDigits,
+    toDigits,
+    roundingMode
+  });
+
+  return fromMinorUnits(converted, toDigits);
+}
+
+export function convertBGNtoEUR(amount, roundingMode = DEFAULT_ROUNDING_MODE) {
+  return convertAmount(amount, { from: 'BGN', to: 'EUR', roundingMode });
+}
+
+export function convertEURtoBGN(amount, roundingMode = DEFAULT_ROUNDING_MODE) {
+  return convertAmount(amount, { from: 'EUR', to: 'BGN', roundingMode });
+}
@@ -0,0 +1,74 @@
+// shared/display-options.js
+// Block settings merchants set per extension in the checkout and customer
+// account editors. The editor leaves untouched fields undefined, so every
+// option falls back to a default here, and the result is folded into the shop
+// settings so the rendering code reads a single settings object.
+// 'auto' follows the dual-display period (shared/phases.js); the others fix the order
+export const CURRENCY_ORDERS = ['auto', 'primary', 'secondary'];
+
+// How currencies are written: 'locale' as the buyer's locale writes it ("€12.50",
+// "12,50 лв."), 'label' "ЛВ" (settings label), 'symbol' "лв." (settings symbol), 'code' "BGN"
+export const SYMBOL_STYLES = ['locale', 'label', 'symbol', 'code'];
+
+export const LAYOUTS = ['detailed', 'compact'];
+
+export const DEFAULT_BLOCK_SETTINGS = {
+  show_rate_info: true,
+  highlight_euro_switch: true,
+  // Empty keeps the heading from the app settings
+  heading: '',
+  currency_order: 'auto',
+  symbol_style: 'locale',
+  layout: 'detailed',
+  hide_shipping: false,
+  hide_lines: false
+};
+
+const pick = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+const flag = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+
+// Editor values with defaults for anything missing or invalid
+export function normalizeBlockSettings(raw = {}) {
+  const defaults = DEFAULT_BLOCK_SETTINGS;
+  return {
+    show_rate_info: flag(raw.show_rate_info, defaults.show_rate_info),
+    highlight_euro_switch: flag(raw.highlight_euro_switch, defaults.highlight_euro_switch),
+    heading: typeof raw.heading === 'string' ? raw.heading.trim() : defaults.heading,
+    currency_order: pick(raw.currency_order, CURRENCY_ORDERS, defaults.currency_order),
+    symbol_style: pick(raw.symbol_style, SYMBOL_STYLES, defaults.symbol_style),
+    layout: pick(raw.layout, LAYOUTS, defaults.layout),
+    hide_shipping: flag(raw.hide_shipping, defaults.hide_shipping),
+    hide_lines: flag(raw.hide_lines, defaults.hide_lines)
+  };
+}
+
+// Shop settings with the block settings applied. The compact layout keeps the
+// lines and totals and drops the per-line details and the breakdown rows.
+export function applyBlockSettings(settings, raw) {
+  const block = normalizeBlockSettings(raw);
+  const compact = block.layout === 'compact';
+
+  return {
+    ...settings,
+    currencyOrder: block.currency_order === 'auto' ? settings.currencyOrder : block.currency_order,
+    // A fixed order wins over the one the dual-display period sets
+    fixedCurrencyOrder: block.currency_order !== 'auto',
+    symbolStyle: block.symbol_style,
+    layout: block.layout,
+    showEuroSwitch: block.highlight_euro_switch,
+    labels: {
+      ...settings.labels,
+      heading: block.heading || settings.labels.heading
+    },
+    sections: {
+      ...settings.sections,
+      lines: settings.sections.lines && !block.hide_lines,
+      shipping: settings.sections.shipping && !block.hide_shipping,
+      rateInfo: settings.sections.rateInfo && block.show_rate_info,
+      unitPrice: settings.sections.unitPrice && !compact,
+      variantTitle: settings.sections.variantTitle && !compact,
+      compareAtPrice: settings.sections.compareAtPrice && !compact,
+      breakdown: settings.sections.breakdown && !compact
+    }
+  };
+}
@@ -0,0 +1,139 @@
+// shared/dual-format.js
+// Display strings for an amount shown in both currencies of the configured pair.
+// Used by every extension surface so the same settings give the same text.
+import { convertAmount, formatAmount, currencyDigits } from './currency.js';
+import { currencyDisplay, counterpartCurrency } from './currency-pair.js';
+
+// Written per settings.symbolStyle: 'locale' (default), 'label', 'symbol' or
+// 'code'. With 'locale' formatMoney takes the symbol from the locale, so this
+// is the known symbol used where the locale has none ("BGN" in en).
+export function currencyLabel(currencyCode, settings) {
+  const style = settings?.symbolStyle || 'locale';
+  if (style === 'code') {
+    return currencyCode;
+  }
+  const display = currencyDisplay(settings, currencyCode);
+  return style === 'label' ? display.label : display.symbol;
+}
+
+// "a / b" with the currency settings.currencyOrder asks for ('primary' or
+// 'secondary') first; as given when the order is not set. Only the side in
+// settings.singleCurrency when that is set.
+function joinPair(first, firstCode, second, secondCode, settings) {
+  if (settings?.singleCurrency && [firstCode, secondCode].includes(settings.singleCurrency)) {
+    return settings.singleCurrency === firstCode ? first : second;
+  }
+  const leading = settings?.currencyOrder && settings[`${settings.currencyOrder}Currency`];
+  return leading === secondCode && leading !== firstCode
+    ? `${second} / ${first}`
+    : `${first} / ${second}`;
+}
+
+// Locale when neither the merchant nor the buyer gives a usable one
+export const DEFAULT_NUMBER_LOCALE = 'bg';
+
+export function isSupportedLocale(locale) {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Locale amounts are formatted in: settings.numberLocale when the merchant set
+// one, else the buyer's language with their country ("de" in AT -> "de-AT"),
+// else the language alone
+export function resolveNumberLocale(settings, { language, countryCode } = {}) {
+  const regional = language && countryCode && !language.includes('-') ? `${language}-${countryCode}` : null;
+  return [settings?.numberLocale, regional, language, DEFAULT_NUMBER_LOCALE]
+    .find(locale => locale && isSupportedLocale(locale));
+}
+
+// Settings with settings.locale resolved for the buyer, for formatMoney
+export function localizeSettings(settings, buyer) {
+  return { ...settings, locale: resolveNumberLocale(settings, buyer) };
+}
+
+const formatters = new Map();
+
+function moneyFormatter(locale, currencyCode, settings) {
+  const digits = currencyDigits(currencyCode);
+  // Apart from the locale style the currency part is replaced by currencyLabel;
+  // the display only decides where the locale puts it and whether it is spaced
+  const style = settings?.symbolStyle || 'locale';
+  const display = ['locale', 'symbol'].includes(style) ? 'narrowSymbol' : 'code';
+  const key = `${locale}|${currencyCode}|${display}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: currencyCode,
+      currencyDisplay: display,
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    }));
+  }
+  return formatters.get(key);
+}
+
+// "12,50 лв." in bg and "€12.50" in en by default, "12,50 ЛВ" with the label
+// style. Without settings.locale: "12.50 лв."
+export function formatMoney(amount, currencyCode, settings) {
+  const fromLocale = (settings?.symbolStyle || 'locale') === 'locale';
+  const digits = currencyDigits(currencyCode);
+  const label = currencyLabel(currencyCode, settings);
+  if (!settings?.locale) {
+    return `${formatAmount(amount, digits)} ${label}`;
+  }
+
+  // Rounded as a decimal string first so the formatter never rounds on its own
+  return moneyFormatter(settings.locale, currencyCode, settings)
+    .formatToParts(Number(formatAmount(amount, digits)))
+    .map(part => {
+      if (part.type !== 'currency' || (fromLocale && part.value !== currencyCode)) {
+        return part.value;
+      }
+      return label;
+    })
+    .join('');
+}
+
+// Amount in the other currency of the pair, e.g. "6.39 €"; null outside the
+// pair and when settings.singleCurrency leaves only the original shown
+export function formatConvertedAmount(amount, currencyCode, settings) {
+  const target = counterpartCurrency(settings, currencyCode);
+  if (!target || (settings.singleCurrency && settings.singleCurrency !== target)) {
+    return null;
+  }
+
+  const converted = convertAmount(amount, {
+    from: currencyCode,
+    to: target,
+    rate: settings.rate,
+    rateBase: settings.rateBase,
+    roundingMode: settings.roundingMode
+  });
+  return formatMoney(converted, target, settings);
+}
+
+// "12.50 лв. / 6.39 €"; just the amount when its currency is outside the pair
+export function formatDualAmount(amount, currencyCode, settings) {
+  const converted = formatConvertedAmount(amount, currencyCode, settings);
+  const original = formatMoney(amount, currencyCode, settings);
+  return converted
+    ? joinPair(original, currencyCode, converted, counterpartCurrency(settings, currencyCode), settings)
+    : original;
+}
+
+// Like formatDualAmount, for an amount whose conversion was done elsewhere
+// (e.g. reconciled with the other lines). Rows with no original amount, such
+// as a rounding difference, show only the converted side.
+export function formatDualPair(amount, currencyCode, convertedAmount, convertedCurrency, settings) {
+  if (amount === null || amount === undefined) {
+    return formatMoney(convertedAmount, convertedCurrency, settings);
+  }
+
+  const original = formatMoney(amount, currencyCode, settings);
+  return convertedCurrency
+    ? joinPair(original, currencyCode, formatMoney(convertedAmount, convertedCurrency, settings), convertedCurrency, settings)
+    : original;
+}
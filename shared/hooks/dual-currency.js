@@ -0,0 +1,59 @@
+// shared/hooks/dual-currency.js
+// Settings and buyer targeting for the checkout and customer account
+// extensions. The two UI extension packages export the same hooks under the
+// same names, so each surface builds its useDualCurrency from its own.
+import { SETTINGS_METAFIELD, parseSettingsMetafield, resolveLabels } from '../settings.js';
+import { isTargetedBuyer } from '../targeting.js';
+import { applyBlockSettings } from '../display-options.js';
+import { localizeSettings } from '../dual-format.js';
+import { applyDisplayPhase } from '../phases.js';
+
+// `hooks` are the surface's useAppMetafields, useCurrency, useLanguage,
+// useLocalizationCountry, useLocalizationMarket, useSettings and useTranslate.
+// With `applyPhase: false` the settings come without the display phase, for a
+// surface that applies it itself once it knows the pair it converts with.
+// The hook returns { settings, isTargeted }; its `currencyCode` argument is
+// the currency to target by, the buyer's current one when not given.
+export function createDualCurrencyHook(hooks, { applyPhase = true } = {}) {
+  const {
+    useAppMetafields,
+    useCurrency,
+    useLanguage,
+    useLocalizationCountry,
+    useLocalizationMarket,
+    useSettings,
+    useTranslate
+  } = hooks;
+
+  return function useDualCurrency(currencyCode) {
+    const country = useLocalizationCountry();
+    const market = useLocalizationMarket();
+    const currency = useCurrency();
+    const language = useLanguage();
+    const translate = useTranslate();
+    const [settingsEntry] = useAppMetafields({
+      namespace: SETTINGS_METAFIELD.namespace,
+      key: SETTINGS_METAFIELD.key
+    });
+
+    // Block settings from the editor override the shop settings
+    const blockSettings = useSettings();
+    // Amounts follow the buyer's language unless the merchant fixed a locale
+    const localized = localizeSettings(
+      applyBlockSettings(parseSettingsMetafield(settingsEntry?.metafield?.value), blockSettings),
+      { language: language?.isoCode, countryCode: country?.isoCode }
+    );
+    // Labels the merchant left empty come from the locale files. The phase of
+    // the dual-display period is evaluated on every render, so it changes on its dates.
+    const labelled = { ...localized, labels: resolveLabels(localized.labels, translate) };
+    const settings = applyPhase ? applyDisplayPhase(labelled) : labelled;
+    const isTargeted = (!applyPhase || settings.dualDisplay) && isTargetedBuyer(settings, {
+      countryCode: country?.isoCode,
+      marketHandle: market?.handle,
+      marketId: market?.id,
+      currencyCode: currencyCode || currency?.isoCode
+    });
+
+    return { settings, isTargeted };
+  };
+}
@@ -0,0 +1,58 @@
+// shared/hooks/remote-data.js
+// Loading, error and retry state of data the extensions fetch for an order or
+// a product, and requests to the app server for the admin extensions.
+import { useCallback, useEffect, useState } from 'react';
+
+// Relative URLs go to the app and carry the admin session token. Rejects with
+// the server's error message, and its `details` when it sent any.
+export async function appRequest(path, options = {}) {
+  const response = await fetch(path, options);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error || `App server responded ${response.status}`);
+    error.details = data.details || [];
+    throw error;
+  }
+  return data;
+}
+
+// { data, loading, error, retry, setData, setError } for load(id). Nothing is
+// loaded without an `id`; load() runs again when it changes and on retry(), so
+// pass a function defined outside the component. setData() replaces the data
+// with a newer copy (e.g. from a save) and setError() reports a failed action
+// while keeping the data.
+export function useRemoteData(id, load) {
+  const [state, setState] = useState({ data: null, loading: Boolean(id), error: null });
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!id) {
+      setState({ data: null, loading: false, error: null });
+      return undefined;
+    }
+
+    let cancelled = false;
+    setState(current => ({ ...current, loading: true, error: null }));
+    load(id)
+      .then(data => {
+        if (!cancelled) {
+          setState({ data, loading: false, error: null });
+        }
+      })
+      .catch(error => {
+        if (!cancelled) {
+          setState({ data: null, loading: false, error });
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id, load, attempt]);
+
+  const retry = useCallback(() => setAttempt(count => count + 1), []);
+  const setData = useCallback(data => setState({ data, loading: false, error: null }), []);
+  const setError = useCallback(error => setState(current => ({ ...current, error })), []);
+
+  return { ...state, retry, setData, setError };
+}
@@ -0,0 +1,28 @@
+// shared/line-prices.js
+// Unit price and pre-discount price of an order or checkout line, for the
+// per-unit prices the dual-pricing rules ask for next to every line total.
+import { toMinorUnits, formatMinorUnits, currencyDigits, divideRounded } from './currency.js';
+
+// `line` is { quantity, totalAmount, unitPrice, discountAllocations } in
+// `currencyCode`, where totalAmount is after the line's own discounts and
+// unitPrice (before discounts) is optional.
+// Returns { unitPrice, originalAmount } with originalAmount null when no
+// line-level discount applies.
+export function linePriceDetails(line, currencyCode) {
+  const digits = currencyDigits(currencyCode);
+  const quantity = line.quantity || 1;
+  const discountMinor = (line.discountAllocations || []).reduce(
+    (sum, allocation) => sum + toMinorUnits(allocation.discountedAmount.amount, digits),
+    0
+  );
+  const originalMinor = toMinorUnits(line.totalAmount, digits) + discountMinor;
+
+  const unitPrice = line.unitPrice !== undefined && line.unitPrice !== null
+    ? formatMinorUnits(toMinorUnits(line.unitPrice, digits), digits)
+    : formatMinorUnits(Number(divideRounded(BigInt(originalMinor), BigInt(quantity))), digits);
+
+  return {
+    unitPrice,
+    originalAmount: discountMinor !== 0 ? formatMinorUnits(originalMinor, digits) : null
+  };
+}
@@ -0,0 +1,208 @@
+// shared/order-snapshot.js
+// Conversion snapshot of an order: the currency pair, rate and rounding in effect
+// when the order was placed, kept on the order so it is always shown with the
+// amounts it was charged, whatever the shop settings and currency are today.
+import { toMinorUnits, formatMinorUnits, currencyDigits } from './currency.js';
+import { counterpartCurrency } from './currency-pair.js';
+import { buildCostBreakdown, collectDiscounts, convertBreakdown } from './breakdown.js';
+import { convertReconciled } from './reconcile.js';
+
+export const ORDER_SNAPSHOT_METAFIELD = {
+  namespace: '$app:bgn2eur',
+  key: 'conversion'
+};
+
+export const ORDER_SNAPSHOT_VERSION = 1;
+
+// Settings fields that decide how an amount converts
+const CONVERSION_KEYS = [
+  'primaryCurrency',
+  'secondaryCurrency',
+  'rate',
+  'rateBase',
+  'rateProvider',
+  'rateDate',
+  'rateStale',
+  'roundingMode',
+  'reconciliation'
+];
+
+// The conversion part of `settings` as recorded for an order placed at `takenAt`
+// in `currencyCode` (the order's presentment currency)
+export function conversionSnapshot(settings, { currencyCode, takenAt }) {
+  return {
+    version: ORDER_SNAPSHOT_VERSION,
+    takenAt,
+    currencyCode,
+    convertedCurrency: counterpartCurrency(settings, currencyCode),
+    ...Object.fromEntries(CONVERSION_KEYS.map(key => [key, settings[key]]))
+  };
+}
+
+// Parse the metafield value; null when missing or not a snapshot this code understands
+export function parseOrderSnapshot(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    const snapshot = typeof value === 'string' ? JSON.parse(value) : value;
+    return snapshot?.version === ORDER_SNAPSHOT_VERSION && snapshot.rate > 0 ? snapshot : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Settings to convert an order with: the shop's display settings with the
+// snapshot's pair and rate. Orders without a snapshot use the current rate.
+export function orderConversionSettings(settings, snapshot) {
+  if (!snapshot) {
+    return settings;
+  }
+  return {
+    ...settings,
+    ...Object.fromEntries(CONVERSION_KEYS.map(key => [key, snapshot[key] ?? settings[key]]))
+  };
+}
+
+// Summary rows of an order and their conversion at `settings`. `order` is
+// { currencyCode, lines: [{ totalAmount, discountAllocations }], orderAllocations,
+// subtotal, shipping, tax, duties, tips, total } with amounts in the order's currency.
+// Returns { breakdown, converted } as from buildCostBreakdown and convertBreakdown.
+export function convertOrder(order, settings) {
+  const breakdown = buildCostBreakdown({
+    currencyCode: order.currencyCode,
+    subtotal: order.subtotal,
+    discounts: collectDiscounts(order.orderAllocations, order.lines),
+    shipping: order.shipping,
+    tax: order.tax,
+    duties: order.duties,
+    tips: order.tips,
+    total: order.total
+  });
+  const converted = convertBreakdown(breakdown, order.lines.map(line => line.totalAmount), settings);
+  return { breakdown, converted };
+}
+
+// Refunds of an order converted with `settings`. Each refund is
+// { id, createdAt, lines: [{ title, quantity, amount }], shipping,
+// adjustments: [{ reason, amount }], total }; the parts are optional, and
+// whatever the total holds beyond them is the tax refunded on top of the lines.
+// `convertedOrderTotal` is the order total as shown converted, so the net paid
+// amount matches the total and refunds above it.
+// Returns { currencyCode, refunds: [{ id, createdAt, rows, total, converted }],
+// refunded: { amount, converted }, netPaid: { amount, converted } } where
+// rows are [{ type: 'line' | 'shipping' | 'adjustment' | 'tax', title,
+// quantity, amount, converted }]; converted amounts are null outside the pair.
+export function convertRefunds(refunds, { currencyCode, total, convertedOrderTotal }, settings) {
+  const target = counterpartCurrency(settings, currencyCode);
+  const digits = currencyDigits(currencyCode);
+  const targetDigits = target ? currencyDigits(target) : 0;
+  const options = {
+    from: currencyCode,
+    to: target,
+    rate: settings.rate,
+    rateBase: settings.rateBase,
+    roundingMode: settings.roundingMode,
+    // Refund rows are spread so they add up to the converted refund
+    mode: 'largest-remainder'
+  };
+
+  let refundedMinor = 0;
+  let convertedRefundedMinor = 0;
+
+  const converted = refunds.map(refund => {
+    const rows = [
+      ...(refund.lines || []).map(line => ({ type: 'line', title: line.title, quantity: line.quantity, amount: line.amount })),
+      ...(Number(refund.shipping) ? [{ type: 'shipping', title: '', quantity: null, amount: refund.shipping }] : []),
+      ...(refund.adjustments || []).map(adjustment => ({ type: 'adjustment', title: adjustment.reason || '', quantity: null, amount: adjustment.amount }))
+    ];
+    const tax = toMinorUnits(refund.total, digits) - rows.reduce((sum, row) => sum + toMinorUnits(row.amount, digits), 0);
+    if (rows.length > 0 && tax !== 0) {
+      rows.push({ type: 'tax', title: '', quantity: null, amount: formatMinorUnits(tax, digits) });
+    }
+
+    const result = target ? convertReconciled(rows.map(row => row.amount), refund.total, options) : null;
+    refundedMinor += toMinorUnits(refund.total, digits);
+    convertedRefundedMinor += result ? toMinorUnits(result.total, targetDigits) : 0;
+
+    return {
+      id: refund.id,
+      createdAt: refund.createdAt,
+      rows: rows.map((row, index) => ({ ...row, converted: result ? result.parts[index] : null })),
+      total: refund.total,
+      converted: result ? result.total : null
+    };
+  });
+
+  const netPaidMinor = toMinorUnits(total, digits) - refundedMinor;
+  return {
+    currencyCode,
+    refunds: converted,
+    refunded: {
+      amount: formatMinorUnits(refundedMinor, digits),
+      converted: target ? formatMinorUnits(convertedRefundedMinor, targetDigits) : null
+    },
+    netPaid: {
+      amount: formatMinorUnits(netPaidMinor, digits),
+      converted: target
+        ? formatMinorUnits(toMinorUnits(convertedOrderTotal, targetDigits) - convertedRefundedMinor, targetDigits)
+        : null
+    }
+  };
+}
+
+// Snapshot of `order` converted with `settings`: the conversion settings plus
+// every line, summary row and refund with its converted amount (null outside the pair)
+export function buildOrderSnapshot(order, settings) {
+  const { breakdown, converted } = convertOrder(order, settings);
+  const rows = converted ? converted.rows : breakdown.rows.map(row => ({ ...row, converted: null }));
+  const totalRow = rows.find(row => row.type === 'total');
+
+  return {
+    ...conversionSnapshot(settings, { currencyCode: order.currencyCode, takenAt: order.processedAt }),
+    orderId: order.id,
+    lines: order.lines.map((line, index) => ({
+      id: line.id,
+      title: line.title,
+      quantity: line.quantity,
+      amount: line.totalAmount,
+      converted: converted ? converted.lines[index] : null
+    })),
+    rows,
+    refunds: convertRefunds(order.refunds || [], {
+      currencyCode: order.currencyCode,
+      total: order.total,
+      convertedOrderTotal: totalRow.converted
+    }, settings)
+  };
+}
+
+// The stored conversion in the shape of convertBreakdown, when it still matches
+// `order` line for line; null when the order changed since it was taken
+export function snapshotConversion(snapshot, order) {
+  if (!snapshot?.convertedCurrency || !Array.isArray(snapshot.lines) || !Array.isArray(snapshot.rows)) {
+    return null;
+  }
+
+  const totalRow = snapshot.rows.find(row => row.type === 'total');
+  const sameLines = snapshot.lines.length === order.lines.length &&
+    snapshot.lines.every((line, index) => line.id === order.lines[index].id && Number(line.amount) === Number(order.lines[index].totalAmount));
+  if (!totalRow || Number(totalRow.amount) !== Number(order.total) || !sameLines) {
+    return null;
+  }
+
+  return {
+    currencyCode: snapshot.convertedCurrency,
+    lines: snapshot.lines.map(line => line.converted),
+    rows: snapshot.rows
+  };
+}
+
+// The stored refund conversion when it covers exactly the refunds of `order`
+export function snapshotRefunds(snapshot, order) {
+  const stored = snapshot?.refunds;
+  if (!stored || !Array.isArray(stored.refunds) || stored.refunds.length !== order.refunds.length) {
+    return null;
+  }
+  return stored.refunds.every((refund, index) => refund.id === order.refunds[index].id) ? stored : null;
+}
@@ -0,0 +1,139 @@
+// shared/phases.js
+// Phases of the legal dual-display period for the lev to euro changeover.
+// Prices must show both currencies from the start of the period, the euro
+// becomes the currency on the switch date and the dual display ends after the
+// last day of the period. Dates are Europe/Sofia calendar days, so a phase
+// starts at Sofia midnight wherever the code runs.
+import { SOFIA_TIME_ZONE, zonedTimeToUtc, getZonedParts } from './timezone.js';
+
+// 'before-period': the dual display as configured, no notice
+// 'pre-switch': BGN first, with a countdown to the switch
+// 'post-switch': EUR first, BGN for reference
+// 'post-period': hidden, or EUR only
+export const DISPLAY_PHASES = ['before-period', 'pre-switch', 'post-switch', 'post-period'];
+
+// What the extensions show once the period is over
+export const POST_PERIOD_DISPLAYS = ['hide', 'euro-only'];
+
+export const DEFAULT_PHASE_DATES = {
+  dualDisplayFrom: '2025-08-08',
+  euroSwitch: '2026-01-01',
+  // Last day with both currencies
+  dualDisplayUntil: '2026-08-08'
+};
+
+export const PHASE_DATE_KEYS = Object.keys(DEFAULT_PHASE_DATES);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const dayNumber = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / DAY;
+};
+
+const dayAfter = (date) => new Date((dayNumber(date) + 1) * DAY).toISOString().slice(0, 10);
+
+// The phases only apply to a lev/euro pair
+const isEuroChangeover = (settings) =>
+  [settings.primaryCurrency, settings.secondaryCurrency].sort().join('/') === 'BGN/EUR';
+
+// UTC instants at which the phases after 'before-period' start
+export function phaseStarts(dates) {
+  return {
+    'pre-switch': zonedTimeToUtc(dates.dualDisplayFrom, SOFIA_TIME_ZONE),
+    'post-switch': zonedTimeToUtc(dates.euroSwitch, SOFIA_TIME_ZONE),
+    'post-period': zonedTimeToUtc(dayAfter(dates.dualDisplayUntil), SOFIA_TIME_ZONE)
+  };
+}
+
+// Phase at `now`; null when the pair is not BGN/EUR
+export function displayPhase(settings, now = new Date()) {
+  if (!isEuroChangeover(settings)) {
+    return null;
+  }
+
+  const starts = phaseStarts(settings.phaseDates);
+  if (now >= starts['post-period']) {
+    return 'post-period';
+  }
+  if (now >= starts['post-switch']) {
+    return 'post-switch';
+  }
+  return now >= starts['pre-switch'] ? 'pre-switch' : 'before-period';
+}
+
+// Sofia calendar days from `now` to the switch date
+export function daysUntilSwitch(settings, now = new Date()) {
+  const today = getZonedParts(now, SOFIA_TIME_ZONE);
+  return dayNumber(settings.phaseDates.euroSwitch) - Date.UTC(today.year, today.month - 1, today.day) / DAY;
+}
+
+// Settings with the phase at `now` applied: settings.phase, and when
+// settings.phasesEnabled, the currency shown first (unless a block set
+// settings.fixedCurrencyOrder) and whether anything is shown at all.
+// settings.dualDisplay is false when the extensions should render nothing;
+// settings.singleCurrency limits amounts to that currency.
+export function applyDisplayPhase(settings, now = new Date()) {
+  const phase = displayPhase(settings, now);
+  const result = { ...settings, phase, dualDisplay: true, singleCurrency: null };
+  if (!phase || !settings.phasesEnabled || phase === 'before-period') {
+    return result;
+  }
+
+  // The pair keeps the lev as primary until the switchover runs, so the order
+  // is set by which side of the pair the leading currency is on
+  const leading = phase === 'pre-switch' ? 'BGN' : 'EUR';
+  if (!settings.fixedCurrencyOrder) {
+    result.currencyOrder = settings.primaryCurrency === leading ? 'primary' : 'secondary';
+  }
+
+  if (phase === 'post-period') {
+    if (settings.postPeriodDisplay === 'hide') {
+      result.dualDisplay = false;
+    } else {
+      result.singleCurrency = 'EUR';
+    }
+  }
+  return result;
+}
+
+// "1 януари 2026 г." for a phase date, in settings.locale
+export function formatPhaseDate(date, settings) {
+  return new Intl.DateTimeFormat(settings.locale || 'bg', { dateStyle: 'long', timeZone: 'UTC' })
+    .format(new Date(dayNumber(date) * DAY));
+}
+
+// Translation key and values of the notice for the phase of `settings`, or
+// null when there is none or the block turned it off
+export function phaseNotice(settings, now = new Date()) {
+  if (!settings.showEuroSwitch) {
+    return null;
+  }
+
+  const dates = settings.phaseDates;
+  if (settings.phase === 'pre-switch') {
+    return {
+      key: 'euroSwitch.countdown',
+      values: { count: daysUntilSwitch(settings, now), date: formatPhaseDate(dates.euroSwitch, settings) }
+    };
+  }
+  if (settings.phase === 'post-switch') {
+    return {
+      key: 'euroSwitch.adopted',
+      values: { date: formatPhaseDate(dates.euroSwitch, settings), until: formatPhaseDate(dates.dualDisplayUntil, settings) }
+    };
+  }
+  return null;
+}
+
+// Current phase and its dates, for the admin page
+export function phaseStatus(settings, now = new Date()) {
+  const phase = displayPhase(settings, now);
+  const starts = phaseStarts(settings.phaseDates);
+  return {
+    phase,
+    enabled: settings.phasesEnabled,
+    daysUntilSwitch: daysUntilSwitch(settings, now),
+    starts: Object.fromEntries(Object.entries(starts).map(([key, date]) => [key, date.toISOString()]))
+  };
+}
@@ -0,0 +1,166 @@
+// shared/price-endings.js
+// Psychological price endings applied on top of a plain conversion,
+// e.g. 10.22 EUR -> 9.99 EUR. Works on integer minor units like shared/currency.js.
+import { toMinorUnits, formatMinorUnits } from './currency.js';
+
+// Allowed minor-unit endings within each step of a two-decimal currency
+export const PRICE_ENDINGS = {
+  none: null,
+  '99': { step: 100, endings: [99] },
+  '49-99': { step: 100, endings: [49, 99] },
+  '05': { step: 5, endings: [0] }
+};
+
+const ENDING_NAMES = ['none', '99', '49-99', '05'];
+
+export const PRICE_ENDING_DIRECTIONS = ['nearest', 'up', 'down'];
+
+export const DEFAULT_PRICE_ENDINGS = {
+  ending: 'none',
+  direction: 'nearest',
+  // Largest move down / up from the converted price; beyond it the converted price is kept
+  minDeviation: -0.5,
+  maxDeviation: 0.5,
+  // The conversion may not be used to raise prices: any increase above this is flagged
+  legalTolerance: 0.01,
+  // [{ tag: 'sale', ending: 'none' }, { collection: 'premium', ending: '99' }]
+  overrides: []
+};
+
+const RULE_FIELDS = ['ending', 'direction', 'minDeviation', 'maxDeviation'];
+
+// Pick the rule for a product: the first override matching one of its tags or
+// collection handles, merged over the base rule
+export function resolvePriceEndingRule(config, { tags = [], collections = [] } = {}) {
+  const base = { ...DEFAULT_PRICE_ENDINGS, ...config };
+  const override = (base.overrides || []).find(item =>
+    (item.tag && tags.includes(item.tag)) ||
+    (item.collection && collections.includes(item.collection))
+  );
+
+  const rule = { ...base };
+  if (override) {
+    RULE_FIELDS.forEach(field => {
+      if (field in override) {
+        rule[field] = override[field];
+      }
+    });
+    rule.override = override.tag ? `tag:${override.tag}` : `collection:${override.collection}`;
+  }
+  return rule;
+}
+
+function candidatesFor(minorUnits, { step, endings }) {
+  const base = Math.floor(minorUnits / step) * step;
+  const candidates = [];
+  for (const start of [base - step, base, base + step]) {
+    for (const ending of endings) {
+      if (start + ending > 0) {
+        candidates.push(start + ending);
+      }
+    }
+  }
+  return candidates.sort((a, b) => a - b);
+}
+
+function pickCandidate(minorUnits, candidates, direction) {
+  if (direction === 'up') {
+    return candidates.find(candidate => candidate >= minorUnits);
+  }
+  if (direction === 'down') {
+    return [...candidates].reverse().find(candidate => candidate <= minorUnits);
+  }
+  // Nearest; ties go to the lower price
+  return candidates.reduce((best, candidate) =>
+    Math.abs(candidate - minorUnits) < Math.abs(best - minorUnits) ? candidate : best
+  );
+}
+
+// Whether `amount` raises the `converted` price by more than the rule's legal tolerance
+export function exceedsLegalTolerance(amount, converted, rule, digits = 2) {
+  const tolerance = toMinorUnits(rule.legalTolerance ?? DEFAULT_PRICE_ENDINGS.legalTolerance, digits);
+  return toMinorUnits(amount, digits) - toMinorUnits(converted, digits) > tolerance;
+}
+
+// Apply a price-ending rule to an already converted amount.
+// Only two-decimal currencies get endings; others are returned unchanged.
+export function applyPriceEnding(amount, rule, digits = 2) {
+  const converted = toMinorUnits(amount, digits);
+  const ending = PRICE_ENDINGS[rule.ending];
+  let result = converted;
+  let capped = false;
+
+  if (ending && digits === 2 && converted > 0) {
+    const candidate = pickCandidate(converted, candidatesFor(converted, ending), rule.direction);
+    const move = candidate - converted;
+
+    if (
+      candidate === undefined ||
+      move < toMinorUnits(rule.minDeviation, digits) ||
+      move > toMinorUnits(rule.maxDeviation, digits)
+    ) {
+      capped = true;
+    } else {
+      result = candidate;
+    }
+  }
+
+  const deviation = result - converted;
+
+  return {
+    amount: formatMinorUnits(result, digits),
+    converted: formatMinorUnits(converted, digits),
+    deviation: formatMinorUnits(deviation, digits),
+    ending: rule.ending,
+    override: rule.override || null,
+    capped,
+    flagged: exceedsLegalTolerance(formatMinorUnits(result, digits), formatMinorUnits(converted, digits), rule, digits)
+  };
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+function validateRuleFields(rule, prefix, errors) {
+  if ('ending' in rule && !ENDING_NAMES.includes(rule.ending)) {
+    errors.push({ field: `${prefix}.ending`, message: `Must be one of: ${ENDING_NAMES.join(', ')}` });
+  }
+  if ('direction' in rule && !PRICE_ENDING_DIRECTIONS.includes(rule.direction)) {
+    errors.push({ field: `${prefix}.direction`, message: `Must be one of: ${PRICE_ENDING_DIRECTIONS.join(', ')}` });
+  }
+  if ('minDeviation' in rule && !(isNumber(rule.minDeviation) && rule.minDeviation <= 0)) {
+    errors.push({ field: `${prefix}.minDeviation`, message: 'Must be a number less than or equal to 0' });
+  }
+  if ('maxDeviation' in rule && !(isNumber(rule.maxDeviation) && rule.maxDeviation >= 0)) {
+    errors.push({ field: `${prefix}.maxDeviation`, message: 'Must be a number greater than or equal to 0' });
+  }
+}
+
+// Returns a list of { field, message } errors for a priceEndings settings object
+export function validatePriceEndings(config, field = 'priceEndings') {
+  const errors = [];
+
+  validateRuleFields(config, field, errors);
+
+  if (!(isNumber(config.legalTolerance) && config.legalTolerance >= 0)) {
+    errors.push({ field: `${field}.legalTolerance`, message: 'Must be a number greater than or equal to 0' });
+  }
+
+  if (!Array.isArray(config.overrides)) {
+    errors.push({ field: `${field}.overrides`, message: 'Must be a list' });
+    return errors;
+  }
+
+  config.overrides.forEach((override, index) => {
+    const prefix = `${field}.overrides.${index}`;
+    const hasTag = typeof override?.tag === 'string' && override.tag !== '';
+    const hasCollection = typeof override?.collection === 'string' && override.collection !== '';
+
+    if (hasTag === hasCollection) {
+      errors.push({ field: prefix, message: 'Must set exactly one of tag or collection' });
+      return;
+    }
+    validateRuleFields(override, prefix, errors);
+  });
+
+  return errors;
+}
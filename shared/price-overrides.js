@@ -0,0 +1,42 @@
+// shared/price-overrides.js
+// Manual prices merchants set per variant in the converted currency (e.g. the
+// EUR price a product should have after the switchover). They replace the
+// converted price in the catalog conversion and on the storefront. Kept in a
+// plain namespace so theme Liquid can read them.
+import { toMinorUnits, formatMinorUnits, currencyDigits } from './currency.js';
+
+export const PRICE_OVERRIDE_METAFIELD = {
+  namespace: 'bgn2eur',
+  key: 'manual_price'
+};
+
+// Parse the JSON metafield value { amount, currencyCode }; null when missing or invalid
+export function parsePriceOverride(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    const override = typeof value === 'string' ? JSON.parse(value) : value;
+    return /^[A-Z]{3}$/.test(override?.currencyCode) && Number(override.amount) > 0
+      ? { amount: String(override.amount), currencyCode: override.currencyCode }
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The override's amount when it is in `currencyCode`, else null
+export function priceOverrideAmount(override, currencyCode) {
+  return override && override.currencyCode === currencyCode ? override.amount : null;
+}
+
+// Amount typed by a merchant ("9,99" or "9.99") as a metafield value in
+// `currencyCode`; null when it is not a positive amount
+export function priceOverrideValue(input, currencyCode) {
+  const text = String(input ?? '').trim().replace(',', '.');
+  if (!/^\d+(\.\d+)?$/.test(text) || Number(text) <= 0) {
+    return null;
+  }
+  const digits = currencyDigits(currencyCode);
+  return { amount: formatMinorUnits(toMinorUnits(text, digits), digits), currencyCode };
+}
@@ -0,0 +1,92 @@
+// shared/reconcile.js
+// Converting every line and the total separately can leave the converted lines
+// a cent off the converted total. The reconciliation mode decides what to do:
+//   none               convert everything independently
+//   largest-remainder  spread the rounding difference over the lines with the
+//                      largest rounding remainders, so they sum to the total
+//   rounding-row       convert independently and show the difference as its own row
+import {
+  currencyDigits,
+  toMinorUnits,
+  formatMinorUnits,
+  conversionFraction,
+  convertMinorUnits,
+  divideRounded,
+  DEFAULT_ROUNDING_MODE
+} from './currency.js';
+
+export const RECONCILIATION_MODES = ['none', 'largest-remainder', 'rounding-row'];
+
+export const DEFAULT_RECONCILIATION_MODE = 'rounding-row';
+
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+
+function floorDivide(numerator, denominator) {
+  const quotient = numerator / denominator;
+  return numerator % denominator !== ZERO && numerator < ZERO ? quotient - ONE : quotient;
+}
+
+// Largest-remainder allocation: floor every exact converted part, then hand the
+// units still missing from `target` to the parts that lost the most to flooring
+function allocateLargestRemainder(parts, target, { numerator, denominator }) {
+  const exact = parts.map(part => BigInt(part) * numerator);
+  const floors = exact.map(value => floorDivide(value, denominator));
+  const remainders = exact.map((value, index) => value - floors[index] * denominator);
+
+  let missing = BigInt(target) - floors.reduce((sum, value) => sum + value, ZERO);
+  const step = missing < ZERO ? -ONE : ONE;
+  const order = parts
+    .map((part, index) => index)
+    .sort((a, b) => {
+      const byRemainder = remainders[b] > remainders[a] ? 1 : remainders[b] < remainders[a] ? -1 : 0;
+      // Taking units back starts from the smallest remainders
+      return step > ZERO ? byRemainder || a - b : -byRemainder || a - b;
+    });
+
+  for (let position = 0; missing !== ZERO && order.length > 0; position = (position + 1) % order.length) {
+    floors[order[position]] += step;
+    missing -= step;
+  }
+
+  return floors.map(Number);
+}
+
+// Convert `parts` (amounts in `from` that add up to `total`) into `to`.
+// Returns decimal strings: { parts, total, difference } where `difference` is the
+// converted total minus the sum of the converted parts ("0.00" once reconciled).
+export function convertReconciled(parts, total, {
+  from,
+  to,
+  rate,
+  rateBase = 'EUR',
+  roundingMode = DEFAULT_ROUNDING_MODE,
+  mode = DEFAULT_RECONCILIATION_MODE
+}) {
+  const fromDigits = currencyDigits(from);
+  const toDigits = currencyDigits(to);
+  const options = { rate, inverse: from !== rateBase, fromDigits, toDigits };
+  const partsMinor = parts.map(part => toMinorUnits(part, fromDigits));
+  const totalMinor = toMinorUnits(total, fromDigits);
+
+  const convert = (minorUnits) => (from === to ? minorUnits : convertMinorUnits(minorUnits, { ...options, roundingMode }));
+  const convertedTotal = convert(totalMinor);
+
+  let convertedParts;
+  if (mode === 'largest-remainder' && from !== to && partsMinor.length > 0) {
+    const fraction = conversionFraction(options);
+    // The target is the rounded exact sum, i.e. the independently converted total
+    const target = divideRounded(BigInt(totalMinor) * fraction.numerator, fraction.denominator, roundingMode);
+    convertedParts = allocateLargestRemainder(partsMinor, target, fraction);
+  } else {
+    convertedParts = partsMinor.map(convert);
+  }
+
+  const difference = convertedTotal - convertedParts.reduce((sum, value) => sum + value, 0);
+
+  return {
+    parts: convertedParts.map(value => formatMinorUnits(value, toDigits)),
+    total: formatMinorUnits(convertedTotal, toDigits),
+    difference: formatMinorUnits(difference, toDigits)
+  };
+}
@@ -0,0 +1,348 @@
+// shared/settings.js
+// Per-shop settings model, shared by the server and the UI extensions.
+import { EUR_TO_BGN_RATE, ROUNDING_MODES, DEFAULT_ROUNDING_MODE } from './currency.js';
+import { DEFAULT_PRICE_ENDINGS, validatePriceEndings } from './price-endings.js';
+import { RECONCILIATION_MODES, DEFAULT_RECONCILIATION_MODE } from './reconcile.js';
+import { RATE_PROVIDERS, DEFAULT_RATE_PROVIDER, quoteCurrency } from './currency-pair.js';
+import { isSupportedLocale } from './dual-format.js';
+import { DEFAULT_PHASE_DATES, PHASE_DATE_KEYS, POST_PERIOD_DISPLAYS } from './phases.js';
+
+export const SETTINGS_METAFIELD = {
+  namespace: '$app:bgn2eur',
+  key: 'settings'
+};
+
+// Copy on the app installation, readable from theme Liquid as app.metafields.bgn2eur.settings
+export const APP_SETTINGS_METAFIELD = {
+  namespace: 'bgn2eur',
+  key: 'settings'
+};
+
+export const LABEL_KEYS = [
+  'heading',
+  'products',
+  'unitPrice',
+  'subtotal',
+  'discounts',
+  'shipping',
+  'tax',
+  'duties',
+  'tips',
+  'other',
+  'rounding',
+  'total',
+  'refunds',
+  'refund',
+  'adjustment',
+  'netPaid',
+  'included'
+];
+
+export const SECTION_KEYS = [
+  'lines',
+  'unitPrice',
+  'variantTitle',
+  'compareAtPrice',
+  'breakdown',
+  'shipping',
+  'total',
+  'refunds',
+  'rateInfo'
+];
+
+export const DEFAULT_SETTINGS = {
+  primaryCurrency: 'BGN',
+  secondaryCurrency: 'EUR',
+  // 1 unit of rateBase = rate units of the other currency in the pair
+  rate: EUR_TO_BGN_RATE,
+  rateBase: 'EUR',
+  // Source of the rate; 'fixed' uses `rate` as entered
+  rateProvider: DEFAULT_RATE_PROVIDER,
+  // Rate table for the 'manual' provider: { RON: 4.97 } = 1 rateBase in each currency
+  manualRates: {},
+  // Set by the server for provider rates: date of `rate` and whether it is a
+  // fallback because the provider could not be reached
+  rateDate: null,
+  rateStale: false,
+  // Per-currency display overrides: { EUR: { symbol: '€', label: 'евро' } }
+  currencyDisplay: {},
+  // Locale for number and currency formatting, e.g. "bg" or "en-GB"; empty
+  // follows the buyer's language
+  numberLocale: '',
+  roundingMode: DEFAULT_ROUNDING_MODE,
+  // How converted lines are made to add up to the converted total
+  reconciliation: DEFAULT_RECONCILIATION_MODE,
+  // Buyers who get the dual display: everyone, or anyone matching one of the
+  // market handles/IDs, countries or presentment currencies
+  targetAlways: false,
+  targetMarkets: ['bulgaria', 'bg'],
+  targetCountries: ['BG'],
+  targetCurrencies: [],
+  // Empty labels use the extension translation for the buyer's language; any
+  // text set here is shown in every language
+  labels: Object.fromEntries(LABEL_KEYS.map(key => [key, ''])),
+  sections: {
+    lines: true,
+    // Details under each line: unit price, variant and the price before a line discount
+    unitPrice: true,
+    variantTitle: true,
+    compareAtPrice: true,
+    // Subtotal, discounts, tax, duties and tips
+    breakdown: true,
+    shipping: true,
+    total: true,
+    // Refunds and the net paid amount on the order status page
+    refunds: true,
+    rateInfo: true
+  },
+  // Price endings applied when converting catalog prices
+  priceEndings: DEFAULT_PRICE_ENDINGS,
+  // Legal dual-display period (Europe/Sofia dates). When enabled the extensions
+  // lead with BGN before the switch and EUR after it, and after the period
+  // either hide or show EUR only (postPeriodDisplay)
+  phasesEnabled: true,
+  phaseDates: DEFAULT_PHASE_DATES,
+  postPeriodDisplay: 'euro-only'
+};
+
+// "2026-01-01" naming a day that exists
+const isCalendarDate = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// Settings only the server writes
+const SERVER_KEYS = ['rateDate', 'rateStale'];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Label texts to show: the merchant's text where set, else `translate` of
+// "labels.<key>" (useTranslate in the extensions)
+export function resolveLabels(labels, translate) {
+  return Object.fromEntries(LABEL_KEYS.map(key => [key, labels[key] || translate(`labels.${key}`)]));
+}
+
+// Fill in anything missing with defaults. Used when reading stored or metafield values.
+export function normalizeSettings(raw) {
+  const input = isPlainObject(raw) ? raw : {};
+  const settings = { ...DEFAULT_SETTINGS };
+
+  for (const [key, defaultValue] of Object.entries(DEFAULT_SETTINGS)) {
+    if (!(key in input)) {
+      continue;
+    }
+    settings[key] = isPlainObject(defaultValue)
+      ? { ...defaultValue, ...(isPlainObject(input[key]) ? input[key] : {}) }
+      : input[key];
+  }
+
+  return settings;
+}
+
+// Parse the JSON metafield value the extensions receive
+export function parseSettingsMetafield(value) {
+  if (!value) {
+    return normalizeSettings({});
+  }
+  try {
+    return normalizeSettings(typeof value === 'string' ? JSON.parse(value) : value);
+  } catch (error) {
+    return normalizeSettings({});
+  }
+}
+
+function validateStringList(value, field, errors, pattern) {
+  if (!Array.isArray(value)) {
+    errors.push({ field, message: 'Must be a list' });
+    return [];
+  }
+
+  const items = value.map(item => (typeof item === 'string' ? item.trim() : item));
+  items.forEach((item, index) => {
+    if (typeof item !== 'string' || item === '') {
+      errors.push({ field: `${field}.${index}`, message: 'Must be a non-empty string' });
+    } else if (pattern && !pattern.test(item)) {
+      errors.push({ field: `${field}.${index}`, message: `Invalid value "${item}"` });
+    }
+  });
+
+  return items;
+}
+
+// Apply a partial update on top of the current settings and validate the result.
+// Returns { settings, errors } where errors use the { field, message } shape of Admin API userErrors.
+export function validateSettings(update, current = DEFAULT_SETTINGS) {
+  const errors = [];
+
+  if (!isPlainObject(update)) {
+    return { settings: current, errors: [{ field: null, message: 'Settings must be an object' }] };
+  }
+
+  const unknownKeys = Object.keys(update).filter(key => !(key in DEFAULT_SETTINGS));
+  unknownKeys.forEach(key => errors.push({ field: key, message: 'Unknown setting' }));
+
+  SERVER_KEYS.filter(key => key in update).forEach(key =>
+    errors.push({ field: key, message: 'Set by the server' })
+  );
+
+  const settings = normalizeSettings({
+    ...current,
+    ...update,
+    manualRates: isPlainObject(update.manualRates) ? update.manualRates : current.manualRates,
+    rateDate: current.rateDate,
+    rateStale: current.rateStale,
+    currencyDisplay: { ...current.currencyDisplay, ...(isPlainObject(update.currencyDisplay) ? update.currencyDisplay : {}) },
+    labels: { ...current.labels, ...(isPlainObject(update.labels) ? update.labels : {}) },
+    sections: { ...current.sections, ...(isPlainObject(update.sections) ? update.sections : {}) },
+    priceEndings: { ...current.priceEndings, ...(isPlainObject(update.priceEndings) ? update.priceEndings : {}) },
+    phaseDates: { ...current.phaseDates, ...(isPlainObject(update.phaseDates) ? update.phaseDates : {}) }
+  });
+
+  for (const field of ['primaryCurrency', 'secondaryCurrency', 'rateBase']) {
+    if (typeof settings[field] === 'string') {
+      settings[field] = settings[field].trim().toUpperCase();
+    }
+    if (!/^[A-Z]{3}$/.test(settings[field])) {
+      errors.push({ field, message: 'Must be a 3-letter ISO 4217 currency code' });
+    }
+  }
+
+  if (settings.primaryCurrency === settings.secondaryCurrency) {
+    errors.push({ field: 'secondaryCurrency', message: 'Must differ from the primary currency' });
+  }
+
+  if (![settings.primaryCurrency, settings.secondaryCurrency].includes(settings.rateBase)) {
+    errors.push({ field: 'rateBase', message: 'Must be the primary or the secondary currency' });
+  }
+
+  const rate = typeof settings.rate === 'string' ? Number(settings.rate) : settings.rate;
+  if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+    errors.push({ field: 'rate', message: 'Must be a positive number' });
+  } else {
+    settings.rate = rate;
+  }
+
+  for (const [code, value] of Object.entries(settings.manualRates)) {
+    if (!/^[A-Z]{3}$/.test(code)) {
+      errors.push({ field: `manualRates.${code}`, message: 'Must be keyed by a 3-letter ISO 4217 currency code' });
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      errors.push({ field: `manualRates.${code}`, message: 'Must be a positive number' });
+    }
+  }
+
+  if (settings.rateProvider === 'manual') {
+    const quote = quoteCurrency(settings);
+    if (!(quote in settings.manualRates)) {
+      errors.push({ field: 'manualRates', message: `Must include a rate for ${quote}` });
+    }
+  }
+
+  // An empty entry resets that currency to the default symbol and label
+  settings.currencyDisplay = Object.fromEntries(
+    Object.entries(settings.currencyDisplay).filter(([, display]) =>
+      !(isPlainObject(display) && Object.keys(display).length === 0)
+    )
+  );
+
+  if (!RATE_PROVIDERS.includes(settings.rateProvider)) {
+    errors.push({ field: 'rateProvider', message: `Must be one of: ${RATE_PROVIDERS.join(', ')}` });
+  }
+
+  for (const [code, display] of Object.entries(settings.currencyDisplay)) {
+    if (!/^[A-Z]{3}$/.test(code)) {
+      errors.push({ field: `currencyDisplay.${code}`, message: 'Must be keyed by a 3-letter ISO 4217 currency code' });
+    } else if (!isPlainObject(display)) {
+      errors.push({ field: `currencyDisplay.${code}`, message: 'Must be an object with symbol and label' });
+    } else {
+      for (const key of Object.keys(display)) {
+        if (!['symbol', 'label'].includes(key)) {
+          errors.push({ field: `currencyDisplay.${code}.${key}`, message: 'Unknown field' });
+        } else if (typeof display[key] !== 'string' || display[key].trim() === '' || display[key].length > 10) {
+          errors.push({ field: `currencyDisplay.${code}.${key}`, message: 'Must be a string of 1 to 10 characters' });
+        }
+      }
+    }
+  }
+
+  settings.numberLocale = typeof settings.numberLocale === 'string' ? settings.numberLocale.trim() : settings.numberLocale;
+  if (typeof settings.numberLocale !== 'string' || (settings.numberLocale && !isSupportedLocale(settings.numberLocale))) {
+    errors.push({ field: 'numberLocale', message: 'Must be empty or a supported locale such as bg or en-GB' });
+  }
+
+  if (!ROUNDING_MODES.includes(settings.roundingMode)) {
+    errors.push({ field: 'roundingMode', message: `Must be one of: ${ROUNDING_MODES.join(', ')}` });
+  }
+
+  if (!RECONCILIATION_MODES.includes(settings.reconciliation)) {
+    errors.push({ field: 'reconciliation', message: `Must be one of: ${RECONCILIATION_MODES.join(', ')}` });
+  }
+
+  settings.targetMarkets = validateStringList(settings.targetMarkets, 'targetMarkets', errors);
+  settings.targetCountries = validateStringList(
+    Array.isArray(settings.targetCountries)
+      ? settings.targetCountries.map(code => (typeof code === 'string' ? code.trim().toUpperCase() : code))
+      : settings.targetCountries,
+    'targetCountries',
+    errors,
+    /^[A-Z]{2}$/
+  );
+  settings.targetCurrencies = validateStringList(
+    Array.isArray(settings.targetCurrencies)
+      ? settings.targetCurrencies.map(code => (typeof code === 'string' ? code.trim().toUpperCase() : code))
+      : settings.targetCurrencies,
+    'targetCurrencies',
+    errors,
+    /^[A-Z]{3}$/
+  );
+
+  if (typeof settings.targetAlways !== 'boolean') {
+    errors.push({ field: 'targetAlways', message: 'Must be true or false' });
+  }
+
+  for (const key of Object.keys(settings.labels)) {
+    const value = settings.labels[key];
+    if (!LABEL_KEYS.includes(key)) {
+      errors.push({ field: `labels.${key}`, message: 'Unknown label' });
+    } else if (typeof value !== 'string' || value.length > 100) {
+      errors.push({ field: `labels.${key}`, message: 'Must be a string of at most 100 characters' });
+    }
+  }
+
+  for (const key of Object.keys(settings.sections)) {
+    if (!SECTION_KEYS.includes(key)) {
+      errors.push({ field: `sections.${key}`, message: 'Unknown section' });
+    } else if (typeof settings.sections[key] !== 'boolean') {
+      errors.push({ field: `sections.${key}`, message: 'Must be true or false' });
+    }
+  }
+
+  errors.push(...validatePriceEndings(settings.priceEndings));
+
+  if (typeof settings.phasesEnabled !== 'boolean') {
+    errors.push({ field: 'phasesEnabled', message: 'Must be true or false' });
+  }
+
+  if (!POST_PERIOD_DISPLAYS.includes(settings.postPeriodDisplay)) {
+    errors.push({ field: 'postPeriodDisplay', message: `Must be one of: ${POST_PERIOD_DISPLAYS.join(', ')}` });
+  }
+
+  for (const key of Object.keys(settings.phaseDates)) {
+    const value = settings.phaseDates[key];
+    if (!PHASE_DATE_KEYS.includes(key)) {
+      errors.push({ field: `phaseDates.${key}`, message: 'Unknown date' });
+    } else if (!isCalendarDate(value)) {
+      errors.push({ field: `phaseDates.${key}`, message: 'Must be a date as YYYY-MM-DD' });
+    }
+  }
+  const { dualDisplayFrom, euroSwitch, dualDisplayUntil } = settings.phaseDates;
+  if ([dualDisplayFrom, euroSwitch, dualDisplayUntil].every(isCalendarDate) &&
+      !(dualDisplayFrom <= euroSwitch && euroSwitch <= dualDisplayUntil)) {
+    errors.push({ field: 'phaseDates', message: 'Must be in order: dual display start, euro switch, dual display end' });
+  }
+
+  return { settings, errors };
+}
@@ -0,0 +1,33 @@
+// shared/targeting.js
+// Which buyers get the dual-currency display. Shared by the storefront,
+// checkout and order-status extensions so they all agree.
+
+// Markets are targeted by handle or by ID. Surfaces report IDs either as a GID
+// (gid://shopify/Market/123) or as the bare number (Liquid), so compare the number.
+function marketIdNumber(id) {
+  const match = /(\d+)$/.exec(String(id ?? ''));
+  return match ? match[1] : null;
+}
+
+function matchesMarket(target, { marketHandle, marketId }) {
+  if (marketHandle && target === marketHandle) {
+    return true;
+  }
+  const targetId = /^(?:gid:\/\/shopify\/Market\/)?(\d+)$/.exec(target)?.[1];
+  return Boolean(targetId && targetId === marketIdNumber(marketId));
+}
+
+// `buyer` is { countryCode, marketHandle, marketId, currencyCode } as reported by the surface
+export function isTargetedBuyer(settings, buyer = {}) {
+  const { countryCode, currencyCode } = buyer;
+
+  if (settings.targetAlways) {
+    return true;
+  }
+
+  return Boolean(
+    (countryCode && settings.targetCountries.includes(countryCode)) ||
+    (currencyCode && settings.targetCurrencies.includes(currencyCode)) ||
+    settings.targetMarkets.some(target => matchesMarket(target, buyer))
+  );
+}
@@ -0,0 +1,78 @@
+// shared/timezone.js
+// Wall-clock helpers for a named time zone, built on Intl so they work in
+// Node and in the extension sandbox without a date library.
+
+export const SOFIA_TIME_ZONE = 'Europe/Sofia';
+
+const formatters = {};
+
+function formatterFor(timeZone) {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+  return formatters[timeZone];
+}
+
+// Calendar fields of `date` as seen on a wall clock in `timeZone`
+export function getZonedParts(date, timeZone = SOFIA_TIME_ZONE) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  }
+  return parts;
+}
+
+// Offset of `timeZone` from UTC at `date`, in milliseconds
+function timeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// "2026-01-01T00:00" on the wall clock of `timeZone` -> Date (UTC instant)
+export function zonedTimeToUtc(localDateTime, timeZone = SOFIA_TIME_ZONE) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(String(localDateTime).trim());
+  if (!match) {
+    throw new RangeError(`Invalid local date/time: ${localDateTime}`);
+  }
+
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match
+    .slice(1)
+    .map(value => (value === undefined ? undefined : Number(value)));
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Apply the offset twice so times next to a DST change land on the right side
+  const firstOffset = timeZoneOffset(new Date(guess), timeZone);
+  let result = guess - firstOffset;
+  const secondOffset = timeZoneOffset(new Date(result), timeZone);
+  if (secondOffset !== firstOffset) {
+    result = guess - secondOffset;
+  }
+
+  return new Date(result);
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Date -> "2026-01-01T00:00" on the wall clock of `timeZone`
+export function formatZonedDateTime(date, timeZone = SOFIA_TIME_ZONE) {
+  const parts = getZonedParts(date, timeZone);
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}`;
+}
+
+// Instant (Date or ISO string) -> "1 януари 2026 г.", the calendar day in
+// `timeZone` written for `locale`
+export function formatZonedDate(date, locale = 'bg', timeZone = SOFIA_TIME_ZONE) {
+  return new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone }).format(new Date(date));
+}
@@ -0,0 +1,144 @@
+// test/breakdown.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  breakdownRowLabel,
+  collectDiscounts,
+  splitOrderAllocations,
+  buildCostBreakdown,
+  convertBreakdown
+} from '../shared/breakdown.js';
+
+const SETTINGS = {
+  primaryCurrency: 'BGN',
+  secondaryCurrency: 'EUR',
+  rate: 1.95583,
+  rateBase: 'EUR',
+  roundingMode: 'half-up',
+  reconciliation: 'largest-remainder'
+};
+
+const bgn = (amount) => ({ amount, currencyCode: 'BGN' });
+const rowsOf = (breakdown) => breakdown.rows.map(({ type, amount, included }) => [type, amount, included]);
+
+describe('buildCostBreakdown', () => {
+  it('shows VAT included in the prices without adding it to the total', () => {
+    const breakdown = buildCostBreakdown({
+      currencyCode: 'BGN',
+      subtotal: '100.00',
+      discounts: [{ title: 'SAVE10', amount: '10.00', level: 'order' }],
+      shipping: '6.00',
+      tax: '16.00',
+      total: '96.00'
+    });
+    assert.equal(breakdown.taxesIncluded, true);
+    assert.deepEqual(rowsOf(breakdown), [
+      ['subtotal', '100.00', false],
+      ['discount', '-10.00', false],
+      ['shipping', '6.00', false],
+      ['tax', '16.00', true],
+      ['total', '96.00', false]
+    ]);
+  });
+
+  it('adds tax charged on top of the prices', () => {
+    const breakdown = buildCostBreakdown({ currencyCode: 'BGN', subtotal: '100.00', shipping: '0.00', tax: '20.00', total: '120.00' });
+    assert.equal(breakdown.taxesIncluded, false);
+    assert.deepEqual(rowsOf(breakdown).map(([type]) => type), ['subtotal', 'shipping', 'tax', 'total']);
+  });
+
+  it('lists line discounts as part of the subtotal', () => {
+    const breakdown = buildCostBreakdown({
+      currencyCode: 'BGN',
+      subtotal: '18.00',
+      discounts: [{ title: 'BOGO', amount: '2.00', level: 'line' }],
+      total: '18.00'
+    });
+    assert.deepEqual(rowsOf(breakdown), [
+      ['subtotal', '18.00', false],
+      ['line-discount', '-2.00', true],
+      ['total', '18.00', false]
+    ]);
+  });
+
+  it('shows what the total holds beyond the known rows as one row', () => {
+    const breakdown = buildCostBreakdown({ currencyCode: 'BGN', subtotal: '50.00', shipping: '5.00', total: '58.50' });
+    assert.deepEqual(rowsOf(breakdown).at(-2), ['other', '3.50', false]);
+  });
+
+  it('keeps duties and tips apart when the surface exposes them', () => {
+    const breakdown = buildCostBreakdown({ currencyCode: 'BGN', subtotal: '50.00', duties: '3.00', tips: '0.50', total: '53.50' });
+    assert.deepEqual(rowsOf(breakdown).map(([type]) => type), ['subtotal', 'duties', 'tips', 'total']);
+  });
+});
+
+describe('collectDiscounts', () => {
+  it('sums line allocations per discount and skips the ones of order discounts', () => {
+    const discounts = collectDiscounts(
+      [{ code: 'SAVE10', discountedAmount: bgn('10.00') }],
+      [
+        { discountAllocations: [{ code: 'SAVE10', discountedAmount: bgn('6.00') }, { title: 'BOGO', discountedAmount: bgn('1.50') }] },
+        { discountAllocations: [{ code: 'SAVE10', discountedAmount: bgn('4.00') }, { title: 'BOGO', discountedAmount: bgn('0.50') }] }
+      ]
+    );
+    assert.deepEqual(discounts.map(({ title, amount, level }) => [title, amount, level]), [
+      ['SAVE10', '10.00', 'order'],
+      ['BOGO', '2.00', 'line']
+    ]);
+  });
+});
+
+describe('splitOrderAllocations', () => {
+  it('moves the allocations of order discounts off the lines', () => {
+    const { lines, orderAllocations } = splitOrderAllocations([
+      { id: 'a', discountAllocations: [{ code: 'SAVE10', targetSelection: 'ALL', discountedAmount: bgn('6.00') }] },
+      {
+        id: 'b',
+        discountAllocations: [
+          { code: 'SAVE10', targetSelection: 'ALL', discountedAmount: bgn('4.00') },
+          { title: 'BOGO', targetSelection: 'ENTITLED', discountedAmount: bgn('0.50') }
+        ]
+      }
+    ], 'BGN');
+    assert.deepEqual(orderAllocations.map(allocation => [allocation.code, allocation.discountedAmount.amount]), [['SAVE10', '10.00']]);
+    assert.deepEqual(lines.map(line => line.discountAllocations.length), [0, 1]);
+  });
+});
+
+describe('breakdownRowLabel', () => {
+  const labels = { discounts: 'Отстъпка', tax: 'ДДС', included: 'В т.ч.' };
+
+  it('adds the discount title and marks included rows', () => {
+    assert.equal(breakdownRowLabel({ type: 'discount', title: 'SAVE10' }, labels), 'Отстъпка (SAVE10)');
+    assert.equal(breakdownRowLabel({ type: 'tax', title: '', included: true }, labels), 'В т.ч. ДДС');
+  });
+});
+
+describe('convertBreakdown', () => {
+  // Each cent converts up to a cent, but three cents convert to two
+  const CENTS = buildCostBreakdown({ currencyCode: 'BGN', subtotal: '0.03', total: '0.03' });
+  const LINES = ['0.01', '0.01', '0.01'];
+
+  it('converts into the other currency of the pair, lines adding up to the total', () => {
+    const converted = convertBreakdown(CENTS, LINES, SETTINGS);
+    assert.equal(converted.currencyCode, 'EUR');
+    assert.deepEqual(converted.lines, ['0.01', '0.01', '0.00']);
+    assert.deepEqual(converted.rows.map(row => [row.type, row.converted]), [['subtotal', '0.02'], ['total', '0.02']]);
+  });
+
+  it('adds a rounding row for the difference in rounding-row mode', () => {
+    const converted = convertBreakdown(CENTS, LINES, { ...SETTINGS, reconciliation: 'rounding-row' });
+    assert.deepEqual(converted.lines, ['0.01', '0.01', '0.01']);
+    assert.deepEqual(converted.rows.map(row => [row.type, row.converted]), [['subtotal', '0.03'], ['rounding', '-0.01'], ['total', '0.02']]);
+  });
+
+  it('converts included rows on their own', () => {
+    const breakdown = buildCostBreakdown({ currencyCode: 'BGN', subtotal: '120.00', tax: '20.00', total: '120.00' });
+    const tax = convertBreakdown(breakdown, [], SETTINGS).rows.find(row => row.type === 'tax');
+    assert.equal(tax.converted, '10.23');
+  });
+
+  it('converts nothing outside the pair', () => {
+    assert.equal(convertBreakdown({ ...CENTS, currencyCode: 'USD' }, LINES, SETTINGS), null);
+  });
+});
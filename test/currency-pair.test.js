@@ -0,0 +1,64 @@
+// test/currency-pair.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  currencyDisplay,
+  getCurrencyPair,
+  counterpartCurrency,
+  quoteCurrency,
+  formatRate
+} from '../shared/currency-pair.js';
+import { DEFAULT_SETTINGS } from '../shared/settings.js';
+
+const RON_PAIR = {
+  ...DEFAULT_SETTINGS,
+  primaryCurrency: 'RON',
+  secondaryCurrency: 'EUR',
+  rate: 4.9775,
+  rateBase: 'EUR',
+  currencyDisplay: { RON: { label: 'леи' } }
+};
+
+describe('currencyDisplay', () => {
+  it('writes known currencies with their symbol and label', () => {
+    assert.deepEqual(currencyDisplay(DEFAULT_SETTINGS, 'BGN'), { symbol: 'лв.', label: 'ЛВ' });
+  });
+
+  it('lets the settings override either part', () => {
+    assert.deepEqual(currencyDisplay(RON_PAIR, 'RON'), { symbol: 'lei', label: 'леи' });
+  });
+
+  it('falls back to the ISO code', () => {
+    assert.deepEqual(currencyDisplay(DEFAULT_SETTINGS, 'SEK'), { symbol: 'SEK', label: 'SEK' });
+  });
+});
+
+describe('getCurrencyPair', () => {
+  it('describes both currencies and the rate', () => {
+    const pair = getCurrencyPair(RON_PAIR);
+    assert.deepEqual(pair.primary, { code: 'RON', symbol: 'lei', label: 'леи' });
+    assert.deepEqual(pair.secondary, { code: 'EUR', symbol: '€', label: 'EUR' });
+    assert.equal(pair.rate, 4.9775);
+    assert.equal(pair.rateBase, 'EUR');
+  });
+});
+
+describe('counterpartCurrency and quoteCurrency', () => {
+  it('give the other currency of the pair', () => {
+    assert.equal(counterpartCurrency(RON_PAIR, 'RON'), 'EUR');
+    assert.equal(counterpartCurrency(RON_PAIR, 'EUR'), 'RON');
+    assert.equal(counterpartCurrency(RON_PAIR, 'BGN'), null);
+    assert.equal(quoteCurrency(RON_PAIR), 'RON');
+    assert.equal(quoteCurrency({ ...RON_PAIR, rateBase: 'RON' }), 'EUR');
+  });
+});
+
+describe('formatRate', () => {
+  it('writes the rate per unit of the base currency', () => {
+    assert.equal(formatRate(DEFAULT_SETTINGS), '1 EUR = 1.95583 BGN');
+  });
+
+  it('uses the decimal separator of the locale', () => {
+    assert.equal(formatRate({ ...DEFAULT_SETTINGS, locale: 'bg' }), '1 EUR = 1,95583 BGN');
+  });
+});
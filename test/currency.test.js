@@ -0,0 +1,99 @@
+// test/currency.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  currencyDigits,
+  divideRounded,
+  toMinorUnits,
+  formatMinorUnits,
+  formatAmount,
+  negateAmount,
+  convertAmount,
+  convertBGNtoEUR,
+  convertEURtoBGN
+} from '../shared/currency.js';
+
+describe('currencyDigits', () => {
+  it('defaults to two decimals', () => {
+    assert.equal(currencyDigits('BGN'), 2);
+    assert.equal(currencyDigits('EUR'), 2);
+  });
+
+  it('knows the currencies without two decimals', () => {
+    assert.equal(currencyDigits('JPY'), 0);
+    assert.equal(currencyDigits('KWD'), 3);
+  });
+});
+
+describe('divideRounded', () => {
+  it('rounds ties per the rounding mode', () => {
+    assert.equal(divideRounded(5n, 2n, 'half-up'), 3n);
+    assert.equal(divideRounded(5n, 2n, 'half-even'), 2n);
+    assert.equal(divideRounded(7n, 2n, 'half-even'), 4n);
+    assert.equal(divideRounded(5n, 2n, 'down'), 2n);
+  });
+
+  it('rounds negative ties away from zero with half-up', () => {
+    assert.equal(divideRounded(-5n, 2n, 'half-up'), -3n);
+    assert.equal(divideRounded(-5n, 2n, 'up'), -3n);
+  });
+
+  it('rejects an unknown rounding mode', () => {
+    assert.throws(() => divideRounded(5n, 2n, 'nearest'), RangeError);
+  });
+});
+
+describe('minor units', () => {
+  it('parses decimal strings and numbers, rounding half-up', () => {
+    assert.equal(toMinorUnits('12.345'), 1235);
+    assert.equal(toMinorUnits(12.5), 1250);
+    assert.equal(toMinorUnits(-0.005), -1);
+    assert.equal(toMinorUnits('7', 0), 7);
+  });
+
+  it('rejects what is not an amount', () => {
+    assert.throws(() => toMinorUnits('12,50'), RangeError);
+    assert.throws(() => toMinorUnits(''), RangeError);
+    assert.throws(() => toMinorUnits(Infinity), RangeError);
+  });
+
+  it('formats without going through floats', () => {
+    assert.equal(formatMinorUnits(-5), '-0.05');
+    assert.equal(formatMinorUnits(1234, 0), '1234');
+    assert.equal(formatMinorUnits(1234, 3), '1.234');
+    assert.equal(formatAmount(12.5), '12.50');
+  });
+
+  it('negates amounts for deductions', () => {
+    assert.equal(negateAmount('12.5'), '-12.50');
+    assert.equal(negateAmount('-3'), '3.00');
+    assert.equal(negateAmount('0'), '0.00');
+    assert.equal(negateAmount('100', 0), '-100');
+  });
+});
+
+describe('convertAmount', () => {
+  it('converts at the fixed lev/euro rate', () => {
+    assert.equal(convertBGNtoEUR('10.00'), 5.11);
+    assert.equal(convertEURtoBGN('5.11'), 9.99);
+    assert.equal(convertBGNtoEUR('1.95583'), 1);
+  });
+
+  it('uses the rate as 1 rateBase = rate units of the other currency', () => {
+    const options = { rate: '4.9', rateBase: 'EUR' };
+    assert.equal(convertAmount('10', { ...options, from: 'EUR', to: 'RON' }), 49);
+    assert.equal(convertAmount('49', { ...options, from: 'RON', to: 'EUR' }), 10);
+  });
+
+  it('converts between currencies with different decimals', () => {
+    assert.equal(convertAmount('100', { from: 'EUR', to: 'JPY', rate: '160.5', rateBase: 'EUR' }), 16050);
+  });
+
+  it('only rounds when both currencies are the same', () => {
+    assert.equal(convertAmount('12.345', { from: 'EUR', to: 'EUR' }), 12.35);
+  });
+
+  it('rejects a rate that is not positive', () => {
+    assert.throws(() => convertAmount('1', { from: 'EUR', to: 'RON', rate: '0' }), RangeError);
+  });
+});
@@ -0,0 +1,57 @@
+// test/display-options.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_BLOCK_SETTINGS, normalizeBlockSettings, applyBlockSettings } from '../shared/display-options.js';
+import { DEFAULT_SETTINGS } from '../shared/settings.js';
+
+const SETTINGS = { ...DEFAULT_SETTINGS, currencyOrder: 'primary', labels: { ...DEFAULT_SETTINGS.labels, heading: 'Цени' } };
+
+describe('normalizeBlockSettings', () => {
+  it('fills in what the editor left undefined', () => {
+    assert.deepEqual(normalizeBlockSettings({}), DEFAULT_BLOCK_SETTINGS);
+    assert.deepEqual(normalizeBlockSettings(), DEFAULT_BLOCK_SETTINGS);
+  });
+
+  it('replaces invalid values with the defaults and trims the heading', () => {
+    const block = normalizeBlockSettings({ layout: 'grid', hide_lines: 'yes', currency_order: 'secondary', heading: '  Обща сума ' });
+    assert.equal(block.layout, 'detailed');
+    assert.equal(block.hide_lines, false);
+    assert.equal(block.currency_order, 'secondary');
+    assert.equal(block.heading, 'Обща сума');
+  });
+});
+
+describe('applyBlockSettings', () => {
+  it('keeps the shop settings with the default block settings', () => {
+    const settings = applyBlockSettings(SETTINGS, {});
+    assert.equal(settings.currencyOrder, 'primary');
+    assert.equal(settings.fixedCurrencyOrder, false);
+    assert.equal(settings.labels.heading, 'Цени');
+    assert.deepEqual(settings.sections, SETTINGS.sections);
+  });
+
+  it('fixes the currency order and overrides the heading', () => {
+    const settings = applyBlockSettings(SETTINGS, { currency_order: 'secondary', heading: 'Общо' });
+    assert.equal(settings.currencyOrder, 'secondary');
+    assert.equal(settings.fixedCurrencyOrder, true);
+    assert.equal(settings.labels.heading, 'Общо');
+  });
+
+  it('hides sections, but never shows one the shop turned off', () => {
+    const shop = { ...SETTINGS, sections: { ...SETTINGS.sections, lines: false } };
+    const { sections } = applyBlockSettings(shop, { hide_shipping: true, show_rate_info: false });
+    assert.equal(sections.shipping, false);
+    assert.equal(sections.rateInfo, false);
+    assert.equal(sections.lines, false);
+    assert.equal(sections.total, true);
+  });
+
+  it('drops the line details and breakdown in the compact layout', () => {
+    const { layout, sections } = applyBlockSettings(SETTINGS, { layout: 'compact' });
+    assert.equal(layout, 'compact');
+    assert.deepEqual(
+      [sections.lines, sections.total, sections.unitPrice, sections.variantTitle, sections.compareAtPrice, sections.breakdown],
+      [true, true, false, false, false, false]
+    );
+  });
+});
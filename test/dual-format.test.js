@@ -0,0 +1,95 @@
+// test/dual-format.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  currencyLabel,
+  resolveNumberLocale,
+  localizeSettings,
+  formatMoney,
+  formatConvertedAmount,
+  formatDualAmount,
+  formatDualPair
+} from '../shared/dual-format.js';
+import { DEFAULT_SETTINGS } from '../shared/settings.js';
+
+const BG = { ...DEFAULT_SETTINGS, locale: 'bg' };
+
+// Intl separates amounts and currencies with no-break spaces
+const plain = (text) => text.replace(/\s/g, ' ');
+
+describe('resolveNumberLocale', () => {
+  it('prefers the merchant locale, then the buyer language with their country', () => {
+    assert.equal(resolveNumberLocale({ numberLocale: 'en-GB' }, { language: 'de', countryCode: 'AT' }), 'en-GB');
+    assert.equal(resolveNumberLocale({ numberLocale: '' }, { language: 'de', countryCode: 'AT' }), 'de-AT');
+    assert.equal(resolveNumberLocale({ numberLocale: '' }, { language: 'pt-BR', countryCode: 'PT' }), 'pt-BR');
+  });
+
+  it('falls back to Bulgarian', () => {
+    assert.equal(resolveNumberLocale({}, {}), 'bg');
+    assert.equal(resolveNumberLocale({}, { language: '!!' }), 'bg');
+  });
+
+  it('is set on the settings by localizeSettings', () => {
+    assert.equal(localizeSettings(DEFAULT_SETTINGS, { language: 'en' }).locale, 'en');
+  });
+});
+
+describe('currencyLabel', () => {
+  it('follows the symbol style', () => {
+    assert.equal(currencyLabel('BGN', DEFAULT_SETTINGS), 'лв.');
+    assert.equal(currencyLabel('BGN', { ...DEFAULT_SETTINGS, symbolStyle: 'label' }), 'ЛВ');
+    assert.equal(currencyLabel('BGN', { ...DEFAULT_SETTINGS, symbolStyle: 'code' }), 'BGN');
+  });
+});
+
+describe('formatMoney', () => {
+  it('writes the amount as the locale does', () => {
+    assert.equal(plain(formatMoney('12.5', 'BGN', BG)), '12,50 лв.');
+    assert.equal(formatMoney('12.5', 'EUR', { ...BG, locale: 'en' }), '€12.50');
+    assert.equal(plain(formatMoney('1234.5', 'EUR', { ...BG, locale: 'de-AT' })), '€ 1.234,50');
+  });
+
+  it('uses the known symbol where the locale has none', () => {
+    assert.equal(plain(formatMoney('12.5', 'BGN', { ...BG, locale: 'en' })), 'лв. 12.50');
+  });
+
+  it('puts the label or code where the locale puts the currency', () => {
+    assert.equal(plain(formatMoney('12.5', 'BGN', { ...BG, symbolStyle: 'label' })), '12,50 ЛВ');
+    assert.equal(plain(formatMoney('12.5', 'BGN', { ...BG, locale: 'en', symbolStyle: 'code' })), 'BGN 12.50');
+  });
+
+  it('writes a plain amount without a locale', () => {
+    assert.equal(formatMoney('12.5', 'BGN', DEFAULT_SETTINGS), '12.50 лв.');
+  });
+});
+
+describe('formatDualAmount', () => {
+  it('shows the amount and its conversion', () => {
+    assert.equal(plain(formatDualAmount('12.50', 'BGN', BG)), '12,50 лв. / 6,39 €');
+    assert.equal(plain(formatConvertedAmount('12.50', 'BGN', BG)), '6,39 €');
+  });
+
+  it('leads with the currency the order asks for', () => {
+    assert.equal(plain(formatDualAmount('12.50', 'BGN', { ...BG, currencyOrder: 'secondary' })), '6,39 € / 12,50 лв.');
+  });
+
+  it('shows a single currency when the settings limit it', () => {
+    assert.equal(plain(formatDualAmount('12.50', 'BGN', { ...BG, singleCurrency: 'EUR' })), '6,39 €');
+    assert.equal(plain(formatDualAmount('6.39', 'EUR', { ...BG, singleCurrency: 'EUR' })), '6,39 €');
+  });
+
+  it('shows just the amount outside the pair', () => {
+    assert.equal(plain(formatDualAmount('12.50', 'USD', BG)), '12,50 $');
+    assert.equal(formatConvertedAmount('12.50', 'USD', BG), null);
+  });
+});
+
+describe('formatDualPair', () => {
+  it('pairs the amount with a conversion done elsewhere', () => {
+    assert.equal(plain(formatDualPair('12.50', 'BGN', '6.40', 'EUR', BG)), '12,50 лв. / 6,40 €');
+  });
+
+  it('shows only the converted side of a row without an original amount', () => {
+    assert.equal(plain(formatDualPair(null, 'BGN', '-0.01', 'EUR', BG)), '-0,01 €');
+  });
+});
@@ -0,0 +1,53 @@
+// test/file-store.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// DATA_DIR is read when the module loads
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-'));
+process.env.DATA_DIR = dataDir;
+const { createFileStore } = await import('../server/file-store.js');
+
+describe('createFileStore', () => {
+  after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  let store;
+  before(() => {
+    store = createFileStore('records');
+  });
+
+  it('keeps records by key', async () => {
+    await store.set('a', { value: 1 });
+    await store.set('b', { value: 2 });
+    assert.deepEqual(await store.get('a'), { value: 1 });
+    assert.deepEqual(await store.entries(), [['a', { value: 1 }], ['b', { value: 2 }]]);
+  });
+
+  it('deletes records and says whether there was one', async () => {
+    assert.equal(await store.delete('b'), true);
+    assert.equal(await store.delete('b'), false);
+    assert.equal(await store.get('b'), undefined);
+  });
+
+  it('persists to one JSON file readable only by the owner', async () => {
+    const filePath = path.join(dataDir, 'records.json');
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { a: { value: 1 } });
+    assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+    assert.deepEqual(await createFileStore('records').get('a'), { value: 1 });
+  });
+
+  it('starts empty when the file is missing or unreadable', async () => {
+    assert.deepEqual(await createFileStore('missing').entries(), []);
+
+    fs.writeFileSync(path.join(dataDir, 'broken.json'), '{');
+    const original = console.error;
+    console.error = () => {};
+    try {
+      assert.deepEqual(await createFileStore('broken').entries(), []);
+    } finally {
+      console.error = original;
+    }
+  });
+});
@@ -0,0 +1,115 @@
+// test/invoice.test.js
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'invoice-'));
+process.env.DATA_DIR = dataDir;
+const { getInvoice, invoiceFileName, invoiceEmail, renderInvoicePdf } = await import('../server/invoice.js');
+const { saveInvoiceTemplate, validateInvoiceTemplate, DEFAULT_INVOICE_TEMPLATE } = await import('../server/invoice-template.js');
+
+const SESSION = { shop: 'shop.myshopify.com', accessToken: 'token' };
+const ORDER_ID = 'gid://shopify/Order/1';
+const money = (amount) => ({ presentmentMoney: { amount, currencyCode: 'BGN' } });
+const taxLine = (rate, amount) => ({ title: 'ДДС', rate, priceSet: money(amount) });
+
+// Order as the conversion query returns it: one line, shipping, VAT included
+const CONVERSION_ORDER = {
+  id: ORDER_ID,
+  name: '#1001',
+  processedAt: '2025-09-01T10:00:00Z',
+  presentmentCurrencyCode: 'BGN',
+  conversion: null,
+  totalShippingPriceSet: money('6.00'),
+  totalTaxSet: money('18.57'),
+  originalTotalDutiesSet: null,
+  totalTipReceivedSet: money('0.00'),
+  totalPriceSet: money('116.90'),
+  lineItems: {
+    nodes: [
+      { id: 'l1', title: 'Шапка', variantTitle: 'Червена', quantity: 1, originalUnitPriceSet: money('110.00'), discountedTotalSet: money('100.00'), discountAllocations: [] },
+      { id: 'l2', title: 'Книга', variantTitle: null, quantity: 1, originalUnitPriceSet: money('10.90'), discountedTotalSet: money('10.90'), discountAllocations: [] }
+    ]
+  },
+  refunds: []
+};
+
+const invoiceOrder = (taxesIncluded) => ({
+  name: '#1001',
+  email: 'buyer@example.com',
+  processedAt: '2025-09-01T10:00:00Z',
+  taxesIncluded,
+  customer: { displayName: 'Иван Петров', email: 'ivan@example.com' },
+  billingAddress: { name: 'Иван Петров', company: '', address1: 'ул. Витоша 1', address2: null, zip: '1000', city: 'София', country: 'Bulgaria', phone: null },
+  lineItems: {
+    nodes: [
+      // 110.00 less a 10.00 discount; 16.67 of the 100.00 is VAT
+      {
+        originalTotalSet: money('110.00'),
+        discountAllocations: [{ allocatedAmountSet: money('10.00') }],
+        taxLines: [taxLine(0.2, '16.67')]
+      },
+      { originalTotalSet: money('10.90'), discountAllocations: [], taxLines: [taxLine(0.09, '0.90')] }
+    ]
+  },
+  shippingLines: {
+    nodes: [{ discountedPriceSet: money('6.00'), taxLines: [taxLine(0.2, '1.00')] }]
+  }
+});
+
+let taxesIncluded = true;
+globalThis.fetch = async (url, options) => {
+  const { query } = JSON.parse(options.body);
+  const data = query.includes('OrderForInvoice') ? { order: invoiceOrder(taxesIncluded) } : { order: CONVERSION_ORDER };
+  return { ok: true, status: 200, json: async () => ({ data }) };
+};
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+describe('getInvoice', () => {
+  beforeEach(async () => {
+    taxesIncluded = true;
+    const { template } = validateInvoiceTemplate({
+      numberPrefix: '0000',
+      seller: { name: 'Магазин ЕООД', email: 'shop@example.com' }
+    }, DEFAULT_INVOICE_TEMPLATE);
+    await saveInvoiceTemplate(SESSION.shop, template);
+  });
+
+  it('derives the taxable amount per rate from the taxed lines', async () => {
+    const invoice = await getInvoice(SESSION, ORDER_ID);
+    assert.deepEqual(invoice.vat.map(({ rate, base, tax }) => ({ rate, base, tax })), [
+      { rate: 0.2, base: '88.33', tax: '17.67' },
+      { rate: 0.09, base: '10.00', tax: '0.90' }
+    ]);
+  });
+
+  it('taxes the whole amount when taxes are not included', async () => {
+    taxesIncluded = false;
+    const invoice = await getInvoice(SESSION, ORDER_ID);
+    assert.deepEqual(invoice.vat.map(({ base }) => base), ['106.00', '10.90']);
+  });
+
+  it('converts the amounts into the other currency of the pair', async () => {
+    const invoice = await getInvoice(SESSION, ORDER_ID);
+    assert.equal(invoice.convertedCurrency, 'EUR');
+    assert.equal(invoice.vat[0].convertedTax, '9.03');
+    assert.equal(invoice.rows.find(row => row.type === 'total').converted, '59.77');
+  });
+
+  it('numbers the document and addresses it to the buyer', async () => {
+    const invoice = await getInvoice(SESSION, ORDER_ID, 'receipt');
+    assert.equal(invoice.number, '00001001');
+    assert.equal(invoiceFileName(invoice), 'receipt-00001001.pdf');
+    assert.equal(invoice.email.to, 'buyer@example.com');
+    assert.equal(invoice.email.replyTo, 'shop@example.com');
+    assert.match(invoiceEmail(invoice).text, /#1001/);
+  });
+
+  it('renders a PDF', async () => {
+    const pdf = await renderInvoicePdf(await getInvoice(SESSION, ORDER_ID));
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  });
+});
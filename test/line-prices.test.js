@@ -0,0 +1,32 @@
+// test/line-prices.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { linePriceDetails } from '../shared/line-prices.js';
+
+const discount = (amount) => ({ discountedAmount: { amount, currencyCode: 'BGN' } });
+
+describe('linePriceDetails', () => {
+  it('uses the unit price the surface reports', () => {
+    assert.deepEqual(linePriceDetails({ quantity: 3, totalAmount: '29.97', unitPrice: '9.99' }, 'BGN'), {
+      unitPrice: '9.99',
+      originalAmount: null
+    });
+  });
+
+  it('works the unit price out from the line before its discounts', () => {
+    const details = linePriceDetails({ quantity: 2, totalAmount: '18.00', discountAllocations: [discount('1.50'), discount('0.50')] }, 'BGN');
+    assert.deepEqual(details, { unitPrice: '10.00', originalAmount: '20.00' });
+  });
+
+  it('rounds a unit price that does not divide evenly', () => {
+    assert.equal(linePriceDetails({ quantity: 3, totalAmount: '10.00' }, 'BGN').unitPrice, '3.33');
+    assert.equal(linePriceDetails({ quantity: 3, totalAmount: '0.05' }, 'BGN').unitPrice, '0.02');
+  });
+
+  it('follows the digits of the currency', () => {
+    assert.deepEqual(linePriceDetails({ quantity: 2, totalAmount: '1500', discountAllocations: [] }, 'JPY'), {
+      unitPrice: '750',
+      originalAmount: null
+    });
+  });
+});
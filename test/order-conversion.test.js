@@ -0,0 +1,181 @@
+// test/order-conversion.test.js
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-conversion-'));
+process.env.DATA_DIR = dataDir;
+const {
+  getOrderForConversion,
+  writeOrderSnapshot,
+  getOrderConversion,
+  webhookOrderId
+} = await import('../server/order-snapshot.js');
+const { saveShopSettings, deleteShopSettings } = await import('../server/settings.js');
+const { DEFAULT_SETTINGS } = await import('../shared/settings.js');
+
+const SESSION = { shop: 'shop.myshopify.com', accessToken: 'token' };
+const ORDER_ID = 'gid://shopify/Order/1';
+const money = (amount) => ({ presentmentMoney: { amount, currencyCode: 'BGN' } });
+const allocation = (amount, discountApplication) => ({ allocatedAmountSet: money(amount), discountApplication });
+
+// The order as the Admin API returns it: a 10% order discount spread over the
+// lines, a line discount on the first one, and a partial refund
+const adminOrder = (conversion) => ({
+  id: ORDER_ID,
+  name: '#1001',
+  processedAt: '2025-09-01T10:00:00Z',
+  presentmentCurrencyCode: 'BGN',
+  conversion: conversion ? { value: conversion } : null,
+  totalShippingPriceSet: money('5.00'),
+  totalTaxSet: money('4.00'),
+  originalTotalDutiesSet: null,
+  totalTipReceivedSet: money('0.00'),
+  totalPriceSet: money('23.00'),
+  lineItems: {
+    nodes: [
+      {
+        id: 'l1',
+        title: 'Шапка',
+        variantTitle: 'Червена',
+        quantity: 1,
+        originalUnitPriceSet: money('12.00'),
+        discountedTotalSet: money('10.00'),
+        discountAllocations: [
+          allocation('2.00', { targetSelection: 'ENTITLED', title: 'Шапки -2' }),
+          allocation('1.00', { targetSelection: 'ALL', code: 'SAVE10' })
+        ]
+      },
+      {
+        id: 'l2',
+        title: 'Книга',
+        variantTitle: null,
+        quantity: 1,
+        originalUnitPriceSet: money('10.00'),
+        discountedTotalSet: money('10.00'),
+        discountAllocations: [allocation('1.00', { targetSelection: 'ALL', code: 'SAVE10' })]
+      }
+    ]
+  },
+  refunds: [
+    {
+      id: 'gid://shopify/Refund/2',
+      createdAt: '2025-09-03T10:00:00Z',
+      totalRefundedSet: money('5.00'),
+      refundLineItems: { nodes: [] },
+      refundShippingLines: { nodes: [{ subtotalAmountSet: money('5.00') }] },
+      orderAdjustments: { nodes: [] }
+    },
+    {
+      id: 'gid://shopify/Refund/1',
+      createdAt: '2025-09-02T10:00:00Z',
+      totalRefundedSet: money('9.00'),
+      refundLineItems: { nodes: [{ quantity: 1, lineItem: { title: 'Книга' }, subtotalSet: money('9.00') }] },
+      refundShippingLines: { nodes: [] },
+      orderAdjustments: { nodes: [] }
+    }
+  ]
+});
+
+// The snapshot metafield as stored, and the mutations the stub received
+let stored = null;
+let definitionRequests = 0;
+let snapshotWrites = 0;
+globalThis.fetch = async (url, options) => {
+  const { query, variables } = JSON.parse(options.body);
+  let data;
+  if (query.includes('CreateSnapshotDefinition')) {
+    definitionRequests++;
+    data = { metafieldDefinitionCreate: { userErrors: [{ field: ['key'], message: 'Key is in use', code: 'TAKEN' }] } };
+  } else if (query.includes('SetOrderSnapshot')) {
+    snapshotWrites++;
+    stored = variables.metafields[0].value;
+    data = { metafieldsSet: { userErrors: [] } };
+  } else if (query.includes('OrderForConversion')) {
+    data = { order: variables.id === ORDER_ID ? adminOrder(stored) : null };
+  }
+  return { ok: true, status: 200, json: async () => ({ data }) };
+};
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+beforeEach(async () => {
+  stored = null;
+  snapshotWrites = 0;
+  await deleteShopSettings(SESSION.shop);
+});
+
+describe('getOrderForConversion', () => {
+  it('shapes the order like the checkout surfaces do', async () => {
+    const order = await getOrderForConversion(SESSION, ORDER_ID);
+    assert.equal(order.currencyCode, 'BGN');
+    assert.equal(order.subtotal, '20.00');
+    assert.deepEqual(order.orderAllocations.map(item => [item.code, item.discountedAmount.amount]), [['SAVE10', '2.00']]);
+    assert.deepEqual(order.lines.map(line => line.discountAllocations.length), [1, 0]);
+    assert.equal(order.lines[0].unitPrice, '12.00');
+    assert.deepEqual(order.refunds.map(refund => [refund.id, refund.shipping]), [
+      ['gid://shopify/Refund/1', '0.00'],
+      ['gid://shopify/Refund/2', '5.00']
+    ]);
+    assert.equal(order.snapshot, null);
+  });
+
+  it('is null for an order that does not exist', async () => {
+    assert.equal(await getOrderForConversion(SESSION, 'gid://shopify/Order/404'), null);
+  });
+});
+
+describe('writeOrderSnapshot', () => {
+  it('writes the snapshot once and leaves an up-to-date one alone', async () => {
+    const first = await writeOrderSnapshot(SESSION, ORDER_ID);
+    assert.equal(first.status, 'written');
+    assert.equal(first.snapshot.rate, DEFAULT_SETTINGS.rate);
+    assert.equal(first.snapshot.refunds.refunds.length, 2);
+    assert.equal(definitionRequests, 1);
+
+    assert.equal((await writeOrderSnapshot(SESSION, ORDER_ID)).status, 'unchanged');
+    assert.equal(snapshotWrites, 1);
+  });
+
+  it('keeps the purchase-time rate unless forced', async () => {
+    await writeOrderSnapshot(SESSION, ORDER_ID);
+    await saveShopSettings(SESSION.shop, { ...DEFAULT_SETTINGS, rate: 2 });
+
+    assert.equal((await writeOrderSnapshot(SESSION, ORDER_ID)).status, 'unchanged');
+    const forced = await writeOrderSnapshot(SESSION, ORDER_ID, { force: true });
+    assert.equal(forced.status, 'written');
+    assert.equal(forced.snapshot.rate, 2);
+  });
+
+  it('reports a missing order', async () => {
+    assert.deepEqual(await writeOrderSnapshot(SESSION, 'gid://shopify/Order/404'), { status: 'missing', snapshot: null });
+  });
+});
+
+describe('getOrderConversion', () => {
+  it('recomputes orders without a snapshot and uses the stored one after', async () => {
+    const recomputed = await getOrderConversion(SESSION, ORDER_ID);
+    assert.equal(recomputed.source, 'recomputed');
+    assert.equal(recomputed.convertedCurrency, 'EUR');
+    assert.equal(recomputed.takenAt, null);
+
+    await writeOrderSnapshot(SESSION, ORDER_ID);
+    await saveShopSettings(SESSION.shop, { ...DEFAULT_SETTINGS, rate: 2 });
+    const fromSnapshot = await getOrderConversion(SESSION, ORDER_ID);
+    assert.equal(fromSnapshot.source, 'snapshot');
+    assert.equal(fromSnapshot.settings.rate, DEFAULT_SETTINGS.rate);
+    assert.deepEqual(fromSnapshot.lines.map(line => line.converted), recomputed.lines.map(line => line.converted));
+  });
+});
+
+describe('webhookOrderId', () => {
+  it('finds the order in every webhook payload it handles', () => {
+    assert.equal(webhookOrderId({ id: 1, admin_graphql_api_id: ORDER_ID }), ORDER_ID);
+    assert.equal(webhookOrderId({ id: 1 }), ORDER_ID);
+    assert.equal(webhookOrderId({ id: 9, order_id: 1 }), ORDER_ID);
+    assert.equal(webhookOrderId({ order_edit: { id: 9, order_id: 1 } }), ORDER_ID);
+    assert.equal(webhookOrderId({}), null);
+  });
+});
@@ -0,0 +1,160 @@
+// test/order-snapshot.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ORDER_SNAPSHOT_VERSION,
+  conversionSnapshot,
+  parseOrderSnapshot,
+  orderConversionSettings,
+  buildOrderSnapshot,
+  snapshotConversion,
+  convertRefunds,
+  snapshotRefunds
+} from '../shared/order-snapshot.js';
+import { DEFAULT_SETTINGS } from '../shared/settings.js';
+
+const SETTINGS = { ...DEFAULT_SETTINGS, reconciliation: 'largest-remainder' };
+
+// A lev order with VAT included in the prices
+const ORDER = {
+  id: 'gid://shopify/Order/1',
+  processedAt: '2025-09-01T10:00:00Z',
+  currencyCode: 'BGN',
+  lines: [
+    { id: 'l1', title: 'Шапка', quantity: 1, totalAmount: '19.99', discountAllocations: [] },
+    { id: 'l2', title: 'Книга', quantity: 2, totalAmount: '5.00', discountAllocations: [] }
+  ],
+  orderAllocations: [],
+  subtotal: '24.99',
+  shipping: '5.00',
+  tax: '5.00',
+  total: '29.99',
+  refunds: []
+};
+
+describe('conversionSnapshot and parseOrderSnapshot', () => {
+  it('record the pair and rate in effect for the order', () => {
+    const snapshot = conversionSnapshot(SETTINGS, { currencyCode: 'BGN', takenAt: ORDER.processedAt });
+    assert.equal(snapshot.version, ORDER_SNAPSHOT_VERSION);
+    assert.equal(snapshot.convertedCurrency, 'EUR');
+    assert.equal(snapshot.rate, SETTINGS.rate);
+    assert.equal(snapshot.labels, undefined);
+    assert.deepEqual(parseOrderSnapshot(JSON.stringify(snapshot)), snapshot);
+  });
+
+  it('ignore values that are not a snapshot of this version', () => {
+    assert.equal(parseOrderSnapshot(null), null);
+    assert.equal(parseOrderSnapshot('{'), null);
+    assert.equal(parseOrderSnapshot({ version: ORDER_SNAPSHOT_VERSION + 1, rate: 2 }), null);
+    assert.equal(parseOrderSnapshot({ version: ORDER_SNAPSHOT_VERSION, rate: 0 }), null);
+  });
+});
+
+describe('orderConversionSettings', () => {
+  it('takes the pair and rate from the snapshot and the rest from the shop', () => {
+    const snapshot = conversionSnapshot({ ...SETTINGS, rate: 2 }, { currencyCode: 'BGN', takenAt: ORDER.processedAt });
+    const settings = orderConversionSettings({ ...SETTINGS, numberLocale: 'en' }, snapshot);
+    assert.equal(settings.rate, 2);
+    assert.equal(settings.numberLocale, 'en');
+  });
+
+  it('uses the shop settings for orders without a snapshot', () => {
+    assert.equal(orderConversionSettings(SETTINGS, null), SETTINGS);
+  });
+});
+
+describe('buildOrderSnapshot and snapshotConversion', () => {
+  const snapshot = buildOrderSnapshot(ORDER, SETTINGS);
+
+  it('converts every line and row, adding up to the converted total', () => {
+    assert.deepEqual(snapshot.lines.map(line => line.converted), ['10.22', '2.56']);
+    assert.deepEqual(snapshot.rows.map(row => [row.type, row.converted]), [
+      ['subtotal', '12.78'],
+      ['shipping', '2.55'],
+      ['tax', '2.56'],
+      ['total', '15.33']
+    ]);
+  });
+
+  it('gives back the stored conversion while the order is unchanged', () => {
+    const stored = snapshotConversion(JSON.parse(JSON.stringify(snapshot)), ORDER);
+    assert.equal(stored.currencyCode, 'EUR');
+    assert.deepEqual(stored.lines, ['10.22', '2.56']);
+    assert.equal(stored.rows.at(-1).converted, '15.33');
+  });
+
+  it('is not used once the order was edited', () => {
+    const edited = { ...ORDER, lines: [ORDER.lines[0]], subtotal: '19.99', total: '24.99' };
+    assert.equal(snapshotConversion(snapshot, edited), null);
+    assert.equal(snapshotConversion(snapshot, { ...ORDER, total: '30.00' }), null);
+  });
+
+  it('has nothing converted for an order outside the pair', () => {
+    const usd = buildOrderSnapshot({ ...ORDER, currencyCode: 'USD' }, SETTINGS);
+    assert.equal(usd.convertedCurrency, null);
+    assert.ok(usd.lines.every(line => line.converted === null));
+    assert.equal(snapshotConversion(usd, ORDER), null);
+  });
+});
+
+describe('convertRefunds', () => {
+  const ORDER_TOTALS = { currencyCode: 'BGN', total: '29.99', convertedOrderTotal: '15.33' };
+  const REFUNDS = [
+    // The returned book with its VAT share, and the shipping
+    {
+      id: 'r1',
+      createdAt: '2025-09-02T10:00:00Z',
+      lines: [{ title: 'Книга', quantity: 1, amount: '2.00' }],
+      shipping: '5.00',
+      adjustments: [],
+      total: '7.50'
+    },
+    { id: 'r2', createdAt: '2025-09-03T10:00:00Z', total: '1.00' }
+  ];
+
+  it('adds the tax refunded on top of the parts as its own row', () => {
+    const { refunds } = convertRefunds(REFUNDS, ORDER_TOTALS, SETTINGS);
+    assert.deepEqual(refunds[0].rows.map(row => [row.type, row.amount]), [
+      ['line', '2.00'],
+      ['shipping', '5.00'],
+      ['tax', '0.50']
+    ]);
+    assert.deepEqual(refunds[1].rows, []);
+  });
+
+  it('spreads each converted refund over its rows', () => {
+    const { refunds } = convertRefunds(REFUNDS, ORDER_TOTALS, SETTINGS);
+    const [first] = refunds;
+    assert.equal(first.converted, '3.83');
+    const sum = first.rows.reduce((total, row) => total + Math.round(Number(row.converted) * 100), 0);
+    assert.equal(sum, 383);
+  });
+
+  it('gives the net paid from the converted order total', () => {
+    const { refunded, netPaid } = convertRefunds(REFUNDS, ORDER_TOTALS, SETTINGS);
+    assert.deepEqual(refunded, { amount: '8.50', converted: '4.34' });
+    assert.deepEqual(netPaid, { amount: '21.49', converted: '10.99' });
+  });
+
+  it('converts nothing outside the pair', () => {
+    const { refunds, netPaid } = convertRefunds(REFUNDS, { ...ORDER_TOTALS, currencyCode: 'USD' }, SETTINGS);
+    assert.equal(refunds[0].converted, null);
+    assert.ok(refunds[0].rows.every(row => row.converted === null));
+    assert.deepEqual(netPaid, { amount: '21.49', converted: null });
+  });
+});
+
+describe('snapshotRefunds', () => {
+  const refunded = { ...ORDER, refunds: [{ id: 'r1', createdAt: '2025-09-02T10:00:00Z', total: '5.00', shipping: '5.00' }] };
+  const snapshot = buildOrderSnapshot(refunded, SETTINGS);
+
+  it('gives back the stored refunds while they are the refunds of the order', () => {
+    assert.equal(snapshotRefunds(snapshot, refunded).refunds[0].converted, '2.56');
+  });
+
+  it('is not used once the order has another refund', () => {
+    const later = { ...refunded, refunds: [...refunded.refunds, { id: 'r2', total: '1.00' }] };
+    assert.equal(snapshotRefunds(snapshot, later), null);
+    assert.equal(snapshotRefunds(snapshot, { ...refunded, refunds: [{ id: 'r3', total: '5.00' }] }), null);
+  });
+});
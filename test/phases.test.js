@@ -0,0 +1,109 @@
+// test/phases.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PHASE_DATES,
+  displayPhase,
+  daysUntilSwitch,
+  applyDisplayPhase,
+  formatPhaseDate,
+  phaseNotice
+} from '../shared/phases.js';
+
+const SETTINGS = {
+  primaryCurrency: 'BGN',
+  secondaryCurrency: 'EUR',
+  phaseDates: DEFAULT_PHASE_DATES,
+  phasesEnabled: true,
+  postPeriodDisplay: 'hide',
+  locale: 'bg'
+};
+
+// Sofia is UTC+3 in August and UTC+2 in January
+const PERIOD_START = new Date('2025-08-07T21:00:00Z');
+const SWITCH = new Date('2025-12-31T22:00:00Z');
+const PERIOD_END = new Date('2026-08-08T21:00:00Z');
+const before = (date) => new Date(date.getTime() - 1000);
+
+describe('displayPhase', () => {
+  it('starts every phase at Sofia midnight', () => {
+    assert.equal(displayPhase(SETTINGS, before(PERIOD_START)), 'before-period');
+    assert.equal(displayPhase(SETTINGS, PERIOD_START), 'pre-switch');
+    assert.equal(displayPhase(SETTINGS, before(SWITCH)), 'pre-switch');
+    assert.equal(displayPhase(SETTINGS, SWITCH), 'post-switch');
+    assert.equal(displayPhase(SETTINGS, before(PERIOD_END)), 'post-switch');
+    assert.equal(displayPhase(SETTINGS, PERIOD_END), 'post-period');
+  });
+
+  it('does not depend on which side of the pair the lev is', () => {
+    const swapped = { ...SETTINGS, primaryCurrency: 'EUR', secondaryCurrency: 'BGN' };
+    assert.equal(displayPhase(swapped, SWITCH), 'post-switch');
+  });
+
+  it('only applies to the lev/euro pair', () => {
+    assert.equal(displayPhase({ ...SETTINGS, primaryCurrency: 'RON' }, SWITCH), null);
+  });
+});
+
+describe('daysUntilSwitch', () => {
+  it('counts Sofia calendar days', () => {
+    assert.equal(daysUntilSwitch(SETTINGS, new Date('2025-12-30T21:59:59Z')), 2);
+    assert.equal(daysUntilSwitch(SETTINGS, new Date('2025-12-30T22:00:00Z')), 1);
+    assert.equal(daysUntilSwitch(SETTINGS, SWITCH), 0);
+  });
+});
+
+describe('applyDisplayPhase', () => {
+  it('shows the lev first before the switch and the euro after it', () => {
+    assert.equal(applyDisplayPhase(SETTINGS, PERIOD_START).currencyOrder, 'primary');
+    assert.equal(applyDisplayPhase(SETTINGS, SWITCH).currencyOrder, 'secondary');
+
+    const swapped = { ...SETTINGS, primaryCurrency: 'EUR', secondaryCurrency: 'BGN' };
+    assert.equal(applyDisplayPhase(swapped, SWITCH).currencyOrder, 'primary');
+  });
+
+  it('keeps an order a block fixed', () => {
+    const fixed = { ...SETTINGS, currencyOrder: 'primary', fixedCurrencyOrder: true };
+    assert.equal(applyDisplayPhase(fixed, SWITCH).currencyOrder, 'primary');
+  });
+
+  it('hides the display or keeps only the euro after the period', () => {
+    const hidden = applyDisplayPhase(SETTINGS, PERIOD_END);
+    assert.equal(hidden.dualDisplay, false);
+
+    const euroOnly = applyDisplayPhase({ ...SETTINGS, postPeriodDisplay: 'euro-only' }, PERIOD_END);
+    assert.equal(euroOnly.dualDisplay, true);
+    assert.equal(euroOnly.singleCurrency, 'EUR');
+  });
+
+  it('only records the phase when the phases are off', () => {
+    const result = applyDisplayPhase({ ...SETTINGS, phasesEnabled: false, currencyOrder: 'primary' }, PERIOD_END);
+    assert.equal(result.phase, 'post-period');
+    assert.equal(result.currencyOrder, 'primary');
+    assert.equal(result.dualDisplay, true);
+    assert.equal(result.singleCurrency, null);
+  });
+});
+
+describe('phase notices', () => {
+  it('formats phase dates in the settings locale', () => {
+    assert.equal(formatPhaseDate('2026-01-01', SETTINGS), '1 януари 2026 г.');
+    assert.equal(formatPhaseDate('2026-08-08', { locale: 'en' }), 'August 8, 2026');
+  });
+
+  it('counts down to the switch, then names the last dual-display day', () => {
+    const settings = { ...SETTINGS, showEuroSwitch: true };
+    assert.deepEqual(phaseNotice({ ...settings, phase: 'pre-switch' }, new Date('2025-12-01T10:00:00Z')), {
+      key: 'euroSwitch.countdown',
+      values: { count: 31, date: '1 януари 2026 г.' }
+    });
+    assert.deepEqual(phaseNotice({ ...settings, phase: 'post-switch' }), {
+      key: 'euroSwitch.adopted',
+      values: { date: '1 януари 2026 г.', until: '8 август 2026 г.' }
+    });
+  });
+
+  it('shows nothing when the block turned the notice off', () => {
+    assert.equal(phaseNotice({ ...SETTINGS, showEuroSwitch: false, phase: 'pre-switch' }), null);
+  });
+});
@@ -0,0 +1,131 @@
+// test/price-conversion.test.js
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-conversion-'));
+process.env.DATA_DIR = dataDir;
+const {
+  conversionOptionsFromSettings,
+  convertVariantPrices,
+  buildConversionPlan,
+  runPriceConversion,
+  restorePriceSnapshot,
+  getPriceSnapshot
+} = await import('../server/price-conversion.js');
+const { DEFAULT_SETTINGS } = await import('../shared/settings.js');
+
+const SESSION = { shop: 'shop.myshopify.com', accessToken: 'token' };
+const OPTIONS = conversionOptionsFromSettings(DEFAULT_SETTINGS);
+
+// A variant as the Admin API returns it
+const variant = (id, price, compareAtPrice = null) => ({
+  id: `gid://shopify/ProductVariant/${id}`,
+  title: `Вариант ${id}`,
+  sku: `SKU-${id}`,
+  price,
+  compareAtPrice,
+  manualPrice: null,
+  product: {
+    id: 'gid://shopify/Product/1',
+    title: 'Шапка',
+    tags: [],
+    collections: { edges: [] }
+  }
+});
+
+// The catalog the Admin API stub serves, and the price updates it received
+let catalog = [];
+let updates = [];
+globalThis.fetch = async (url, options) => {
+  const { query, variables } = JSON.parse(options.body);
+  let data;
+  if (query.includes('productVariantsCount')) {
+    data = { productVariantsCount: { count: catalog.length } };
+  } else if (query.includes('query Variants')) {
+    data = { productVariants: { nodes: catalog, pageInfo: { hasNextPage: false, endCursor: null } } };
+  } else if (query.includes('UpdateVariantPrices')) {
+    updates.push(...variables.variants);
+    for (const update of variables.variants) {
+      Object.assign(catalog.find(item => item.id === update.id), { price: update.price, compareAtPrice: update.compareAtPrice });
+    }
+    data = { productVariantsBulkUpdate: { userErrors: [] } };
+  }
+  return { ok: true, status: 200, json: async () => ({ data }) };
+};
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const normalized = (item) => ({
+  ...item,
+  product: { ...item.product, collections: [] }
+});
+
+describe('conversionOptionsFromSettings', () => {
+  it('converts from the primary into the secondary currency', () => {
+    assert.deepEqual(OPTIONS, {
+      from: 'BGN',
+      to: 'EUR',
+      rate: DEFAULT_SETTINGS.rate,
+      rateBase: 'EUR',
+      roundingMode: 'half-up',
+      priceEndings: DEFAULT_SETTINGS.priceEndings
+    });
+  });
+});
+
+describe('convertVariantPrices', () => {
+  it('converts the price and compare-at price at the fixed rate', () => {
+    const result = convertVariantPrices(normalized(variant(1, '19.99', '29.99')), OPTIONS);
+    assert.deepEqual(result.price, { old: '19.99', converted: '10.22', new: '10.22' });
+    assert.deepEqual(result.compareAtPrice, { old: '29.99', converted: '15.33', new: '15.33' });
+    assert.equal(result.priceEnding.flagged, false);
+  });
+
+  it('leaves a missing compare-at price empty', () => {
+    const result = convertVariantPrices(normalized(variant(1, '10.00')), OPTIONS);
+    assert.deepEqual(result.compareAtPrice, { old: null, converted: null, new: null });
+  });
+
+  it('follows the rounding mode', () => {
+    const result = convertVariantPrices(normalized(variant(1, '19.99')), { ...OPTIONS, roundingMode: 'up' });
+    assert.equal(result.price.new, '10.23');
+  });
+});
+
+describe('buildConversionPlan', () => {
+  it('leaves out variants whose prices would not change', () => {
+    const variants = [normalized(variant(1, '19.99')), normalized(variant(2, '5.00'))];
+    assert.equal(buildConversionPlan(variants, OPTIONS).length, 2);
+    assert.deepEqual(buildConversionPlan(variants, { ...OPTIONS, to: 'BGN' }), []);
+  });
+});
+
+describe('runPriceConversion and restorePriceSnapshot', () => {
+  beforeEach(() => {
+    catalog = [variant(1, '19.99', '29.99'), variant(2, '5.00')];
+    updates = [];
+  });
+
+  it('snapshots the old prices, writes the new ones and puts them back', async () => {
+    const plan = await runPriceConversion(SESSION, OPTIONS);
+    assert.equal(plan.length, 2);
+    assert.deepEqual(updates.map(update => update.price), ['10.22', '2.56']);
+    assert.deepEqual(catalog.map(item => item.price), ['10.22', '2.56']);
+
+    const snapshot = await getPriceSnapshot(SESSION.shop);
+    assert.deepEqual(snapshot.variants.map(item => [item.price, item.compareAtPrice]), [['19.99', '29.99'], ['5.00', null]]);
+
+    await assert.rejects(runPriceConversion(SESSION, OPTIONS), /price snapshot from a previous conversion exists/);
+
+    await restorePriceSnapshot(SESSION);
+    assert.deepEqual(catalog.map(item => [item.price, item.compareAtPrice]), [['19.99', '29.99'], ['5.00', null]]);
+    assert.equal(await getPriceSnapshot(SESSION.shop), undefined);
+  });
+
+  it('has nothing to restore without a snapshot', async () => {
+    await assert.rejects(restorePriceSnapshot(SESSION), /No price snapshot to restore/);
+  });
+});
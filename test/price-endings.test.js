@@ -0,0 +1,101 @@
+// test/price-endings.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PRICE_ENDINGS,
+  resolvePriceEndingRule,
+  applyPriceEnding,
+  exceedsLegalTolerance,
+  validatePriceEndings
+} from '../shared/price-endings.js';
+
+const rule = (overrides) => ({ ...DEFAULT_PRICE_ENDINGS, ...overrides });
+
+describe('applyPriceEnding', () => {
+  it('keeps the converted price without an ending', () => {
+    const result = applyPriceEnding('10.22', rule({ ending: 'none' }));
+    assert.equal(result.amount, '10.22');
+    assert.equal(result.deviation, '0.00');
+  });
+
+  it('moves to the nearest ending', () => {
+    assert.equal(applyPriceEnding('10.22', rule({ ending: '99' })).amount, '9.99');
+    assert.equal(applyPriceEnding('10.40', rule({ ending: '49-99' })).amount, '10.49');
+    assert.equal(applyPriceEnding('10.22', rule({ ending: '05' })).amount, '10.20');
+  });
+
+  it('goes only up or down when told to', () => {
+    assert.equal(applyPriceEnding('10.22', rule({ ending: '99', direction: 'up', maxDeviation: 1 })).amount, '10.99');
+    assert.equal(applyPriceEnding('10.22', rule({ ending: '05', direction: 'down' })).amount, '10.20');
+    assert.equal(applyPriceEnding('10.22', rule({ ending: '05', direction: 'up' })).amount, '10.25');
+  });
+
+  it('keeps the converted price when the ending is beyond the allowed deviation', () => {
+    const result = applyPriceEnding('10.22', rule({ ending: '99', direction: 'up' }));
+    assert.equal(result.amount, '10.22');
+    assert.equal(result.capped, true);
+  });
+
+  it('flags a rise above the legal tolerance', () => {
+    const result = applyPriceEnding('10.22', rule({ ending: '49-99', direction: 'up' }));
+    assert.equal(result.amount, '10.49');
+    assert.equal(result.flagged, true);
+    assert.equal(applyPriceEnding('10.22', rule({ ending: '99' })).flagged, false);
+  });
+
+  it('leaves currencies without two decimals alone', () => {
+    assert.equal(applyPriceEnding('1022', rule({ ending: '99' }), 0).amount, '1022');
+  });
+});
+
+describe('exceedsLegalTolerance', () => {
+  it('allows a rise up to the tolerance', () => {
+    assert.equal(exceedsLegalTolerance('10.23', '10.22', DEFAULT_PRICE_ENDINGS), false);
+    assert.equal(exceedsLegalTolerance('10.24', '10.22', DEFAULT_PRICE_ENDINGS), true);
+    assert.equal(exceedsLegalTolerance('9.99', '10.22', DEFAULT_PRICE_ENDINGS), false);
+  });
+});
+
+describe('resolvePriceEndingRule', () => {
+  const config = rule({
+    ending: '99',
+    overrides: [{ tag: 'sale', ending: 'none' }, { collection: 'premium', ending: '49-99', direction: 'up' }]
+  });
+
+  it('uses the base rule when no override matches', () => {
+    const resolved = resolvePriceEndingRule(config, { tags: ['new'] });
+    assert.equal(resolved.ending, '99');
+    assert.equal(resolved.override, undefined);
+  });
+
+  it('applies the first override matching a tag or collection', () => {
+    assert.equal(resolvePriceEndingRule(config, { tags: ['sale'], collections: ['premium'] }).override, 'tag:sale');
+    const resolved = resolvePriceEndingRule(config, { collections: ['premium'] });
+    assert.equal(resolved.ending, '49-99');
+    assert.equal(resolved.direction, 'up');
+    assert.equal(resolved.maxDeviation, DEFAULT_PRICE_ENDINGS.maxDeviation);
+    assert.equal(resolved.override, 'collection:premium');
+  });
+});
+
+describe('validatePriceEndings', () => {
+  it('accepts the defaults', () => {
+    assert.deepEqual(validatePriceEndings(DEFAULT_PRICE_ENDINGS), []);
+  });
+
+  it('reports invalid rules and overrides by field', () => {
+    const errors = validatePriceEndings(rule({
+      ending: '95',
+      minDeviation: 0.5,
+      legalTolerance: -1,
+      overrides: [{ tag: 'sale', collection: 'premium' }, { tag: 'sale', direction: 'sideways' }]
+    }));
+    assert.deepEqual(errors.map(error => error.field), [
+      'priceEndings.ending',
+      'priceEndings.minDeviation',
+      'priceEndings.legalTolerance',
+      'priceEndings.overrides.0',
+      'priceEndings.overrides.1.direction'
+    ]);
+  });
+});
@@ -0,0 +1,137 @@
+// test/price-overrides.test.js
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-overrides-'));
+process.env.DATA_DIR = dataDir;
+const { getProductPricePreview, saveProductPriceOverrides } = await import('../server/price-overrides.js');
+const { convertVariantPrices, conversionOptionsFromSettings } = await import('../server/price-conversion.js');
+const { parsePriceOverride, priceOverrideAmount, priceOverrideValue } = await import('../shared/price-overrides.js');
+const { DEFAULT_SETTINGS } = await import('../shared/settings.js');
+
+const SESSION = { shop: 'shop.myshopify.com', accessToken: 'token' };
+const PRODUCT_ID = 'gid://shopify/Product/1';
+const VARIANT_IDS = ['gid://shopify/ProductVariant/1', 'gid://shopify/ProductVariant/2'];
+
+// Variant metafields as the Admin API stub stores them
+let metafields = new Map();
+globalThis.fetch = async (url, options) => {
+  const { query, variables } = JSON.parse(options.body);
+  let data;
+  if (query.includes('query ProductVariants')) {
+    data = {
+      product: variables.id === PRODUCT_ID
+        ? {
+          variants: {
+            nodes: VARIANT_IDS.map((id, index) => ({
+              id,
+              title: `Вариант ${index + 1}`,
+              sku: null,
+              price: '19.99',
+              compareAtPrice: null,
+              manualPrice: metafields.has(id) ? { value: metafields.get(id) } : null,
+              product: { id: PRODUCT_ID, title: 'Шапка', tags: [], collections: { edges: [] } }
+            }))
+          }
+        }
+        : null
+    };
+  } else if (query.includes('SetPriceOverrides')) {
+    variables.metafields.forEach(metafield => metafields.set(metafield.ownerId, metafield.value));
+    data = { metafieldsSet: { userErrors: [] } };
+  } else if (query.includes('DeletePriceOverrides')) {
+    variables.metafields.forEach(metafield => metafields.delete(metafield.ownerId));
+    data = { metafieldsDelete: { userErrors: [] } };
+  }
+  return { ok: true, status: 200, json: async () => ({ data }) };
+};
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+beforeEach(() => {
+  metafields = new Map();
+});
+
+describe('parsePriceOverride and priceOverrideAmount', () => {
+  it('read the metafield value', () => {
+    const override = parsePriceOverride('{"amount":"9.99","currencyCode":"EUR"}');
+    assert.deepEqual(override, { amount: '9.99', currencyCode: 'EUR' });
+    assert.equal(priceOverrideAmount(override, 'EUR'), '9.99');
+    assert.equal(priceOverrideAmount(override, 'BGN'), null);
+  });
+
+  it('ignore invalid values', () => {
+    assert.equal(parsePriceOverride('{'), null);
+    assert.equal(parsePriceOverride({ amount: '0', currencyCode: 'EUR' }), null);
+    assert.equal(parsePriceOverride({ amount: '9.99', currencyCode: 'euro' }), null);
+  });
+});
+
+describe('priceOverrideValue', () => {
+  it('takes a comma or a dot as the decimal separator', () => {
+    assert.deepEqual(priceOverrideValue(' 9,9 ', 'EUR'), { amount: '9.90', currencyCode: 'EUR' });
+    assert.deepEqual(priceOverrideValue('10', 'EUR'), { amount: '10.00', currencyCode: 'EUR' });
+  });
+
+  it('rejects anything but a positive amount', () => {
+    assert.equal(priceOverrideValue('0', 'EUR'), null);
+    assert.equal(priceOverrideValue('-1', 'EUR'), null);
+    assert.equal(priceOverrideValue('9.99 €', 'EUR'), null);
+  });
+});
+
+describe('convertVariantPrices with a manual price', () => {
+  const options = conversionOptionsFromSettings(DEFAULT_SETTINGS);
+  const variant = (amount) => ({
+    id: VARIANT_IDS[0],
+    price: '19.99',
+    compareAtPrice: null,
+    manualPrice: { amount, currencyCode: 'EUR' },
+    product: { id: PRODUCT_ID, tags: [], collections: [] }
+  });
+
+  it('replaces the converted price', () => {
+    const result = convertVariantPrices(variant('9.99'), options);
+    assert.deepEqual(result.price, { old: '19.99', converted: '10.22', new: '9.99' });
+    assert.equal(result.manualPrice, '9.99');
+    assert.equal(result.priceEnding.flagged, false);
+  });
+
+  it('is flagged when it raises the price', () => {
+    assert.equal(convertVariantPrices(variant('10.50'), options).priceEnding.flagged, true);
+  });
+});
+
+describe('saveProductPriceOverrides and getProductPricePreview', () => {
+  it('saves and removes manual prices in the converted currency', async () => {
+    assert.deepEqual(await saveProductPriceOverrides(SESSION, PRODUCT_ID, { [VARIANT_IDS[0]]: '9,99', [VARIANT_IDS[1]]: '' }), {
+      saved: 1,
+      removed: 1
+    });
+
+    const preview = await getProductPricePreview(SESSION, PRODUCT_ID);
+    assert.equal(preview.convertedCurrency, 'EUR');
+    assert.deepEqual(preview.variants.map(item => item.price.new), ['9.99', '10.22']);
+
+    await saveProductPriceOverrides(SESSION, PRODUCT_ID, { [VARIANT_IDS[0]]: ' ' });
+    assert.equal(metafields.size, 0);
+  });
+
+  it('rejects other products\' variants and invalid amounts, saving nothing', async () => {
+    const error = await saveProductPriceOverrides(SESSION, PRODUCT_ID, {
+      [VARIANT_IDS[0]]: '9.99',
+      [VARIANT_IDS[1]]: 'abc',
+      'gid://shopify/ProductVariant/9': '1.00'
+    }).catch(caught => caught);
+    assert.deepEqual(error.fieldErrors.map(item => item.field), [VARIANT_IDS[1], 'gid://shopify/ProductVariant/9']);
+    assert.equal(metafields.size, 0);
+  });
+
+  it('is null for a product that does not exist', async () => {
+    assert.equal(await getProductPricePreview(SESSION, 'gid://shopify/Product/404'), null);
+    assert.equal(await saveProductPriceOverrides(SESSION, 'gid://shopify/Product/404', {}), null);
+  });
+});
@@ -0,0 +1,189 @@
+// test/rates.test.js
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+
+// The file provider stands in for a rate service; a short TTL lets the tests
+// watch the cache expire. Both are read when the module loads.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rates-'));
+const ratesFile = path.join(dataDir, 'rates.json');
+const TTL = 100;
+process.env.DATA_DIR = dataDir;
+process.env.RATES_FILE = ratesFile;
+process.env.RATES_TTL_MS = String(TTL);
+const { getRateTable, resolvePairRate, getPairRateHistory, applyProviderRate } = await import('../server/rates.js');
+
+const writeRates = (table) => fs.writeFileSync(ratesFile, typeof table === 'string' ? table : JSON.stringify(table));
+const expireCache = () => sleep(TTL + 20);
+
+const quietly = async (callback) => {
+  const original = console.error;
+  console.error = () => {};
+  try {
+    return await callback();
+  } finally {
+    console.error = original;
+  }
+};
+
+// Lev/leu pair priced in leva, rates quoted per euro by the file
+const SETTINGS = {
+  primaryCurrency: 'BGN',
+  secondaryCurrency: 'RON',
+  rateBase: 'BGN',
+  rate: 2.5,
+  rateProvider: 'file',
+  manualRates: {}
+};
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+describe('file provider', () => {
+  it('reads the table and adds its base currency', async () => {
+    writeRates({ date: '2025-01-09', base: 'EUR', rates: { BGN: 1.95583, RON: 4.97 } });
+    assert.deepEqual(await getRateTable('file', SETTINGS), {
+      date: '2025-01-09',
+      base: 'EUR',
+      rates: { BGN: 1.95583, RON: 4.97, EUR: 1 },
+      stale: false
+    });
+  });
+
+  it('serves the cached table until the TTL runs out', async () => {
+    writeRates({ date: '2025-01-10', base: 'EUR', rates: { BGN: 1.95583, RON: 4.98 } });
+    assert.equal((await getRateTable('file', SETTINGS)).date, '2025-01-09');
+
+    await expireCache();
+    assert.equal((await getRateTable('file', SETTINGS)).date, '2025-01-10');
+  });
+
+  it('falls back to the last table on record, marked stale', async () => {
+    writeRates('{');
+    await expireCache();
+    const table = await quietly(() => getRateTable('file', SETTINGS));
+    assert.equal(table.date, '2025-01-10');
+    assert.equal(table.stale, true);
+  });
+
+  it('rejects a table without a date, base or rates', async () => {
+    writeRates({ date: '10.01.2025', base: 'EUR', rates: {} });
+    await expireCache();
+    const table = await quietly(() => getRateTable('file', SETTINGS));
+    assert.equal(table.stale, true);
+  });
+});
+
+describe('resolvePairRate', () => {
+  before(async () => {
+    writeRates({ date: '2025-01-11', base: 'EUR', rates: { BGN: 1.95583, RON: 4.97 } });
+    await expireCache();
+  });
+
+  it('crosses the rate through the base of the table', async () => {
+    assert.deepEqual(await resolvePairRate(SETTINGS), {
+      rate: 2.5411206,
+      rateBase: 'BGN',
+      quote: 'RON',
+      provider: 'file',
+      date: '2025-01-11',
+      stale: false
+    });
+  });
+
+  it('keeps a fixed rate as entered', async () => {
+    const resolved = await resolvePairRate({ ...SETTINGS, rateProvider: 'fixed' });
+    assert.equal(resolved.rate, 2.5);
+    assert.equal(resolved.date, null);
+  });
+
+  it('fails when the table has no rate for the pair', async () => {
+    await assert.rejects(resolvePairRate({ ...SETTINGS, secondaryCurrency: 'USD' }), /No BGN\/USD rate/);
+  });
+
+  it('writes the provider rate into the settings', async () => {
+    const updated = await applyProviderRate(SETTINGS);
+    assert.equal(updated.rate, 2.5411206);
+    assert.equal(updated.rateDate, '2025-01-11');
+    assert.equal(updated.rateStale, false);
+
+    const fixed = await applyProviderRate({ ...SETTINGS, rateProvider: 'fixed' });
+    assert.equal(fixed.rate, 2.5);
+    assert.equal(fixed.rateDate, null);
+  });
+});
+
+describe('getPairRateHistory', () => {
+  it('lists the recorded days of the pair, oldest first', async () => {
+    assert.deepEqual(await getPairRateHistory(SETTINGS), [
+      { date: '2025-01-09', rate: 2.5411206 },
+      { date: '2025-01-10', rate: 2.5462336 },
+      { date: '2025-01-11', rate: 2.5411206 }
+    ]);
+    assert.deepEqual((await getPairRateHistory(SETTINGS, 1)).map(day => day.date), ['2025-01-11']);
+  });
+
+  it('has no history for fixed and manual rates', async () => {
+    assert.deepEqual(await getPairRateHistory({ ...SETTINGS, rateProvider: 'fixed' }), []);
+    assert.deepEqual(await getPairRateHistory({ ...SETTINGS, rateProvider: 'manual' }), []);
+  });
+});
+
+describe('manual provider', () => {
+  it('uses the rates from the settings, uncached', async () => {
+    const settings = { ...SETTINGS, rateProvider: 'manual', manualRates: { RON: 2.54 } };
+    assert.equal((await resolvePairRate(settings)).rate, 2.54);
+    assert.equal((await resolvePairRate({ ...settings, manualRates: { RON: 2.55 } })).rate, 2.55);
+  });
+});
+
+describe('bank providers', () => {
+  const originalFetch = globalThis.fetch;
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const respondWith = (text, ok = true) => {
+    globalThis.fetch = async () => ({ ok, status: ok ? 200 : 503, text: async () => text });
+  };
+
+  it('fails when a provider is down and nothing is on record', async () => {
+    respondWith('', false);
+    await assert.rejects(getRateTable('ecb', SETTINGS), /responded 503/);
+    await assert.rejects(getRateTable('nbp', SETTINGS), /Unknown rate provider: nbp/);
+  });
+
+  it('parses the ECB daily rates', async () => {
+    respondWith(`<Cube><Cube time='2025-01-10'>
+      <Cube currency='USD' rate='1.0305'/><Cube currency='RON' rate='4.9743'/>
+    </Cube></Cube>`);
+    assert.deepEqual(await getRateTable('ecb', SETTINGS), {
+      date: '2025-01-10',
+      base: 'EUR',
+      rates: { EUR: 1, USD: 1.0305, RON: 4.9743 },
+      stale: false
+    });
+  });
+
+  it('parses the BNB rates, given in leva per RATIO units', async () => {
+    respondWith(`<ROWSET>
+      <ROW><CODE>JPY</CODE><RATIO>100</RATIO><RATE>1.2</RATE><CURR_DATE>10.01.2025</CURR_DATE></ROW>
+      <ROW><CODE>RON</CODE><RATIO>10</RATIO><RATE>3.932</RATE><CURR_DATE>10.01.2025</CURR_DATE></ROW>
+    </ROWSET>`);
+    const table = await getRateTable('bnb', SETTINGS);
+    assert.equal(table.date, '2025-01-10');
+    assert.equal(table.base, 'BGN');
+    assert.equal(table.rates.JPY, 100 / 1.2);
+    assert.equal(table.rates.RON, 10 / 3.932);
+  });
+
+  it('falls back to the last ECB table when the ECB is down', async () => {
+    respondWith('', false);
+    await expireCache();
+    const table = await quietly(() => getRateTable('ecb', SETTINGS));
+    assert.equal(table.date, '2025-01-10');
+    assert.equal(table.stale, true);
+  });
+});
@@ -0,0 +1,55 @@
+// test/reconcile.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertReconciled } from '../shared/reconcile.js';
+
+const BGN_TO_EUR = { from: 'BGN', to: 'EUR', rate: 1.95583, rateBase: 'EUR' };
+
+// Each cent converts up to a cent, but three cents convert to two
+const CENTS = [['0.01', '0.01', '0.01'], '0.03'];
+
+describe('convertReconciled', () => {
+  it('leaves the difference when converting independently', () => {
+    assert.deepEqual(convertReconciled(...CENTS, { ...BGN_TO_EUR, mode: 'none' }), {
+      parts: ['0.01', '0.01', '0.01'],
+      total: '0.02',
+      difference: '-0.01'
+    });
+  });
+
+  it('reports the difference for a rounding row', () => {
+    const result = convertReconciled(...CENTS, { ...BGN_TO_EUR, mode: 'rounding-row' });
+    assert.equal(result.total, '0.02');
+    assert.equal(result.difference, '-0.01');
+  });
+
+  it('spreads the difference so the parts add up to the total', () => {
+    assert.deepEqual(convertReconciled(...CENTS, { ...BGN_TO_EUR, mode: 'largest-remainder' }), {
+      parts: ['0.01', '0.01', '0.00'],
+      total: '0.02',
+      difference: '0.00'
+    });
+  });
+
+  it('gives the units to the parts with the largest remainders', () => {
+    // 0.5113 and 1.5339 euro cents: only the second keeps its rounded-up cent
+    const result = convertReconciled(['0.01', '0.03'], '0.04', { ...BGN_TO_EUR, mode: 'largest-remainder' });
+    assert.deepEqual(result.parts, ['0.00', '0.02']);
+    assert.equal(result.total, '0.02');
+  });
+
+  it('converts the total on its own, whatever the mode', () => {
+    const parts = ['19.99', '5.00', '4.99'];
+    for (const mode of ['none', 'largest-remainder', 'rounding-row']) {
+      assert.equal(convertReconciled(parts, '29.98', { ...BGN_TO_EUR, mode }).total, '15.33');
+    }
+  });
+
+  it('only rounds parts in the same currency', () => {
+    assert.deepEqual(convertReconciled(['1.005', '2'], '3.005', { from: 'EUR', to: 'EUR', rate: 1 }), {
+      parts: ['1.01', '2.00'],
+      total: '3.01',
+      difference: '0.00'
+    });
+  });
+});
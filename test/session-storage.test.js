@@ -0,0 +1,120 @@
+// test/session-storage.test.js
+import { describe, it, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Session } from '@shopify/shopify-api';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-storage-'));
+process.env.DATA_DIR = dataDir;
+const {
+  createFileSessionStorage,
+  createMemorySessionStorage,
+  createSessionStorage
+} = await import('../server/session-storage.js');
+
+const offlineSession = (shop, accessToken = 'shpat_secret') => new Session({
+  id: `offline_${shop}`,
+  shop,
+  state: 'state',
+  isOnline: false,
+  scope: 'read_products',
+  accessToken
+});
+
+const quietly = async (callback) => {
+  const original = console.error;
+  console.error = () => {};
+  try {
+    return await callback();
+  } finally {
+    console.error = original;
+  }
+};
+
+describe('createFileSessionStorage', () => {
+  after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  it('loads a stored session as it was stored', async () => {
+    const storage = createFileSessionStorage({ encryptionKey: 'key-1' });
+    const session = offlineSession('a.myshopify.com');
+    session.expires = new Date('2026-01-01T00:00:00Z');
+    await storage.storeSession(session);
+
+    const loaded = await storage.loadSession(session.id);
+    assert.ok(loaded instanceof Session);
+    assert.equal(loaded.accessToken, 'shpat_secret');
+    assert.deepEqual(loaded.expires, session.expires);
+    assert.equal(await storage.loadSession('offline_none.myshopify.com'), undefined);
+  });
+
+  it('encrypts access tokens at rest', () => {
+    const raw = fs.readFileSync(path.join(dataDir, 'sessions.json'), 'utf8');
+    assert.ok(!raw.includes('shpat_secret'));
+    assert.match(JSON.parse(raw)['offline_a.myshopify.com'].accessToken, /^[^:]+:[^:]+:[^:]+$/);
+  });
+
+  it('drops the token when the key changed, so token exchange runs again', async () => {
+    const storage = createFileSessionStorage({ encryptionKey: 'key-2' });
+    const loaded = await quietly(() => storage.loadSession('offline_a.myshopify.com'));
+    assert.equal(loaded.shop, 'a.myshopify.com');
+    assert.equal(loaded.accessToken, undefined);
+  });
+
+  it('finds and deletes the sessions of a shop', async () => {
+    const storage = createFileSessionStorage({ encryptionKey: 'key-1' });
+    await storage.storeSession(offlineSession('b.myshopify.com', 'shpat_b'));
+
+    const sessions = await storage.findSessionsByShop('b.myshopify.com');
+    assert.deepEqual(sessions.map(session => session.accessToken), ['shpat_b']);
+
+    await storage.deleteSession('offline_b.myshopify.com');
+    assert.deepEqual(await storage.findSessionsByShop('b.myshopify.com'), []);
+  });
+});
+
+describe('createMemorySessionStorage', () => {
+  it('keeps sessions until deleted', async () => {
+    const storage = createMemorySessionStorage();
+    const session = offlineSession('c.myshopify.com');
+    await storage.storeSession(session);
+    assert.equal(await storage.loadSession(session.id), session);
+    assert.deepEqual(await storage.findSessionsByShop('c.myshopify.com'), [session]);
+
+    await storage.deleteSession(session.id);
+    assert.equal(await storage.loadSession(session.id), undefined);
+  });
+});
+
+describe('createSessionStorage', () => {
+  const env = { ...process.env };
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('selects the adapter from SESSION_STORAGE', () => {
+    process.env.SESSION_STORAGE = 'memory';
+    assert.ok(createSessionStorage().storage instanceof Map);
+
+    process.env.SESSION_STORAGE = 'file';
+    process.env.SESSION_ENCRYPTION_KEY = 'key-1';
+    assert.equal(createSessionStorage().storage, undefined);
+  });
+
+  it('refuses the file store on ephemeral disk in production', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.SESSION_STORAGE = 'file';
+    process.env.SESSION_ENCRYPTION_KEY = 'key-1';
+    delete process.env.DATA_DIR;
+    assert.throws(() => createSessionStorage(), /DATA_DIR/);
+
+    process.env.DATA_DIR = dataDir;
+    assert.doesNotThrow(() => createSessionStorage());
+  });
+
+  it('rejects an unknown adapter', () => {
+    process.env.SESSION_STORAGE = 'redis';
+    assert.throws(() => createSessionStorage(), /Unknown SESSION_STORAGE "redis"/);
+  });
+});
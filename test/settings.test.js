@@ -0,0 +1,109 @@
+// test/settings.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_SETTINGS,
+  LABEL_KEYS,
+  normalizeSettings,
+  parseSettingsMetafield,
+  resolveLabels,
+  validateSettings
+} from '../shared/settings.js';
+
+const fields = (errors) => errors.map(error => error.field);
+
+describe('labels', () => {
+  it('are empty by default, so the locale files provide them', () => {
+    assert.ok(LABEL_KEYS.every(key => DEFAULT_SETTINGS.labels[key] === ''));
+  });
+
+  it('keep whatever the merchant saved', () => {
+    const settings = normalizeSettings({ labels: { shipping: 'Доставка', total: 'Общо:' } });
+    assert.equal(settings.labels.shipping, 'Доставка');
+    assert.equal(settings.labels.total, 'Общо:');
+    assert.equal(settings.labels.tax, '');
+  });
+
+  it('fall back to the translation when left empty', () => {
+    const labels = resolveLabels({ ...DEFAULT_SETTINGS.labels, shipping: 'Доставка' }, key => `[${key}]`);
+    assert.equal(labels.shipping, 'Доставка');
+    assert.equal(labels.total, '[labels.total]');
+  });
+});
+
+describe('normalizeSettings', () => {
+  it('fills in missing keys and nested sections from the defaults', () => {
+    const settings = normalizeSettings({ rate: 2, sections: { refunds: false } });
+    assert.equal(settings.rate, 2);
+    assert.equal(settings.primaryCurrency, 'BGN');
+    assert.equal(settings.sections.refunds, false);
+    assert.equal(settings.sections.total, true);
+  });
+
+  it('reads the metafield value as JSON, and falls back to the defaults', () => {
+    assert.equal(parseSettingsMetafield('{"targetAlways":true}').targetAlways, true);
+    assert.deepEqual(parseSettingsMetafield('not json'), normalizeSettings({}));
+    assert.deepEqual(parseSettingsMetafield(null), normalizeSettings({}));
+  });
+});
+
+describe('validateSettings', () => {
+  it('accepts the defaults', () => {
+    assert.deepEqual(validateSettings({}).errors, []);
+  });
+
+  it('applies a partial update on top of the current settings', () => {
+    const current = validateSettings({ targetAlways: true }).settings;
+    const { settings, errors } = validateSettings({ sections: { refunds: false } }, current);
+    assert.deepEqual(errors, []);
+    assert.equal(settings.targetAlways, true);
+    assert.equal(settings.sections.refunds, false);
+    assert.equal(settings.sections.total, true);
+  });
+
+  it('rejects anything but an object', () => {
+    assert.deepEqual(fields(validateSettings([]).errors), [null]);
+  });
+
+  it('rejects unknown keys and the ones only the server sets', () => {
+    assert.deepEqual(fields(validateSettings({ colour: 'red', rateStale: true }).errors), ['colour', 'rateStale']);
+  });
+
+  it('normalizes currency codes and checks the pair', () => {
+    const { settings, errors } = validateSettings({ primaryCurrency: ' bgn ', secondaryCurrency: 'eur', rateBase: 'eur' });
+    assert.deepEqual(errors, []);
+    assert.equal(settings.primaryCurrency, 'BGN');
+    assert.equal(settings.rateBase, 'EUR');
+
+    assert.deepEqual(fields(validateSettings({ secondaryCurrency: 'BGN' }).errors), ['secondaryCurrency', 'rateBase']);
+    assert.deepEqual(fields(validateSettings({ rateBase: 'USD' }).errors), ['rateBase']);
+    assert.deepEqual(fields(validateSettings({ primaryCurrency: 'лв' }).errors), ['primaryCurrency']);
+  });
+
+  it('takes the rate as a positive number, also from a string', () => {
+    assert.equal(validateSettings({ rate: '1.95583' }).settings.rate, 1.95583);
+    assert.deepEqual(fields(validateSettings({ rate: 0 }).errors), ['rate']);
+    assert.deepEqual(fields(validateSettings({ rate: 'abc' }).errors), ['rate']);
+  });
+
+  it('trims and upper-cases the target countries and currencies', () => {
+    const { settings, errors } = validateSettings({ targetCountries: [' bg ', 'ro'], targetCurrencies: ['bgn'] });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(settings.targetCountries, ['BG', 'RO']);
+    assert.deepEqual(settings.targetCurrencies, ['BGN']);
+  });
+
+  it('reports each invalid target by its index', () => {
+    const { errors } = validateSettings({ targetCountries: ['BG', 'BGR'], targetMarkets: ['', 'bulgaria'], targetAlways: 'yes' });
+    assert.deepEqual(fields(errors), ['targetMarkets.0', 'targetCountries.1', 'targetAlways']);
+    assert.deepEqual(fields(validateSettings({ targetCurrencies: 'BGN' }).errors), ['targetCurrencies']);
+  });
+
+  it('checks labels and sections', () => {
+    const { errors } = validateSettings({
+      labels: { heading: 'x'.repeat(101), footer: 'Край' },
+      sections: { refunds: 'no', banner: true }
+    });
+    assert.deepEqual(fields(errors), ['labels.heading', 'labels.footer', 'sections.refunds', 'sections.banner']);
+  });
+});
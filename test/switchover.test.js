@@ -0,0 +1,194 @@
+// test/switchover.test.js
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'switchover-'));
+process.env.DATA_DIR = dataDir;
+const {
+  runPreflightChecks,
+  scheduleSwitchover,
+  cancelSwitchover,
+  getSwitchover,
+  deleteSwitchover,
+  startSwitchoverScheduler
+} = await import('../server/switchover.js');
+const { getShopSettings, deleteShopSettings } = await import('../server/settings.js');
+const { deletePriceSnapshot } = await import('../server/price-conversion.js');
+
+const SESSION = { shop: 'shop.myshopify.com', accessToken: 'token', isOnline: false };
+const SESSION_STORAGE = { findSessionsByShop: async () => [SESSION] };
+
+const quietly = async (callback) => {
+  const original = console.error;
+  console.error = () => {};
+  try {
+    return await callback();
+  } finally {
+    console.error = original;
+  }
+};
+
+// The shop the Admin API stub serves: a lev catalog and a non-primary
+// Bulgaria market with its own price list. Reads return copies, like the API.
+let shop;
+const resetShop = () => {
+  shop = {
+    currencyCode: 'BGN',
+    market: {
+      id: 'gid://shopify/Market/2',
+      name: 'България',
+      handle: 'bulgaria',
+      enabled: true,
+      primary: false,
+      currencySettings: { baseCurrency: { currencyCode: 'BGN' }, localCurrencies: false },
+      priceList: { id: 'gid://shopify/PriceList/3', currency: 'BGN' },
+      regions: { nodes: [{ code: 'BG' }] }
+    },
+    variants: [{
+      id: 'gid://shopify/ProductVariant/1',
+      title: 'Червена',
+      sku: 'HAT-1',
+      price: '19.99',
+      compareAtPrice: null,
+      manualPrice: null,
+      product: { id: 'gid://shopify/Product/1', title: 'Шапка', tags: [], collections: { edges: [] } }
+    }],
+    priceListError: null
+  };
+};
+
+const userErrors = (message) => ({ userErrors: message ? [{ field: null, message }] : [] });
+
+globalThis.fetch = async (url, options) => {
+  const { query, variables } = JSON.parse(options.body);
+  let data;
+  if (query.includes('SetSettingsMetafield')) {
+    data = { metafieldsSet: userErrors() };
+  } else if (query.includes('currentAppInstallation')) {
+    data = { shop: { id: 'gid://shopify/Shop/1' }, currentAppInstallation: { id: 'gid://shopify/AppInstallation/1' } };
+  } else if (query.includes('markets(')) {
+    data = { shop: { currencyCode: shop.currencyCode }, markets: { nodes: [structuredClone(shop.market)] } };
+  } else if (query.includes('productVariantsCount')) {
+    data = { productVariantsCount: { count: shop.variants.length } };
+  } else if (query.includes('query Variants')) {
+    data = { productVariants: { nodes: structuredClone(shop.variants), pageInfo: { hasNextPage: false, endCursor: null } } };
+  } else if (query.includes('UpdateVariantPrices')) {
+    for (const update of variables.variants) {
+      Object.assign(shop.variants.find(item => item.id === update.id), { price: update.price, compareAtPrice: update.compareAtPrice });
+    }
+    data = { productVariantsBulkUpdate: userErrors() };
+  } else if (query.includes('UpdateMarketCurrency')) {
+    shop.market.currencySettings.baseCurrency.currencyCode = variables.input.baseCurrency;
+    data = { marketCurrencySettingsUpdate: userErrors() };
+  } else if (query.includes('UpdatePriceListCurrency')) {
+    if (!shop.priceListError) {
+      shop.market.priceList.currency = variables.input.currency;
+    }
+    data = { priceListUpdate: userErrors(shop.priceListError) };
+  }
+  return { ok: true, status: 200, json: async () => ({ data }) };
+};
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+beforeEach(async () => {
+  resetShop();
+  await deleteShopSettings(SESSION.shop);
+  await deletePriceSnapshot(SESSION.shop);
+  await deleteSwitchover(SESSION.shop);
+});
+
+const statusOf = (checks, id) => checks.find(check => check.id === id).status;
+
+// Let the scheduler find the switchover due and wait until it has finished
+async function runScheduled() {
+  await scheduleSwitchover(SESSION, '2099-01-01T00:00');
+  const realNow = Date.now;
+  Date.now = () => new Date('2099-01-01T00:00:00Z').getTime();
+  const timer = startSwitchoverScheduler(SESSION_STORAGE);
+  try {
+    for (let waited = 0; waited < 10000; waited += 50) {
+      const record = await getSwitchover(SESSION.shop);
+      if (!['scheduled', 'running'].includes(record.status)) {
+        return record;
+      }
+      await sleep(50);
+    }
+    throw new Error('The switchover did not finish');
+  } finally {
+    clearInterval(timer);
+    Date.now = realNow;
+  }
+}
+
+describe('runPreflightChecks', () => {
+  it('passes with warnings for the store currency', async () => {
+    const { ok, from, to, checks, market } = await runPreflightChecks(SESSION);
+    assert.equal(ok, true);
+    assert.equal(`${from}/${to}`, 'BGN/EUR');
+    assert.equal(statusOf(checks, 'shop-currency'), 'warning');
+    assert.equal(statusOf(checks, 'market'), 'ok');
+    assert.equal(market.handle, 'bulgaria');
+  });
+
+  it('skips the market step for the primary market', async () => {
+    shop.market.primary = true;
+    const { ok, checks } = await runPreflightChecks(SESSION);
+    assert.equal(ok, true);
+    assert.equal(statusOf(checks, 'market'), 'warning');
+  });
+
+  it('fails without an offline access token', async () => {
+    const { ok, checks } = await runPreflightChecks({ shop: SESSION.shop });
+    assert.equal(ok, false);
+    assert.equal(statusOf(checks, 'session'), 'error');
+  });
+});
+
+describe('scheduleSwitchover and cancelSwitchover', () => {
+  it('only schedules in the future', async () => {
+    await assert.rejects(scheduleSwitchover(SESSION, '2020-01-01T00:00'), /must be in the future/);
+  });
+
+  it('records the Sofia time and lets it be cancelled once', async () => {
+    const record = await scheduleSwitchover(SESSION, '2099-01-01T00:00');
+    assert.equal(record.status, 'scheduled');
+    assert.equal(record.scheduledFor, '2098-12-31T22:00:00.000Z');
+    assert.equal(`${record.from}/${record.to}`, 'BGN/EUR');
+
+    assert.equal((await cancelSwitchover(SESSION.shop)).status, 'cancelled');
+    await assert.rejects(cancelSwitchover(SESSION.shop), /No scheduled switchover/);
+  });
+});
+
+describe('startSwitchoverScheduler', () => {
+  it('converts the catalog, moves the market and flips the pair', async () => {
+    const record = await runScheduled();
+    assert.equal(record.status, 'completed');
+    assert.deepEqual(record.completedSteps.map(item => item.step), ['convert-prices', 'update-market', 'update-price-list', 'flip-settings']);
+    assert.equal(shop.variants[0].price, '10.22');
+    assert.equal(shop.market.currencySettings.baseCurrency.currencyCode, 'EUR');
+    assert.equal(shop.market.priceList.currency, 'EUR');
+
+    const settings = await getShopSettings(SESSION.shop);
+    assert.equal(`${settings.primaryCurrency}/${settings.secondaryCurrency}`, 'EUR/BGN');
+  });
+
+  it('undoes the completed steps when a later one fails', async () => {
+    shop.priceListError = 'Currency is not enabled';
+    const record = await quietly(runScheduled);
+    assert.equal(record.status, 'reverted');
+    assert.equal(record.error, 'Price list update failed: Currency is not enabled');
+    assert.deepEqual(
+      record.timeline.filter(event => event.status === 'reverted').map(event => event.step),
+      ['update-market', 'convert-prices']
+    );
+    assert.equal(shop.variants[0].price, '19.99');
+    assert.equal(shop.market.currencySettings.baseCurrency.currencyCode, 'BGN');
+    assert.equal((await getShopSettings(SESSION.shop)).primaryCurrency, 'BGN');
+  });
+});
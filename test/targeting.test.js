@@ -0,0 +1,38 @@
+// test/targeting.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isTargetedBuyer } from '../shared/targeting.js';
+
+const SETTINGS = {
+  targetAlways: false,
+  targetCountries: ['BG'],
+  targetCurrencies: ['BGN'],
+  targetMarkets: ['bulgaria', 'gid://shopify/Market/42', '7']
+};
+
+describe('isTargetedBuyer', () => {
+  it('targets everyone when told to', () => {
+    assert.equal(isTargetedBuyer({ ...SETTINGS, targetAlways: true }, { countryCode: 'US' }), true);
+  });
+
+  it('targets by country or currency', () => {
+    assert.equal(isTargetedBuyer(SETTINGS, { countryCode: 'BG' }), true);
+    assert.equal(isTargetedBuyer(SETTINGS, { countryCode: 'DE', currencyCode: 'BGN' }), true);
+    assert.equal(isTargetedBuyer(SETTINGS, { countryCode: 'DE', currencyCode: 'EUR' }), false);
+  });
+
+  it('targets a market by handle', () => {
+    assert.equal(isTargetedBuyer(SETTINGS, { marketHandle: 'bulgaria' }), true);
+    assert.equal(isTargetedBuyer(SETTINGS, { marketHandle: 'romania' }), false);
+  });
+
+  it('targets a market by ID, as a GID or the bare number', () => {
+    assert.equal(isTargetedBuyer(SETTINGS, { marketId: '42' }), true);
+    assert.equal(isTargetedBuyer(SETTINGS, { marketId: 'gid://shopify/Market/7' }), true);
+    assert.equal(isTargetedBuyer(SETTINGS, { marketId: 'gid://shopify/Market/420' }), false);
+  });
+
+  it('does not target a buyer the surface knows nothing about', () => {
+    assert.equal(isTargetedBuyer(SETTINGS), false);
+  });
+});